@@ -1,23 +1,47 @@
-import React, { useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo } from "react";
 import "./App.css";
 import "./index.css";
 import { getEnv } from "./utils/env";
 import { UserProvider, useUser } from "./context/UserContext";
+import useHashRoute from "./hooks/useHashRoute";
+import { formatRoute, HOME_PATH, loginRedirect, playPath, safeNext } from "./utils/route";
+import { recordScore } from "./utils/scores";
 import EnvBanner from "./components/EnvBanner";
 import Navbar from "./components/Navbar";
-import SnakeGame from "./games/snake/SnakeGame";
-import CarEscapeGame from "./games/racing/CarEscapeGame";
+import games from "./games";
 import Login from "./pages/Login";
 import GameSelection from "./pages/GameSelection";
+import LevelEditor from "./pages/LevelEditor";
+import Leaderboard from "./pages/Leaderboard";
+import Profiles from "./pages/Profiles";
 
 /**
- * RootApp composes the login -> selection -> game flow using simple internal state.
- * No external router is used; we manage "routes" via local state.
+ * RootApp composes the login -> selection -> game flow from the URL hash
+ * (see utils/route and hooks/useHashRoute). No external router is used.
  *
- * Views:
- * - "login": capture username
- * - "select": game selection hub
- * - "game": show the main app with Navbar + tabs for Snake/Racing
+ * Routes:
+ * - #/login: capture username, then continue to `?next=` (where the user was going)
+ * - #/games: game selection hub
+ * - #/play/<gameId>: show the main app with Navbar + one tab per enabled game.
+ *   All games stay mounted and the inactive ones are hidden (and paused), so
+ *   switching tabs keeps a game in progress. The active game gets the URL
+ *   query as `query` and reports its settings back through `onQueryChange`,
+ *   so links restore them (e.g. #/play/snake?level=pillars&speed=fast)
+ * - #/editor: Snake level editor (only when Snake is enabled)
+ * - #/leaderboard: high scores, with its filters in the query
+ * - #/profiles: manage the local profiles (rename, recolour, export, delete)
+ *
+ * The route guard sends users without a username to login, and unknown or
+ * disabled routes to #/games.
+ *
+ * The games come from the registry (./games): feature flags switch them off
+ * (see games/registry), and each is rendered with its default props plus
+ * `active`, `showStatusBar` and `userId`, the current profile, whose saved
+ * progress it loads (games are remounted when the profile changes). Finished
+ * runs come back through `onRunComplete` and are stored under the current
+ * profile (see utils/scores and utils/profiles). Every screen after login has the
+ * profile menu in the Navbar, to switch profiles or sign out, and the theme
+ * is a setting of each profile.
  */
 // PUBLIC_INTERFACE
 export default function RootApp() {
@@ -31,58 +55,171 @@ export default function RootApp() {
 function RootFlow() {
   const env = useMemo(() => getEnv(), []);
   const featureFlags = env.featureFlags || {};
-  const { username, login, logout } = useUser();
+  const {
+    username,
+    profile,
+    profiles,
+    login,
+    logout,
+    switchProfile,
+    updateProfile,
+    deleteProfile,
+    updateSettings,
+    recordRun: addRunToProfile,
+  } = useUser();
+
+  // one tab per enabled game
+  const tabs = games.enabled(featureFlags);
+  const snakeEnabled = tabs.some((game) => game.id === "snake");
 
-  // tabs for the gameplay app
-  const tabs = [];
-  if (featureFlags.enableSnake !== false) tabs.push("Snake");
-  tabs.push("Racing");
+  const [route, navigate] = useHashRoute();
+  const home = formatRoute(HOME_PATH);
 
-  const initialTab = tabs[0] || "Racing";
-  const [activeTab, setActiveTab] = useState(initialTab);
+  // the route guard: where to go instead of the current route, if anywhere
+  let redirect = null;
+  if (!username && route.name !== "login") {
+    redirect = loginRedirect(route);
+  } else if (username && route.name === "login") {
+    redirect = safeNext(route.query.next);
+  } else if (route.name === "unknown") {
+    redirect = home;
+  } else if (route.name === "play" && !tabs.some((game) => game.id === route.params.gameId)) {
+    redirect = home;
+  } else if (route.name === "editor" && !snakeEnabled) {
+    redirect = home;
+  }
 
-  const [view, setView] = useState(() => {
-    // If no username -> login, else selection
-    return username ? "select" : "login";
-  });
+  useEffect(() => {
+    if (redirect) navigate(redirect, { replace: true });
+  }, [redirect, navigate]);
 
-  const onLogin = (name) => {
-    login(name);
-    setView("select");
-  };
+  const activeTab = route.name === "play" ? route.params.gameId : "";
 
-  const onSelectGame = (gameKey) => {
-    setActiveTab(tabs.includes(gameKey) ? gameKey : initialTab);
-    setView("game");
+  // the active game keeps its settings in the URL, so a link restores them
+  const onQueryChange = useCallback(
+    (query) => navigate(formatRoute(route.path, query), { replace: true }),
+    [navigate, route.path]
+  );
+
+  const onSelectGame = (gameId) => navigate(formatRoute(playPath(gameId)));
+
+  // a finished run is scored on its game's board, e.g. Snake at one speed,
+  // and counted in the profile's stats
+  const recordRun = (gameId, run) => {
+    const { scoreFilter } = games.get(gameId);
+    addRunToProfile({ ...run, game: gameId });
+    return recordScore(
+      { ...run, game: gameId, user: username, userId: profile.id },
+      scoreFilter ? [scoreFilter.key] : []
+    );
   };
 
-  const onLogout = () => {
-    logout();
-    setView("login");
+  // each profile keeps its own theme
+  const profileTheme = profile && profile.settings.theme;
+  const theme = profileTheme || document.documentElement.getAttribute("data-theme") || "light";
+  useEffect(() => {
+    if (!profileTheme) return;
+    document.documentElement.setAttribute("data-theme", profileTheme);
+    localStorage.setItem("theme", profileTheme);
+  }, [profileTheme]);
+
+  const navbarProps = {
+    brand: "Ocean Games",
+    theme,
+    onToggleTheme: () => {
+      const next = theme === "light" ? "dark" : "light";
+      document.documentElement.setAttribute("data-theme", next);
+      localStorage.setItem("theme", next);
+      updateSettings({ theme: next });
+    },
+    profile,
+    profiles,
+    onSwitchProfile: switchProfile,
+    onManageProfiles: () => navigate(formatRoute("/profiles")),
+    onSignOut: logout,
   };
 
-  if (view === "login") {
-    return <Login onLogin={onLogin} />;
+  if (redirect) return null;
+
+  if (route.name === "login") {
+    // once logged in, the guard carries on to where the user was going
+    return <Login onLogin={login} profiles={profiles} />;
   }
 
-  if (view === "select") {
+  const view = route.name === "play" ? "game" : route.name;
+
+  if (view === "editor") {
     return (
       <div className="App app-root">
         <EnvBanner env={env} />
-        <Navbar
-          brand="Ocean Games"
-          theme={document.documentElement.getAttribute("data-theme") || "light"}
-          onToggleTheme={() => {
-            const cur = document.documentElement.getAttribute("data-theme") || "light";
-            const next = cur === "light" ? "dark" : "light";
-            document.documentElement.setAttribute("data-theme", next);
-            localStorage.setItem("theme", next);
-          }}
-          tabs={[]}
-          activeTab=""
-          onTabChange={() => {}}
+        <Navbar {...navbarProps} tabs={[]} activeTab="" onTabChange={() => {}} />
+        <main className="app-content" role="main">
+          <section aria-label="Snake level editor" className="game-section">
+            <LevelEditor userId={profile.id} onBack={() => navigate(home)} />
+          </section>
+        </main>
+      </div>
+    );
+  }
+
+  if (view === "profiles") {
+    return (
+      <div className="App app-root">
+        <EnvBanner env={env} />
+        <Navbar {...navbarProps} tabs={[]} activeTab="" onTabChange={() => {}} />
+        <main className="app-content" role="main">
+          <section aria-label="Profiles" className="game-section">
+            <Profiles
+              profiles={profiles}
+              currentId={profile.id}
+              games={games.list()}
+              onSwitch={switchProfile}
+              onUpdate={updateProfile}
+              onDelete={deleteProfile}
+              onBack={() => navigate(home)}
+            />
+          </section>
+        </main>
+      </div>
+    );
+  }
+
+  if (view === "leaderboard") {
+    return (
+      <div className="App app-root">
+        <EnvBanner env={env} />
+        <Navbar {...navbarProps} tabs={[]} activeTab="" onTabChange={() => {}} />
+        <main className="app-content" role="main">
+          <section aria-label="Leaderboard" className="game-section">
+            <Leaderboard
+              username={username}
+              userId={profile.id}
+              profiles={profiles}
+              games={tabs}
+              filters={route.query}
+              onFiltersChange={onQueryChange}
+              onBack={() => navigate(home)}
+            />
+          </section>
+        </main>
+      </div>
+    );
+  }
+
+  if (view === "games") {
+    return (
+      <div className="App app-root">
+        <EnvBanner env={env} />
+        <Navbar {...navbarProps} tabs={[]} activeTab="" onTabChange={() => {}} />
+        <GameSelection
+          username={username}
+          games={tabs}
+          onSelectGame={onSelectGame}
+          onLogout={logout}
+          onOpenEditor={snakeEnabled ? () => navigate(formatRoute("/editor")) : undefined}
+          onOpenLeaderboard={() => navigate(formatRoute("/leaderboard"))}
+          showDemo={snakeEnabled}
         />
-        <GameSelection username={username} onSelectGame={onSelectGame} onLogout={onLogout} />
       </div>
     );
   }
@@ -91,42 +228,30 @@ function RootFlow() {
   return (
     <div className="App app-root">
       <EnvBanner env={env} />
-      <Navbar
-        brand="Ocean Games"
-        theme={document.documentElement.getAttribute("data-theme") || "light"}
-        onToggleTheme={() => {
-          const cur = document.documentElement.getAttribute("data-theme") || "light";
-          const next = cur === "light" ? "dark" : "light";
-          document.documentElement.setAttribute("data-theme", next);
-          localStorage.setItem("theme", next);
-        }}
-        tabs={tabs}
-        activeTab={activeTab}
-        onTabChange={setActiveTab}
-      />
+      <Navbar {...navbarProps} tabs={tabs} activeTab={activeTab} onTabChange={onSelectGame} />
       <main className="app-content" role="main">
-        {activeTab === "Snake" && featureFlags.enableSnake !== false && (
-          <section
-            aria-label="Snake game section"
-            className="game-section"
-            id="panel-Snake"
-            role="tabpanel"
-            aria-labelledby="tab-Snake"
-          >
-            <SnakeGame showStatusBar={featureFlags.showStatusBar !== false} />
-          </section>
-        )}
-        {activeTab === "Racing" && (
+        {tabs.map(({ id, title, component: Game, defaultProps }) => (
           <section
-            aria-label="Racing game section"
+            key={id}
+            aria-label={`${title} game section`}
             className="game-section"
-            id="panel-Racing"
+            id={`panel-${id}`}
             role="tabpanel"
-            aria-labelledby="tab-Racing"
+            aria-labelledby={`tab-${id}`}
+            hidden={activeTab !== id}
           >
-            <CarEscapeGame width={400} height={600} />
+            <Game
+              key={profile.id}
+              {...defaultProps}
+              userId={profile.id}
+              showStatusBar={featureFlags.showStatusBar !== false}
+              active={activeTab === id}
+              query={activeTab === id ? route.query : undefined}
+              onQueryChange={onQueryChange}
+              onRunComplete={(run) => recordRun(id, run)}
+            />
           </section>
-        )}
+        ))}
         {tabs.length === 0 && (
           <div className="empty-state" role="note" aria-live="polite">
             No games are enabled. Update REACT_APP_FEATURE_FLAGS to enable features.
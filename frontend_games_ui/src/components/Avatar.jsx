@@ -0,0 +1,25 @@
+import React from "react";
+
+/**
+ * Avatar: a profile's initial on a circle of its colour (see utils/profiles).
+ * Props:
+ * - profile: { name, color }
+ * - size: number (default 32), in px
+ */
+// PUBLIC_INTERFACE
+export default function Avatar({ profile, size = 32 }) {
+  return (
+    <span
+      className="avatar"
+      aria-hidden="true"
+      style={{
+        width: size,
+        height: size,
+        fontSize: Math.round(size * 0.45),
+        background: profile.color,
+      }}
+    >
+      {profile.name.charAt(0).toUpperCase()}
+    </span>
+  );
+}
@@ -1,14 +1,21 @@
-import React from "react";
+import React, { useEffect, useRef, useState } from "react";
+import Avatar from "./Avatar";
 
 /**
- * Navbar with brand, tabs, and theme toggle.
+ * Navbar with brand, tabs, theme toggle and the profile menu.
  * Props:
  * - brand: string
  * - theme: 'light'|'dark'
  * - onToggleTheme: () => void
- * - tabs: string[]
- * - activeTab: string
- * - onTabChange: (tab: string) => void
+ * - tabs: { id: string, title: string, icon?: string }[] (e.g. registered games)
+ * - activeTab: string (a tab id)
+ * - onTabChange: (id: string) => void
+ * - profile: the current profile (optional; shows the profile menu, see
+ *   utils/profiles)
+ * - profiles: every profile, listed in the menu to switch to
+ * - onSwitchProfile: (id: string) => void
+ * - onManageProfiles: () => void
+ * - onSignOut: () => void
  */
 // PUBLIC_INTERFACE
 export default function Navbar({
@@ -18,7 +25,38 @@ export default function Navbar({
   tabs = [],
   activeTab,
   onTabChange,
+  profile,
+  profiles = [],
+  onSwitchProfile,
+  onManageProfiles,
+  onSignOut,
 }) {
+  const [menuOpen, setMenuOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // a click outside the profile menu or Escape closes it
+  useEffect(() => {
+    if (!menuOpen) return undefined;
+    const onPointer = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setMenuOpen(false);
+    };
+    const onKey = (e) => {
+      if (e.key === "Escape") setMenuOpen(false);
+    };
+    document.addEventListener("mousedown", onPointer);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("mousedown", onPointer);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, [menuOpen]);
+
+  /** Close the menu, then run the chosen action. */
+  const choose = (action) => () => {
+    setMenuOpen(false);
+    if (action) action();
+  };
+
   return (
     <nav className="navbar" aria-label="Top Navigation">
       <div className="navbar-inner">
@@ -43,15 +81,15 @@ export default function Navbar({
         <div className="tabs" role="tablist" aria-label="Game tabs">
           {tabs.map((tab) => (
             <button
-              key={tab}
+              key={tab.id}
               role="tab"
-              aria-selected={activeTab === tab}
-              aria-controls={`panel-${tab}`}
-              id={`tab-${tab}`}
+              aria-selected={activeTab === tab.id}
+              aria-controls={`panel-${tab.id}`}
+              id={`tab-${tab.id}`}
               className="tab-btn"
-              onClick={() => onTabChange && onTabChange(tab)}
+              onClick={() => onTabChange && onTabChange(tab.id)}
             >
-              {tab}
+              {tab.icon ? `${tab.icon} ${tab.title}` : tab.title}
             </button>
           ))}
         </div>
@@ -66,6 +104,43 @@ export default function Navbar({
         >
           {theme === "light" ? "🌙 Dark" : "☀️ Light"}
         </button>
+
+        {profile && (
+          <div className="profile-menu" ref={menuRef}>
+            <button
+              className="profile-menu-button"
+              onClick={() => setMenuOpen((open) => !open)}
+              aria-haspopup="menu"
+              aria-expanded={menuOpen}
+              aria-label={`Profile: ${profile.name}`}
+            >
+              <Avatar profile={profile} size={28} />
+              <span>{profile.name}</span>
+            </button>
+            {menuOpen && (
+              <div className="profile-menu-list" role="menu" aria-label="Profiles">
+                {profiles
+                  .filter((p) => p.id !== profile.id)
+                  .map((p) => (
+                    <button
+                      key={p.id}
+                      role="menuitem"
+                      className="profile-menu-item"
+                      onClick={choose(() => onSwitchProfile && onSwitchProfile(p.id))}
+                    >
+                      <Avatar profile={p} size={22} /> Switch to {p.name}
+                    </button>
+                  ))}
+                <button role="menuitem" className="profile-menu-item" onClick={choose(onManageProfiles)}>
+                  ⚙ Manage profiles
+                </button>
+                <button role="menuitem" className="profile-menu-item" onClick={choose(onSignOut)}>
+                  ⎋ Sign out
+                </button>
+              </div>
+            )}
+          </div>
+        )}
       </div>
     </nav>
   );
@@ -1,43 +1,120 @@
-import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import {
+  createProfile,
+  findProfileByName,
+  loadProfiles,
+  recordProfileRun,
+  removeProfileData,
+  saveProfiles,
+  updateProfile as updateProfileIn,
+} from "../utils/profiles";
+import { removeScoresOf } from "../utils/scores";
 
 /**
- * UserContext provides global user state for the app (currently just username).
- * - Persists username to localStorage
- * - Exposes login/logout functions
+ * UserContext provides the local player profiles (see utils/profiles) and
+ * the one in use.
+ * - Persists the profiles and the current profile to localStorage
+ * - `username` is the current profile's name ("" when nobody is signed in)
+ * - login(name) switches to the profile with that name, creating it if needed
+ * - logout() signs out but keeps every profile
+ * - switchProfile, updateProfile (name, colour, settings), deleteProfile
+ *   (with its scores and saved game progress) and updateSettings / recordRun
+ *   for the current profile
  */
 // PUBLIC_INTERFACE
 export const UserContext = createContext(null);
 
 // PUBLIC_INTERFACE
 export function UserProvider({ children }) {
-  const [username, setUsername] = useState(() => {
-    try {
-      return localStorage.getItem("username") || "";
-    } catch {
-      return "";
-    }
-  });
+  const [store, setStore] = useState(loadProfiles);
 
   useEffect(() => {
-    try {
-      if (username) localStorage.setItem("username", username);
-      else localStorage.removeItem("username");
-    } catch {
-      // ignore storage errors
-    }
-  }, [username]);
+    saveProfiles(store);
+  }, [store]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * Switch to the profile with a name, creating it if there is none. Throws
+   * an Error for a name that cannot be used (see profileNameError).
+   */
+  const login = useCallback(
+    (name) => {
+      const existing = findProfileByName(store.profiles, name);
+      const profile = existing || createProfile(name, store.profiles);
+      setStore((s) => ({
+        profiles: existing ? s.profiles : [...s.profiles, profile],
+        currentId: profile.id,
+      }));
+    },
+    [store.profiles]
+  );
+
+  // PUBLIC_INTERFACE
+  const logout = useCallback(() => {
+    setStore(({ profiles }) => ({ profiles, currentId: null }));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const switchProfile = useCallback((id) => {
+    setStore(({ profiles, currentId }) => ({
+      profiles,
+      currentId: profiles.some((p) => p.id === id) ? id : currentId,
+    }));
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * Rename, recolour or change the settings of a profile. Throws an Error
+   * for a name that cannot be used (check it first with profileNameError).
+   */
+  const updateProfile = useCallback(
+    (id, changes) => {
+      const profiles = updateProfileIn(store.profiles, id, changes);
+      setStore((s) => ({ ...s, profiles }));
+    },
+    [store.profiles]
+  );
+
+  // PUBLIC_INTERFACE
+  const deleteProfile = useCallback((id) => {
+    removeScoresOf(id);
+    removeProfileData(id);
+    setStore(({ profiles, currentId }) => ({
+      profiles: profiles.filter((p) => p.id !== id),
+      currentId: currentId === id ? null : currentId,
+    }));
+  }, []);
 
   // PUBLIC_INTERFACE
-  const login = (name) => {
-    setUsername(name);
-  };
+  const updateSettings = useCallback((settings) => {
+    setStore((s) =>
+      s.currentId ? { ...s, profiles: updateProfileIn(s.profiles, s.currentId, { settings }) } : s
+    );
+  }, []);
 
   // PUBLIC_INTERFACE
-  const logout = () => {
-    setUsername("");
-  };
+  const recordRun = useCallback((run) => {
+    setStore((s) => ({
+      ...s,
+      profiles: s.profiles.map((p) => (p.id === s.currentId ? recordProfileRun(p, run) : p)),
+    }));
+  }, []);
 
-  const value = useMemo(() => ({ username, login, logout }), [username]);
+  const value = useMemo(() => {
+    const profile = store.profiles.find((p) => p.id === store.currentId) || null;
+    return {
+      username: profile ? profile.name : "",
+      profile,
+      profiles: store.profiles,
+      login,
+      logout,
+      switchProfile,
+      updateProfile,
+      deleteProfile,
+      updateSettings,
+      recordRun,
+    };
+  }, [store, login, logout, switchProfile, updateProfile, deleteProfile, updateSettings, recordRun]);
 
   return <UserContext.Provider value={value}>{children}</UserContext.Provider>;
 }
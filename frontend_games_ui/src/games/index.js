@@ -0,0 +1,15 @@
+/**
+ * The app's games. To add one, describe it in its own folder (see
+ * ./snake/index.js and ./registry) and register it here; the selection
+ * page, the Navbar tabs and the tab panels pick it up from the registry.
+ */
+
+import { createGameRegistry } from "./registry";
+import { snakeGame } from "./snake";
+import { racingGame } from "./racing";
+
+const games = createGameRegistry();
+games.register(snakeGame);
+games.register(racingGame);
+
+export default games;
@@ -1,66 +1,366 @@
-import React, { useRef, useEffect, useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { STEP_MS } from "./racingEngine";
+import { createRacingMatch } from "./racingMatch";
+import { RACING_DIFFICULTIES } from "./director";
+import { DAMAGE_MODES, damageSettings } from "./damage";
+import {
+  createGhostPlayer,
+  createGhostRecording,
+  finishRecording,
+  loadGhost,
+  recordInput,
+  storeGhost,
+} from "./ghost";
+import {
+  drawCar,
+  drawGhost,
+  drawHud,
+  drawMeter,
+  drawObstacles,
+  drawOverlay,
+  drawRoad,
+  drawScenery,
+  roadView,
+} from "./racingRender";
+import StatusBar from "../../components/StatusBar";
+import useAutoPause from "../../hooks/useAutoPause";
+import useGameLoop from "../../hooks/useGameLoop";
+import { randomSeed } from "../../utils/rng";
+import { placementLines } from "../../utils/scores";
+
+// KeyboardEvent.code -> control, one map per player
+const PLAYER_KEYS = {
+  solo: [
+    {
+      ArrowLeft: "left",
+      ArrowRight: "right",
+      ArrowUp: "up",
+      ArrowDown: "down",
+      ShiftLeft: "nitro",
+      ShiftRight: "nitro",
+    },
+  ],
+  versus: [
+    { KeyA: "left", KeyD: "right", KeyW: "up", KeyS: "down", ShiftLeft: "nitro" },
+    {
+      ArrowLeft: "left",
+      ArrowRight: "right",
+      ArrowUp: "up",
+      ArrowDown: "down",
+      ShiftRight: "nitro",
+    },
+  ],
+};
+
+const RACING_MODES = Object.keys(PLAYER_KEYS);
+
+const CAR_COLORS = ["#F59E0B", "#34D399"];
+
+const ROAD = "winding";
+
+const DAMAGE_LABELS = { crash: "One hit", lives: "Lives", health: "Health" };
+
+const KMH_PER_SPEED = 20; // road speed (px per tick) shown as km/h
+const METERS_PER_PX = KMH_PER_SPEED / 3.6 / (1000 / STEP_MS);
+
+/** Lives left as hearts, with a half heart after a glancing hit. */
+function hearts(state) {
+  const { start } = damageSettings(state.damage);
+  const full = Math.floor(state.lives);
+  const half = state.lives > full ? 1 : 0;
+  return "♥".repeat(full) + "◐".repeat(half) + "♡".repeat(start - full - half);
+}
+
+/** Health bar colour: green, then amber, then red as it runs down. */
+function healthColor(fraction) {
+  if (fraction > 0.5) return "#34D399";
+  return fraction > 0.25 ? "#F59E0B" : "#EF4444";
+}
+
+/**
+ * Score, speed, lives or health and whichever pickups or hazards are
+ * currently in effect, plus the gap to the ghost when racing one.
+ */
+function hudLines(state, label, ghostState) {
+  const score = `Score: ${state.score}`;
+  const lines = [
+    label ? `${label} · ${score}` : score,
+    `Speed: ${Math.round(state.speed * KMH_PER_SPEED)} km/h`,
+  ];
+  const extra = [];
+  if (state.damage === "lives") extra.push(`Lives: ${hearts(state)}`);
+  if (state.damage === "health") extra.push(`Health: ${Math.ceil(state.health)}`);
+  const effects = [];
+  if (state.shields) effects.push(`Shield ×${state.shields}`);
+  if (state.multiplierTicks) {
+    effects.push(`×${state.multiplier} ${Math.ceil((state.multiplierTicks * STEP_MS) / 1000)}s`);
+  }
+  if (state.slipTicks) effects.push("Oil!");
+  if (effects.length) extra.push(effects.join("  "));
+  if (ghostState) {
+    const gap = Math.round((state.distance - ghostState.distance) * METERS_PER_PX);
+    extra.push(gap >= 0 ? `Ghost: ahead by ${gap} m` : `Ghost: behind by ${-gap} m`);
+  }
+  if (extra.length) lines.push("", ...extra); // skip the nitro meter's row
+  return lines;
+}
+
+/** Overlay title and subtitle for one player's road, or null while driving. */
+function overlayText(state, player, players, result, newBest, running) {
+  if (!running && !result.over) {
+    return state.ticks ? ["Paused", "Press Space to resume"] : ["Ready", "Press Space to start"];
+  }
+  if (players === 1) {
+    if (!state.gameOver) return null;
+    return ["Crash!", newBest ? "New best, saved as your ghost! R to restart" : "Press R to Restart"];
+  }
+  if (result.over) {
+    if (result.draw) return ["Draw!", "Press R to Restart"];
+    return [result.winner === player ? "You win!" : "Crashed!", "Press R to Restart"];
+  }
+  return state.gameOver ? ["Crashed!", "Waiting for the other car…"] : null;
+}
+
+const MAX_DAMAGE_LINES = 6;
+
+/** The hits taken over a run, for the game-over overlay (not for one-hit runs). */
+function damageLines(state) {
+  if (state.damage === "crash" || !state.gameOver) return [];
+  const unit = state.damage === "lives" ? "life" : "health";
+  const lines = state.hits.slice(0, MAX_DAMAGE_LINES).map((h) => {
+    const at = `${((h.tick * STEP_MS) / 1000).toFixed(1)} s`;
+    const cost = h.shielded ? "shield absorbed it" : `−${h.cost} ${unit}`;
+    return `${at} · ${h.severity} ${h.type} · ${cost}`;
+  });
+  if (state.hits.length > MAX_DAMAGE_LINES) {
+    lines.push(`…and ${state.hits.length - MAX_DAMAGE_LINES} more`);
+  }
+  return [`Damage taken (${state.hits.length} hits):`, ...lines];
+}
+
+const seconds = (state) => `${((state.ticks * STEP_MS) / 1000).toFixed(1)} s`;
 
 /**
  * CarEscapeGame
  *
- * A minimal, self-contained car escape/avoidance game using Canvas.
- * Controls:
+ * A minimal car escape/avoidance game using Canvas.
+ * Controls (Solo):
  * - Left/Right Arrow keys to steer the car
+ * - Up/Down Arrow keys to accelerate and brake
+ * - Shift for nitro (drains the meter, refills over time)
+ * - Space to start, pause and resume
  * - "R" to restart after game over
  *
+ * A new run waits for Space or Start. The game pauses itself when the page
+ * is hidden, the window loses focus or `active` goes false (its tab is not
+ * shown; see useAutoPause), and waits for Space again.
+ *
+ * In Versus (2P) two roads are drawn side by side: player 1 drives with
+ * W/A/S/D and left Shift, player 2 with the arrows and right Shift. Both
+ * roads are built from the same seed, so both players meet the same
+ * hazards in the same order; when both have crashed, whoever lasted longer
+ * wins and the results are shown below the roads.
+ *
+ * Solo runs are recorded (see ./ghost). A run that beats the best score for
+ * its difficulty becomes the ghost: with Ghost on, later runs use the same
+ * road (seed) and a see-through car replays the best run alongside, with
+ * the HUD showing how far ahead or behind it you are.
+ *
+ * The Damage selector picks what a crash costs (see ./damage): One hit
+ * ends the run, Lives gives three lives and Health a health bar, glancing
+ * hits cost less than head-on ones and the car blinks, invulnerable, for
+ * a moment after each hit. The game-over overlay lists the hits taken.
+ *
+ * The road is generated from the seed as it scrolls: it bends (pushing the
+ * car towards the outside of each bend), narrows and widens, with scenery
+ * along the verges (see ./road).
+ *
+ * Dodge barriers, traffic (which changes lanes) and trucks; oil makes the
+ * car slide and cones cost points. Coins, shields and ×2 multipliers are
+ * worth driving through. The road gets busier the further you drive, at a
+ * pace set by the Easy / Normal / Hard selector; changing it, the damage
+ * or the mode starts a new run.
+ *
  * Props:
- * - width: number (default 400)
+ * - width: number (default 400), per road
  * - height: number (default 600)
+ * - active: boolean (default true), false while the game's tab is hidden
+ * - showStatusBar: boolean (default true), the Versus results panel
+ * - query: { difficulty, mode, damage } from a link (e.g.
+ *   #/play/racing?difficulty=hard&mode=versus) sets them
+ * - onQueryChange: (query) => void, told about every change while `active`,
+ *   so the address bar always links back to the current settings
+ * - onRunComplete: ({ score, durationMs, settings }) => placement, called
+ *   when a solo run ends; the placement (see utils/scores) is shown on the
+ *   game-over screen
+ * - userId: the current profile (see utils/profiles), whose best runs are
+ *   kept as its ghosts
  *
- * This component intentionally uses inline canvas logic for clarity and portability.
+ * The rules live in createRacingEngine (./racingEngine), one engine per
+ * player grouped by createRacingMatch (./racingMatch); this component only
+ * forwards keys, steps the engines from the shared fixed-step runtime
+ * (useGameLoop) and draws their state interpolated between ticks, so the
+ * game plays the same at any refresh rate. Scores are drawn on the canvas,
+ * so React state changes only when the match ends or restarts.
  */
 // PUBLIC_INTERFACE
-export default function CarEscapeGame({ width = 400, height = 600 }) {
-  const canvasRef = useRef(null);
-  const rafRef = useRef(0);
-
-  // Game state
-  const [running, setRunning] = useState(true);
-  const [score, setScore] = useState(0);
+export default function CarEscapeGame({
+  width = 400,
+  height = 600,
+  active = true,
+  showStatusBar = true,
+  query,
+  onQueryChange,
+  onRunComplete,
+  userId,
+}) {
+  const { difficulty: linkDifficulty, mode: linkMode, damage: linkDamage } = query || {};
+  const canvasRefs = useRef([]);
+  const matchRef = useRef(null);
+  const recordingRef = useRef(null);
+  const ghostRef = useRef(null);
+  const newBestRef = useRef(false);
+  const placementRef = useRef(null);
+  const onRunCompleteRef = useRef(onRunComplete);
+  onRunCompleteRef.current = onRunComplete;
+
+  const [running, setRunning] = useState(false);
   const [gameOver, setGameOver] = useState(false);
+  const [difficulty, setDifficulty] = useState(() =>
+    RACING_DIFFICULTIES.includes(linkDifficulty) ? linkDifficulty : "normal"
+  );
+  const [damage, setDamage] = useState(() =>
+    DAMAGE_MODES.includes(linkDamage) ? linkDamage : "crash"
+  );
+  const [mode, setMode] = useState(() => (RACING_MODES.includes(linkMode) ? linkMode : "solo"));
+  const [ghostOn, setGhostOn] = useState(true);
+  // read by restart, so toggling the ghost applies from the next run
+  // instead of resetting the one in progress
+  const ghostOnRef = useRef(ghostOn);
+  ghostOnRef.current = ghostOn;
+  const players = PLAYER_KEYS[mode].length;
+
+  // a link opened (or pasted) while the game is up switches to its settings
+  const linkKey = [linkDifficulty, linkMode, linkDamage].join("|");
+  const linkPending =
+    (RACING_DIFFICULTIES.includes(linkDifficulty) && linkDifficulty !== difficulty) ||
+    (RACING_MODES.includes(linkMode) && linkMode !== mode) ||
+    (DAMAGE_MODES.includes(linkDamage) && linkDamage !== damage);
+  useEffect(() => {
+    if (RACING_DIFFICULTIES.includes(linkDifficulty)) setDifficulty(linkDifficulty);
+    if (DAMAGE_MODES.includes(linkDamage)) setDamage(linkDamage);
+    if (RACING_MODES.includes(linkMode)) setMode(linkMode);
+  }, [linkDifficulty, linkDamage, linkMode]);
 
-  // Player car
-  const carRef = useRef({
-    x: width / 2 - 20,
-    y: height - 100,
-    w: 40,
-    h: 70,
-    speed: 6,
-  });
+  // and the settings in play go back into the link, once a new link is applied
+  const reportedLinkRef = useRef(null);
+  useEffect(() => {
+    if (!active || !onQueryChange) return;
+    const fresh = reportedLinkRef.current !== linkKey;
+    reportedLinkRef.current = linkKey;
+    if (fresh && linkPending) return;
+    onQueryChange({ difficulty, mode, damage });
+  }, [active, onQueryChange, linkKey, linkPending, difficulty, mode, damage]);
+
+  if (!matchRef.current) {
+    matchRef.current = createRacingMatch({
+      players,
+      width,
+      height,
+      difficulty,
+      damage,
+      road: ROAD,
+    });
+  }
 
-  // Obstacles
-  const obstaclesRef = useRef([]);
-  const spawnTimerRef = useRef(0);
-  const spawnIntervalRef = useRef(1000); // ms
+  // a solo run races the stored ghost on its road and is recorded in turn;
+  // without autoStart the new run waits for the player
+  const restart = useCallback((autoStart = true) => {
+    const match = matchRef.current;
+    const solo = match.engines.length === 1;
+    const ghost = solo && ghostOnRef.current ? loadGhost(match.engines[0].state, userId) : null;
+    match.reset(ghost ? ghost.seed : randomSeed());
+    ghostRef.current = ghost ? createGhostPlayer(ghost) : null;
+    recordingRef.current = solo ? createGhostRecording(match.engines[0].state) : null;
+    newBestRef.current = false;
+    placementRef.current = null;
+    setGameOver(false);
+    setRunning(autoStart);
+  }, [userId]);
 
-  // Input
-  const inputRef = useRef({
-    left: false,
-    right: false,
-  });
+  const pause = useCallback(() => setRunning(false), []);
+  useAutoPause(pause, active);
 
-  // Time tracking
-  const lastTimeRef = useRef(0);
+  // a new road size, difficulty, damage mode or player count needs new engines
+  useEffect(() => {
+    const { engines } = matchRef.current;
+    const { state } = engines[0];
+    if (
+      engines.length !== players ||
+      state.width !== width ||
+      state.height !== height ||
+      state.difficulty !== difficulty ||
+      state.damage !== damage
+    ) {
+      matchRef.current = createRacingMatch({
+        players,
+        width,
+        height,
+        difficulty,
+        damage,
+        road: ROAD,
+      });
+    }
+    restart(false);
+  }, [players, width, height, difficulty, damage, restart]);
+
+  /** Score a finished solo run, and keep it as the ghost if it beat the stored best run. */
+  const finishRun = useCallback(() => {
+    const recording = recordingRef.current;
+    if (!recording) return;
+    const { state } = matchRef.current.engines[0];
+    placementRef.current =
+      onRunCompleteRef.current?.({
+        score: state.score,
+        durationMs: state.ticks * STEP_MS,
+        settings: { difficulty: state.difficulty, mode: "solo", damage: state.damage },
+      }) || null;
+    finishRecording(recording, state);
+    const best = loadGhost(state, userId);
+    if (!best || recording.score > best.score) {
+      storeGhost(recording, userId);
+      newBestRef.current = true;
+    }
+    recordingRef.current = null;
+  }, [userId]);
 
   useEffect(() => {
+    const keyMaps = PLAYER_KEYS[mode];
+    const press = (code, pressed) =>
+      keyMaps.forEach((keys, player) => {
+        const control = keys[code];
+        const { state } = matchRef.current.engines[player] || {};
+        if (!control || !state || state.input[control] === pressed) return;
+        matchRef.current.setInput(player, control, pressed);
+        if (recordingRef.current && !state.gameOver) {
+          recordInput(recordingRef.current, state.ticks, control, pressed);
+        }
+      });
     const handleKeyDown = (e) => {
-      if (e.key === "ArrowLeft") inputRef.current.left = true;
-      if (e.key === "ArrowRight") inputRef.current.right = true;
-
-      // restart
-      if (e.key.toLowerCase() === "r" && gameOver) {
+      if (!active) return;
+      press(e.code, true);
+      const { over } = matchRef.current.result();
+      if (e.key.toLowerCase() === "r" && over) {
         restart();
       }
+      if (e.code === "Space") {
+        // space starts, pauses and resumes (and must not scroll the page)
+        e.preventDefault();
+        if (!over) setRunning((r) => !r);
+      }
     };
-
     const handleKeyUp = (e) => {
-      if (e.key === "ArrowLeft") inputRef.current.left = false;
-      if (e.key === "ArrowRight") inputRef.current.right = false;
+      if (active) press(e.code, false);
     };
 
     window.addEventListener("keydown", handleKeyDown);
@@ -69,172 +369,73 @@ export default function CarEscapeGame({ width = 400, height = 600 }) {
       window.removeEventListener("keydown", handleKeyDown);
       window.removeEventListener("keyup", handleKeyUp);
     };
-  }, [gameOver]);
-
-  function restart() {
-    setRunning(true);
-    setGameOver(false);
-    setScore(0);
-    carRef.current = {
-      x: width / 2 - 20,
-      y: height - 100,
-      w: 40,
-      h: 70,
-      speed: 6,
-    };
-    obstaclesRef.current = [];
-    spawnTimerRef.current = 0;
-    lastTimeRef.current = 0;
-  }
-
-  function spawnObstacle() {
-    const laneWidth = width / 4; // 4 lanes
-    const lane = Math.floor(Math.random() * 4); // 0..3
-    const w = laneWidth * 0.66;
-    const x = lane * laneWidth + (laneWidth - w) / 2;
-    const h = 30 + Math.random() * 30;
-    const speed = 2 + Math.random() * 2.5;
-
-    obstaclesRef.current.push({
-      x,
-      y: -h,
-      w,
-      h,
-      speed,
-      color: "rgba(239, 68, 68, 0.9)", // red-ish
-    });
-  }
-
-  function update(dt) {
-    if (!running) return;
-
-    // Move car
-    const car = carRef.current;
-    if (inputRef.current.left) {
-      car.x -= car.speed;
-    }
-    if (inputRef.current.right) {
-      car.x += car.speed;
-    }
-    if (car.x < 10) car.x = 10;
-    if (car.x + car.w > width - 10) car.x = width - 10 - car.w;
-
-    // Spawn obstacles
-    spawnTimerRef.current += dt;
-    if (spawnTimerRef.current >= spawnIntervalRef.current) {
-      spawnTimerRef.current = 0;
-      spawnObstacle();
-    }
-
-    // Move obstacles
-    obstaclesRef.current.forEach((ob) => {
-      ob.y += ob.speed * (dt / 16.6667); // approximate scale to 60fps baseline
-    });
-
-    // Remove off-screen obstacles
-    obstaclesRef.current = obstaclesRef.current.filter((ob) => ob.y < height + 50);
-
-    // Collision check
-    for (const ob of obstaclesRef.current) {
-      if (rectsOverlap(car, ob)) {
-        setRunning(false);
-        setGameOver(true);
-        break;
-      }
-    }
-
-    // Score
-    setScore((prev) => prev + Math.floor(dt / 10));
-  }
-
-  function rectsOverlap(a, b) {
-    return !(
-      a.x + a.w < b.x ||
-      a.x > b.x + b.w ||
-      a.y + a.h < b.y ||
-      a.y > b.y + b.h
-    );
-  }
-
-  function draw(ctx) {
-    // Background road
-    ctx.fillStyle = "#0b1220";
-    ctx.fillRect(0, 0, width, height);
-
-    // Road lanes
-    const laneWidth = width / 4;
-    for (let i = 1; i < 4; i++) {
-      const x = i * laneWidth;
-      ctx.strokeStyle = "rgba(255,255,255,0.15)";
-      ctx.lineWidth = 2;
-      ctx.setLineDash([14, 14]);
-      ctx.beginPath();
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, height);
-      ctx.stroke();
-    }
-    ctx.setLineDash([]);
-
-    // Draw car
-    const car = carRef.current;
-    ctx.fillStyle = "#F59E0B"; // amber
-    ctx.fillRect(car.x, car.y, car.w, car.h);
-    // car windshield/headlights detail
-    ctx.fillStyle = "rgba(255,255,255,0.8)";
-    ctx.fillRect(car.x + 6, car.y + 10, car.w - 12, 10);
-
-    // Draw obstacles
-    for (const ob of obstaclesRef.current) {
-      ctx.fillStyle = ob.color;
-      ctx.fillRect(ob.x, ob.y, ob.w, ob.h);
+  }, [mode, restart, active]);
+
+  // one fixed tick for every road, with the ghost in lockstep with the player
+  const update = () => {
+    const match = matchRef.current;
+    match.step();
+    const ghost = ghostRef.current;
+    while (ghost && !ghost.isDone() && ghost.engine.state.ticks < match.engines[0].state.ticks) {
+      ghost.step();
     }
+  };
 
-    // HUD
-    ctx.fillStyle = "#fff";
-    ctx.font = "bold 16px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-    ctx.fillText(`Score: ${score}`, 12, 22);
-
-    if (gameOver) {
-      ctx.fillStyle = "rgba(0,0,0,0.55)";
-      ctx.fillRect(0, 0, width, height);
-      ctx.fillStyle = "#fff";
-      ctx.textAlign = "center";
-      ctx.font = "bold 28px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-      ctx.fillText("Crash!", width / 2, height / 2 - 4);
-      ctx.font = "bold 16px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-      ctx.fillText("Press R to Restart", width / 2, height / 2 + 24);
-      ctx.textAlign = "start";
+  const render = (alpha) => {
+    const match = matchRef.current;
+    const ghostState = ghostRef.current && ghostRef.current.engine.state;
+    const result = match.result();
+    if (result.over !== gameOver) {
+      if (result.over) finishRun();
+      setGameOver(result.over);
+      if (result.over) setRunning(false);
     }
-  }
 
-  const loop = (ts) => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext("2d");
-    if (!ctx) return;
-
-    if (!lastTimeRef.current) lastTimeRef.current = ts;
-    const dt = ts - lastTimeRef.current;
-    lastTimeRef.current = ts;
-
-    update(dt);
-    draw(ctx);
-
-    rafRef.current = requestAnimationFrame(loop);
+    match.engines.forEach(({ state, road }, player) => {
+      const ctx = canvasRefs.current[player]?.getContext("2d");
+      if (!ctx) return;
+      const view = roadView(state, road, alpha);
+      drawRoad(ctx, state, view);
+      drawScenery(ctx, state, view);
+      drawObstacles(ctx, state.obstacles, alpha, view);
+      if (ghostState) {
+        // place the ghost by how much further than the player it has driven
+        drawGhost(ctx, ghostState.car, alpha, state.distance - ghostState.distance, view);
+      }
+      const blink = Math.floor(state.invulnerableTicks / 6) % 2 === 1;
+      drawCar(ctx, state.car, alpha, CAR_COLORS[player], state.shields, blink);
+      drawHud(ctx, hudLines(state, match.engines.length > 1 ? `P${player + 1}` : "", ghostState));
+      drawMeter(ctx, 12, 52, 100, 8, state.nitro, state.boosting ? "#F472B6" : "#22D3EE");
+      if (state.damage === "health") {
+        const health = state.health / damageSettings(state.damage).start;
+        drawMeter(ctx, state.width - 112, 12, 100, 10, health, healthColor(health));
+      }
+      const overlay = overlayText(
+        state,
+        player,
+        match.engines.length,
+        result,
+        newBestRef.current,
+        running
+      );
+      if (overlay) {
+        const placement = state.gameOver ? placementLines(placementRef.current) : [];
+        drawOverlay(ctx, state.width, state.height, ...overlay, [...placement, ...damageLines(state)]);
+      }
+    });
   };
 
-  useEffect(() => {
-    rafRef.current = requestAnimationFrame(loop);
-    return () => cancelAnimationFrame(rafRef.current);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [running, gameOver]); // re-bind loop on state changes that influence update/draw
+  useGameLoop({ update, render, stepMs: STEP_MS, running });
+
+  const match = matchRef.current;
+  const result = showStatusBar && gameOver && players > 1 ? match.result() : null;
 
   return (
     <div>
       <div className="controls" aria-label="Racing controls">
         <button
           className="btn"
-          onClick={() => setRunning(true)}
+          onClick={() => (gameOver ? restart() : setRunning(true))}
           aria-label="Start/Resume racing game"
           disabled={!gameOver && running}
         >
@@ -242,7 +443,7 @@ export default function CarEscapeGame({ width = 400, height = 600 }) {
         </button>
         <button
           className="btn ghost"
-          onClick={() => setRunning(false)}
+          onClick={pause}
           aria-label="Pause racing game"
           disabled={!running}
         >
@@ -250,27 +451,109 @@ export default function CarEscapeGame({ width = 400, height = 600 }) {
         </button>
         <button
           className="btn secondary"
-          onClick={restart}
+          onClick={() => restart()}
           aria-label="Restart racing game"
         >
           ↺ Restart
         </button>
+        <label htmlFor="racing-difficulty" style={{ marginLeft: 8 }}>
+          Difficulty:
+        </label>
+        <select
+          id="racing-difficulty"
+          className="select"
+          value={difficulty}
+          onChange={(e) => setDifficulty(e.target.value)}
+          aria-label="Racing difficulty"
+        >
+          {RACING_DIFFICULTIES.map((d) => (
+            <option key={d} value={d}>
+              {d[0].toUpperCase() + d.slice(1)}
+            </option>
+          ))}
+        </select>
+        <label htmlFor="racing-damage" style={{ marginLeft: 8 }}>
+          Damage:
+        </label>
+        <select
+          id="racing-damage"
+          className="select"
+          value={damage}
+          onChange={(e) => setDamage(e.target.value)}
+          aria-label="Racing damage mode"
+        >
+          {DAMAGE_MODES.map((d) => (
+            <option key={d} value={d}>
+              {DAMAGE_LABELS[d]}
+            </option>
+          ))}
+        </select>
+        <label htmlFor="racing-mode" style={{ marginLeft: 8 }}>
+          Mode:
+        </label>
+        <select
+          id="racing-mode"
+          className="select"
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          aria-label="Racing mode"
+        >
+          <option value="solo">Solo</option>
+          <option value="versus">Versus (2P)</option>
+        </select>
+        {players === 1 && (
+          <button
+            className={ghostOn ? "btn" : "btn ghost"}
+            onClick={() => setGhostOn((on) => !on)}
+            aria-pressed={ghostOn}
+            aria-label="Race against the ghost of your best run"
+          >
+            👻 Ghost
+          </button>
+        )}
         <span style={{ color: "var(--muted)", marginLeft: 8 }}>
-          Controls: ← → arrows, R to restart
+          {players > 1
+            ? "Controls: P1 W A S D + left Shift, P2 arrows + right Shift, Space pause, R to restart"
+            : "Controls: ← → steer, ↑ ↓ throttle/brake, Shift nitro, Space pause, R to restart"}
         </span>
       </div>
 
-      <div className="canvas-wrap">
-        <canvas
-          ref={canvasRef}
-          width={width}
-          height={height}
-          role="img"
-          aria-label="Car escape racing game canvas"
-          style={{ display: "block", outline: "none" }}
-          tabIndex={0}
-        />
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 12 }}>
+        {Array.from({ length: players }, (_, player) => (
+          <div className="canvas-wrap" key={player}>
+            <canvas
+              ref={(el) => {
+                canvasRefs.current[player] = el;
+              }}
+              width={width}
+              height={height}
+              role="img"
+              aria-label={
+                players > 1
+                  ? `Car escape racing game canvas, player ${player + 1}`
+                  : "Car escape racing game canvas"
+              }
+              style={{ display: "block", outline: "none" }}
+              tabIndex={0}
+            />
+          </div>
+        ))}
       </div>
+
+      {result && (
+        <StatusBar
+          items={[
+            {
+              label: "Result",
+              value: result.draw ? "Draw" : `Player ${result.winner + 1} lasted longer`,
+            },
+            ...match.engines.map(({ state }, player) => ({
+              label: `P${player + 1}`,
+              value: `${seconds(state)} · ${state.score} pts`,
+            })),
+          ]}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,48 @@
+/**
+ * Car Escape damage models: what hitting a crash hazard costs.
+ *
+ * Each mode has a pool the car loses from on every hit it takes:
+ * - "crash":  one life, any hit ends the run (the classic game)
+ * - "lives":  3 lives; a head-on hit costs a life, a glancing one half
+ * - "health": a 100-point health bar; head-on hits cost 40, glancing 15
+ *
+ * A hit is glancing when the car and the hazard overlap across less than
+ * GLANCING_OVERLAP of the narrower one's width (clipping a corner rather
+ * than driving into it). After a hit that does not end the run the car is
+ * invulnerable for `invulnerableTicks` and drives through hazards
+ * unharmed. A held shield absorbs a hit before any of this.
+ */
+
+// PUBLIC_INTERFACE
+export const DAMAGE_MODES = ["crash", "lives", "health"];
+
+// PUBLIC_INTERFACE
+export const DAMAGE_SETTINGS = {
+  crash: { pool: "lives", start: 1, headOn: 1, glancing: 1, invulnerableTicks: 0 },
+  lives: { pool: "lives", start: 3, headOn: 1, glancing: 0.5, invulnerableTicks: 90 },
+  health: { pool: "health", start: 100, headOn: 40, glancing: 15, invulnerableTicks: 90 },
+};
+
+// PUBLIC_INTERFACE
+export const GLANCING_OVERLAP = 0.4;
+
+// PUBLIC_INTERFACE
+export function damageSettings(mode) {
+  /** Settings for a damage mode; throws an Error for unknown modes. */
+  const settings = DAMAGE_SETTINGS[mode];
+  if (!settings) throw new Error(`Unknown damage mode: ${mode}`);
+  return settings;
+}
+
+// PUBLIC_INTERFACE
+export function hitSeverity(car, ob) {
+  /** "glancing" or "head-on" for two overlapping { x, w } rectangles. */
+  const overlap = Math.min(car.x + car.w, ob.x + ob.w) - Math.max(car.x, ob.x);
+  return overlap < GLANCING_OVERLAP * Math.min(car.w, ob.w) ? "glancing" : "head-on";
+}
+
+// PUBLIC_INTERFACE
+export function hitCost(settings, severity) {
+  /** How much of the pool a hit of `severity` takes. */
+  return severity === "glancing" ? settings.glancing : settings.headOn;
+}
@@ -0,0 +1,27 @@
+/**
+ * Damage model tests: modes, hit severity and what hits cost.
+ */
+
+import { DAMAGE_MODES, damageSettings, hitCost, hitSeverity } from "./damage";
+
+test("every mode has settings, unknown ones throw", () => {
+  DAMAGE_MODES.forEach((mode) => expect(damageSettings(mode).start).toBeGreaterThan(0));
+  expect(() => damageSettings("godmode")).toThrow("Unknown damage mode");
+});
+
+test("clipping a corner is glancing, driving into something is head-on", () => {
+  const car = { x: 100, w: 40 };
+  expect(hitSeverity(car, { x: 100, w: 40 })).toBe("head-on");
+  expect(hitSeverity(car, { x: 80, w: 100 })).toBe("head-on");
+  expect(hitSeverity(car, { x: 130, w: 40 })).toBe("glancing");
+  expect(hitSeverity(car, { x: 50, w: 60 })).toBe("glancing");
+});
+
+test("glancing hits cost less than head-on ones, except in one-hit mode", () => {
+  ["lives", "health"].forEach((mode) => {
+    const settings = damageSettings(mode);
+    expect(hitCost(settings, "glancing")).toBeLessThan(hitCost(settings, "head-on"));
+  });
+  const crash = damageSettings("crash");
+  expect(hitCost(crash, "glancing")).toBe(crash.start);
+});
@@ -0,0 +1,108 @@
+/**
+ * Car Escape director: decides how hard the road is as a run goes on.
+ *
+ * Difficulty is a `level` from 0 to 1 that grows with the distance driven
+ * and reaches 1 after the difficulty's `rampDistance` px. As it grows:
+ * - the gap between spawns shrinks from `startGap` to `minGap` px of road
+ * - everything on the road closes in faster, up to `rush` px per tick on
+ *   top of the road speed
+ * - scripted waves become more likely (`waveChance` at level 1) and more
+ *   complex patterns unlock (each WAVE_PATTERNS entry has a `minLevel`)
+ *
+ * A wave is a few rows of barriers spaced WAVE_ROW_GAP px apart. Every row
+ * leaves at least one lane open and the open lane moves at most one lane
+ * between rows, far enough apart to steer across, so a wave never traps
+ * the player.
+ */
+
+// PUBLIC_INTERFACE
+export const RACING_DIFFICULTIES = ["easy", "normal", "hard"];
+
+// PUBLIC_INTERFACE
+export const DIFFICULTY_SETTINGS = {
+  easy: { startGap: 300, minGap: 170, rush: 1, rampDistance: 60000, waveChance: 0.15 },
+  normal: { startGap: 250, minGap: 130, rush: 2, rampDistance: 45000, waveChance: 0.25 },
+  hard: { startGap: 200, minGap: 95, rush: 3, rampDistance: 30000, waveChance: 0.35 },
+};
+
+// PUBLIC_INTERFACE
+export const WAVE_ROW_GAP = 360;
+
+/**
+ * rows:  how many rows of barriers
+ * open:  lanes left open in each row (at least one is always open)
+ * shift: lanes the open lane may move between rows (0 or 1)
+ */
+// PUBLIC_INTERFACE
+export const WAVE_PATTERNS = [
+  { id: "wall", minLevel: 0.1, rows: 1, open: 2, shift: 0 },
+  { id: "gate", minLevel: 0.25, rows: 1, open: 1, shift: 0 },
+  { id: "chicane", minLevel: 0.45, rows: 2, open: 1, shift: 1 },
+  { id: "slalom", minLevel: 0.7, rows: 4, open: 1, shift: 1 },
+];
+
+// PUBLIC_INTERFACE
+export function difficultySettings(difficulty) {
+  /** Settings for a difficulty name; throws an Error for unknown names. */
+  const settings = DIFFICULTY_SETTINGS[difficulty];
+  if (!settings) throw new Error(`Unknown racing difficulty: ${difficulty}`);
+  return settings;
+}
+
+// PUBLIC_INTERFACE
+export function directorLevel(settings, distance) {
+  /** Difficulty level (0..1) after `distance` px of road. */
+  return Math.min(1, Math.max(0, distance / settings.rampDistance));
+}
+
+// PUBLIC_INTERFACE
+export function spawnGapAt(settings, level) {
+  /** Px of road between spawns at a level. */
+  return settings.startGap + (settings.minGap - settings.startGap) * level;
+}
+
+// PUBLIC_INTERFACE
+export function rushAt(settings, level) {
+  /** Extra closing speed (px per tick) of newly spawned objects at a level. */
+  return settings.rush * level;
+}
+
+// PUBLIC_INTERFACE
+export function pickWave(settings, level, random) {
+  /**
+   * Maybe start a wave: returns one of the patterns unlocked at `level`, or
+   * null for an ordinary spawn. Draws nothing from `random` while no
+   * pattern is unlocked.
+   */
+  const unlocked = WAVE_PATTERNS.filter((p) => level >= p.minLevel);
+  if (unlocked.length === 0) return null;
+  if (random() >= settings.waveChance * level) return null;
+  return unlocked[Math.floor(random() * unlocked.length)];
+}
+
+// PUBLIC_INTERFACE
+export function planWave(pattern, lanes, random) {
+  /**
+   * Lay out a wave on a road with `lanes` lanes: returns one entry per row,
+   * front row first, as { open, blocked } lane index arrays.
+   */
+  const rows = [];
+  let lane = Math.floor(random() * lanes);
+  for (let i = 0; i < pattern.rows; i += 1) {
+    if (i > 0 && pattern.shift) {
+      const dir = random() < 0.5 ? -1 : 1;
+      let next = lane + dir * pattern.shift;
+      if (next < 0 || next >= lanes) next = lane - dir * pattern.shift; // bounce off the edge
+      lane = Math.min(Math.max(next, 0), lanes - 1);
+    }
+    const open = new Set([lane]);
+    const extra = Math.min(pattern.open, lanes) - 1;
+    while (open.size <= extra) open.add(Math.floor(random() * lanes));
+    const all = Array.from({ length: lanes }, (_, l) => l);
+    rows.push({
+      open: all.filter((l) => open.has(l)),
+      blocked: all.filter((l) => !open.has(l)),
+    });
+  }
+  return rows;
+}
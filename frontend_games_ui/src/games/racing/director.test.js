@@ -0,0 +1,79 @@
+/**
+ * Director tests: the difficulty ramp, wave unlocking and wave fairness.
+ */
+
+import { createRng } from "../../utils/rng";
+import {
+  difficultySettings,
+  directorLevel,
+  pickWave,
+  planWave,
+  RACING_DIFFICULTIES,
+  rushAt,
+  spawnGapAt,
+  WAVE_PATTERNS,
+} from "./director";
+
+test("the level ramps with distance, faster on harder settings, and stops at 1", () => {
+  const [easy, normal, hard] = RACING_DIFFICULTIES.map(difficultySettings);
+  expect(directorLevel(normal, 0)).toBe(0);
+  expect(directorLevel(easy, 20000)).toBeLessThan(directorLevel(normal, 20000));
+  expect(directorLevel(normal, 20000)).toBeLessThan(directorLevel(hard, 20000));
+  expect(directorLevel(hard, 1e9)).toBe(1);
+  expect(() => difficultySettings("insane")).toThrow("Unknown racing difficulty");
+});
+
+test("spawns get closer and faster as the level rises", () => {
+  const normal = difficultySettings("normal");
+  expect(spawnGapAt(normal, 0)).toBe(normal.startGap);
+  expect(spawnGapAt(normal, 0.5)).toBeLessThan(normal.startGap);
+  expect(spawnGapAt(normal, 1)).toBe(normal.minGap);
+  expect(rushAt(normal, 0)).toBe(0);
+  expect(rushAt(normal, 1)).toBe(normal.rush);
+  expect(spawnGapAt(difficultySettings("hard"), 1)).toBeLessThan(spawnGapAt(normal, 1));
+});
+
+test("waves only start once a pattern is unlocked, and harder ones unlock later", () => {
+  const normal = difficultySettings("normal");
+  let draws = 0;
+  const random = () => {
+    draws += 1;
+    return 0;
+  };
+  expect(pickWave(normal, 0, random)).toBeNull();
+  expect(draws).toBe(0);
+
+  const seen = new Set();
+  const rng = createRng(5);
+  for (let i = 0; i < 2000; i += 1) {
+    const early = pickWave(normal, 0.3, rng);
+    if (early) expect(early.minLevel).toBeLessThanOrEqual(0.3);
+    const late = pickWave(normal, 1, rng);
+    if (late) seen.add(late.id);
+  }
+  expect(seen).toEqual(new Set(WAVE_PATTERNS.map((p) => p.id)));
+});
+
+test("every wave row leaves a lane open, reachable from the row before", () => {
+  const rng = createRng(11);
+  for (let lanes = 1; lanes <= 6; lanes += 1) {
+    WAVE_PATTERNS.forEach((pattern) => {
+      for (let n = 0; n < 50; n += 1) {
+        const rows = planWave(pattern, lanes, rng);
+        expect(rows).toHaveLength(pattern.rows);
+        rows.forEach((row, i) => {
+          expect(row.open.length).toBeGreaterThanOrEqual(1);
+          expect([...row.open, ...row.blocked].sort()).toEqual(
+            Array.from({ length: lanes }, (_, l) => l)
+          );
+          if (i > 0) {
+            const reachable = row.open.some((a) =>
+              rows[i - 1].open.some((b) => Math.abs(a - b) <= 1)
+            );
+            expect(reachable).toBe(true);
+          }
+        });
+      }
+    });
+  }
+});
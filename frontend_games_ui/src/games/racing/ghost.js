@@ -0,0 +1,189 @@
+/**
+ * Car Escape ghosts: a recording of a run that can be driven again next to
+ * the player.
+ *
+ * A recording stores the starting conditions (seed, difficulty, road,
+ * damage mode)
+ * and every control change as [tick, control, 1|0], where tick is
+ * `state.ticks` when the key went down or up (it takes effect on the next
+ * step). The engine is deterministic for a seed, so feeding the changes back
+ * through createRacingEngine drives the same run again; the solo game keeps
+ * the best run per difficulty and damage mode and races new runs on its
+ * seed against it. Each profile keeps its own best runs.
+ *
+ * Format (version 1):
+ * { v: 1, seed, difficulty, road, damage, width, height, lanes,
+ *   inputs: [[tick, control, 1|0], ...], ticks, score, distance, date }
+ *
+ * `road` is the road style (see ./road) and `damage` the damage mode (see
+ * ./damage); recordings without them were driven on a straight road with
+ * one-hit crashes.
+ */
+
+import { createRacingEngine, RACING_CONTROLS } from "./racingEngine";
+import { RACING_DIFFICULTIES } from "./director";
+import { ROAD_STYLES } from "./road";
+import { DAMAGE_MODES } from "./damage";
+import { profileKey } from "../../utils/profiles";
+
+export const GHOST_VERSION = 1;
+
+const STORAGE_PREFIX = "racing.ghost.";
+
+/** One best run per profile, difficulty and damage mode (one-hit runs keep the plain key). */
+const storageKey = ({ difficulty, damage = "crash" }, userId) =>
+  profileKey(userId, STORAGE_PREFIX + (damage === "crash" ? difficulty : `${difficulty}.${damage}`));
+
+// PUBLIC_INTERFACE
+export function createGhostRecording({ seed, difficulty, road, damage, width, height, lanes }) {
+  /** Start an empty recording for a run with an engine's starting conditions. */
+  return {
+    v: GHOST_VERSION,
+    seed,
+    difficulty,
+    road,
+    damage,
+    width,
+    height,
+    lanes,
+    inputs: [],
+    ticks: 0,
+    score: 0,
+    distance: 0,
+    date: null,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function recordInput(recording, tick, control, pressed) {
+  /** Append a control change made while the engine was at `tick`. */
+  recording.inputs.push([tick, control, pressed ? 1 : 0]);
+}
+
+// PUBLIC_INTERFACE
+export function finishRecording(recording, state) {
+  /** Stamp the final tick count, score and distance once the run ends. */
+  recording.ticks = state.ticks;
+  recording.score = state.score;
+  recording.distance = state.distance;
+  recording.date = new Date().toISOString();
+  return recording;
+}
+
+// PUBLIC_INTERFACE
+export function parseGhost(text) {
+  /**
+   * Parse and validate a recording from JSON text (or an already-parsed
+   * object). Throws an Error describing the problem when it is unusable.
+   */
+  const data = typeof text === "string" ? JSON.parse(text) : text;
+  if (!data || typeof data !== "object") {
+    throw new Error("Ghost must be a JSON object.");
+  }
+  if (data.v !== GHOST_VERSION) {
+    throw new Error(`Unsupported ghost version: ${data.v}`);
+  }
+  const dims = [data.seed, data.width, data.height, data.lanes, data.ticks, data.score];
+  if (!dims.every((n) => Number.isInteger(n) && n >= 0)) {
+    throw new Error("Ghost is missing its seed, road size, tick count or score.");
+  }
+  if (!RACING_DIFFICULTIES.includes(data.difficulty)) {
+    throw new Error(`Unknown racing difficulty: ${data.difficulty}`);
+  }
+  if (data.road !== undefined && !ROAD_STYLES.includes(data.road)) {
+    throw new Error(`Unknown road style: ${data.road}`);
+  }
+  if (data.damage !== undefined && !DAMAGE_MODES.includes(data.damage)) {
+    throw new Error(`Unknown damage mode: ${data.damage}`);
+  }
+  if (!Array.isArray(data.inputs)) {
+    throw new Error("Ghost inputs must be an array.");
+  }
+  data.inputs.forEach((entry) => {
+    const [tick, control, pressed] = Array.isArray(entry) ? entry : [];
+    if (!Number.isInteger(tick) || !RACING_CONTROLS.includes(control) || ![0, 1].includes(pressed)) {
+      throw new Error(`Invalid ghost input: ${JSON.stringify(entry)}`);
+    }
+  });
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export function createGhostPlayer(recording) {
+  /**
+   * Drive a fresh engine from a recording.
+   * Returns { engine, recording, step(), reset(), isDone() }; each step()
+   * applies the changes recorded for the current tick and advances the
+   * engine once.
+   */
+  const engine = createRacingEngine({
+    width: recording.width,
+    height: recording.height,
+    lanes: recording.lanes,
+    difficulty: recording.difficulty,
+    road: recording.road ?? "straight",
+    damage: recording.damage ?? "crash",
+    seed: recording.seed,
+  });
+  let cursor = 0;
+
+  function reset() {
+    engine.reset(recording.seed);
+    cursor = 0;
+  }
+
+  function isDone() {
+    return engine.state.gameOver || engine.state.ticks >= recording.ticks;
+  }
+
+  function step() {
+    if (isDone()) return engine.state;
+    const tick = engine.state.ticks;
+    while (cursor < recording.inputs.length && recording.inputs[cursor][0] <= tick) {
+      const [, control, pressed] = recording.inputs[cursor];
+      engine.setInput(control, pressed === 1);
+      cursor += 1;
+    }
+    return engine.step();
+  }
+
+  reset();
+
+  return { engine, recording, step, reset, isDone };
+}
+
+// PUBLIC_INTERFACE
+export function loadGhost({ difficulty, road, damage, width, height, lanes }, userId) {
+  /**
+   * A profile's stored best run for a difficulty and damage mode, or null if
+   * there is none, it is invalid or it was driven on another kind or size of
+   * road. `userId` is the profile (see utils/profiles).
+   */
+  try {
+    const raw = localStorage.getItem(storageKey({ difficulty, damage }, userId));
+    const ghost = raw ? parseGhost(raw) : null;
+    const sameRoad =
+      ghost &&
+      (ghost.road ?? "straight") === road &&
+      ghost.width === width &&
+      ghost.height === height &&
+      ghost.lanes === lanes;
+    if (!sameRoad) return null;
+    return ghost;
+  } catch (_err) {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function storeGhost(recording, userId) {
+  /**
+   * Persist a recording as a profile's best run for its difficulty and damage
+   * mode; storage errors are ignored.
+   */
+  try {
+    localStorage.setItem(storageKey(recording, userId), JSON.stringify(recording));
+  } catch (_err) {
+    // ignore storage errors
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Ghost tests: a recorded run drives the same way again, bad recordings
+ * are rejected and best runs are kept per profile.
+ */
+
+import { createRacingEngine } from "./racingEngine";
+import {
+  createGhostPlayer,
+  createGhostRecording,
+  finishRecording,
+  loadGhost,
+  parseGhost,
+  recordInput,
+  storeGhost,
+} from "./ghost";
+
+// drive an engine with a scripted set of key changes, recording them
+function recordRun(seed) {
+  const eng = createRacingEngine({ seed, difficulty: "hard" });
+  const rec = createGhostRecording(eng.state);
+  const press = (control, pressed) => {
+    eng.setInput(control, pressed);
+    recordInput(rec, eng.state.ticks, control, pressed);
+  };
+  press("up", true);
+  while (!eng.state.gameOver && eng.state.ticks < 3000) {
+    const t = eng.state.ticks;
+    if (t % 40 === 0) press("left", (t / 40) % 2 === 0);
+    if (t % 40 === 20) press("right", (t / 40) % 3 === 0);
+    if (t === 300) press("nitro", true);
+    if (t === 360) press("nitro", false);
+    eng.step();
+  }
+  return { eng, rec: finishRecording(rec, eng.state) };
+}
+
+test("a recording survives JSON and drives the same run again", () => {
+  const { eng, rec } = recordRun(77);
+  expect(rec.inputs.length).toBeGreaterThan(3);
+  const ghost = createGhostPlayer(parseGhost(JSON.stringify(rec)));
+  while (!ghost.isDone()) ghost.step();
+  const a = ghost.engine.state;
+  const b = eng.state;
+  expect(a.ticks).toBe(b.ticks);
+  expect(a.score).toBe(b.score);
+  expect(a.distance).toBe(rec.distance);
+  expect(a.car.x).toBe(b.car.x);
+  expect(a.gameOver).toBe(b.gameOver);
+
+  ghost.reset();
+  expect(ghost.engine.state.ticks).toBe(0);
+  expect(ghost.isDone()).toBe(false);
+});
+
+test("invalid recordings are rejected", () => {
+  const rec = createGhostRecording(createRacingEngine({ seed: 1 }).state);
+  expect(() => parseGhost(JSON.stringify(rec))).not.toThrow();
+  expect(() => parseGhost({ ...rec, v: 99 })).toThrow("Unsupported ghost version");
+  expect(() => parseGhost({ ...rec, seed: "x" })).toThrow();
+  expect(() => parseGhost({ ...rec, difficulty: "insane" })).toThrow("Unknown racing difficulty");
+  expect(() => parseGhost({ ...rec, damage: "godmode" })).toThrow("Unknown damage mode");
+  expect(() => parseGhost({ ...rec, inputs: [[0, "jump", 1]] })).toThrow("Invalid ghost input");
+  expect(() => parseGhost({ ...rec, inputs: [[0, "left", true]] })).toThrow("Invalid ghost input");
+  expect(() => parseGhost("null")).toThrow();
+});
+
+test("each profile keeps its own best run", () => {
+  localStorage.clear();
+  const { eng, rec } = recordRun(5);
+  storeGhost(rec, "p-ana");
+  expect(loadGhost(eng.state, "p-ana")).toEqual(rec);
+  expect(loadGhost(eng.state, "p-ben")).toBeNull();
+  expect(loadGhost(eng.state)).toBeNull();
+});
@@ -0,0 +1,16 @@
+import CarEscapeGame from "./CarEscapeGame.jsx";
+import { RACING_DIFFICULTIES } from "./director";
+
+export { default } from "./CarEscapeGame.jsx";
+
+// PUBLIC_INTERFACE
+export const racingGame = {
+  id: "racing",
+  title: "Racing",
+  icon: "🚗",
+  description: "Car Escape: dodge traffic on a winding road, solo against your ghost or split-screen.",
+  component: CarEscapeGame,
+  defaultProps: { width: 400, height: 600 },
+  flag: "enableRacing",
+  scoreFilter: { key: "difficulty", label: "Difficulty", options: RACING_DIFFICULTIES },
+};
@@ -0,0 +1,575 @@
+/**
+ * Pure racing engine for Car Escape: the player's car steers between lanes
+ * while obstacles fall down the road; touching one ends the run.
+ *
+ * Like createSnakeEngine this is a plain-JS state machine with no DOM or
+ * React dependency: the caller feeds inputs with setInput(control, pressed),
+ * steps it and draws `state`.
+ *
+ * Time runs on a fixed timestep of STEP_MS (60 Hz): step() simulates exactly
+ * one tick, and the caller runs it from a fixed-step loop (utils/gameLoop).
+ * Each tick keeps the previous positions (`car.prevX`, `ob.prevY`) so
+ * renderers can interpolate between the last two ticks with the loop's
+ * alpha. The game therefore plays the same at any frame rate, and the same
+ * seed and per-tick inputs always produce the same run.
+ *
+ * Randomness (obstacle lanes, sizes and speeds) comes from a seeded RNG, so a
+ * seed plus the same inputs reproduces a run. Pass `seed` or inject `rng`;
+ * the active seed is `state.seed` (null when `rng` is injected). Spawns are
+ * scheduled by distance driven (`state.nextSpawn`) and traffic lane changes
+ * draw from a second stream derived from the seed, so two engines with the
+ * same seed meet the same sequence of objects however differently they are
+ * driven (split-screen races rely on this).
+ *
+ * Rules (speeds are px per tick, see CAR_PHYSICS for the tuning):
+ * - The player sets the road speed `state.speed`: up accelerates, down
+ *   brakes, and with neither it slowly coasts down, never below minSpeed
+ * - Nitro adds extra acceleration and a higher top speed while the meter
+ *   (`state.nitro`, 0..1) lasts; the meter refills slowly while nitro is
+ *   not held
+ * - Steering has inertia: left/right accelerate the car sideways
+ *   (`car.vx`), which bleeds off when released; the car stays 10 px inside
+ *   the road edges
+ * - The car drifts up the screen as it speeds up and back down as it slows
+ * - The road (./road) is straight, or with `road: "winding"` generated from
+ *   the seed: bends push the car towards their outside (harder the faster
+ *   it goes) and the road narrows and widens, so the car is kept inside the
+ *   road edges where it is and objects spawn only in lanes that are open.
+ *   Positions are in the road's own frame (as if it were straight); screen
+ *   row y is `distanceAtRow(state, y)` px along the road, and renderers bend
+ *   the picture by the road's curve (the engine's `road`)
+ * - The road has up to `lanes` lanes; every `state.spawnGap` px of road a
+ *   hazard or pickup (see ./roadObjects; the type is a weighted pick from
+ *   `spawnWeights`) appears in a random lane and scrolls down at the road
+ *   speed minus its own forward speed. They all live in `state.obstacles`
+ *   with a `type`; traffic cars sometimes drift into a neighbouring lane
+ * - The director (./director) ramps `state.level` with the distance for the
+ *   chosen `difficulty`: spawns get closer together, objects close in faster
+ *   and scripted waves of barriers (always with an open lane) start to
+ *   appear instead of single spawns. Until a wave has passed the car,
+ *   hazards spawned after it keep out of its open lanes
+ *   (`state.waveGuard`) and the next wave keeps a row gap behind it.
+ *   Passing `spawnGap` fixes the gap
+ * - Objects that leave the bottom of the road are dropped
+ * - Touching a crash hazard is a hit (logged in `state.hits`) unless a
+ *   shield (`state.shields`) absorbs it. What a hit costs depends on the
+ *   `damage` mode (see ./damage): by default the first one sets
+ *   `state.gameOver` (further steps do nothing); with lives or health it
+ *   takes some of `state.lives` or `state.health`, less for glancing hits,
+ *   and the car is invulnerable for `state.invulnerableTicks` after it,
+ *   until the pool runs out. Cones cost points, oil
+ *   makes steering slippery for a while (`state.slipTicks`), and pickups
+ *   give points, shields or a score multiplier (`state.multiplier` for
+ *   `state.multiplierTicks`)
+ * - Distance driven scores points (`distance` / 4, times the multiplier), so
+ *   driving faster scores faster; `state.score` is the whole-point total
+ */
+
+import { createRng, normalizeSeed, randomSeed } from "../../utils/rng";
+import {
+  DEFAULT_SPAWN_WEIGHTS,
+  MAX_SHIELDS,
+  normalizeSpawnWeights,
+  pickRoadObjectType,
+  ROAD_OBJECT_TYPES,
+} from "./roadObjects";
+import {
+  difficultySettings,
+  directorLevel,
+  pickWave,
+  planWave,
+  rushAt,
+  spawnGapAt,
+  WAVE_ROW_GAP,
+} from "./director";
+import { createRoad } from "./road";
+import { damageSettings, hitCost, hitSeverity } from "./damage";
+
+// PUBLIC_INTERFACE
+export const RACING_CONTROLS = ["left", "right", "up", "down", "nitro"];
+
+// PUBLIC_INTERFACE
+export const STEP_MS = 1000 / 60;
+
+// PUBLIC_INTERFACE
+export const CAR_PHYSICS = {
+  minSpeed: 3,
+  startSpeed: 4,
+  maxSpeed: 10,
+  nitroMaxSpeed: 14,
+  accel: 0.08, // per tick while holding up
+  brake: 0.2, // per tick while holding down
+  coast: 0.01, // per tick with neither
+  nitroAccel: 0.25,
+  nitroDrain: 1 / 90, // a full meter lasts 1.5 s
+  nitroRefill: 1 / 600, // and refills in 10 s
+  steerAccel: 0.9,
+  steerMax: 7,
+  steerGrip: 0.75, // sideways speed kept per tick without steering
+  slipSteer: 0.35, // steering strength on oil
+  slipGrip: 0.97, // and how long the slide lasts
+  curvePull: 2.5, // px per tick outwards in the sharpest bend at top speed
+  distancePerPoint: 4,
+};
+
+const LANE_CHANGE_CHANCE = 0.01; // per tick, for traffic cars
+const LANE_CHANGE_SPEED = 1.2; // px per tick
+const TRAFFIC_SEED_SALT = 0x9e3779b9;
+
+const CAR_W = 40;
+const CAR_H = 70;
+const EDGE_MARGIN = 10;
+const EMPTY_INPUT = { left: false, right: false, up: false, down: false, nitro: false };
+
+// PUBLIC_INTERFACE
+export function rectsOverlap(a, b) {
+  /** Axis-aligned overlap test for { x, y, w, h } rectangles (touching counts). */
+  return !(a.x + a.w < b.x || a.x > b.x + b.w || a.y + a.h < b.y || a.y > b.y + b.h);
+}
+
+// PUBLIC_INTERFACE
+export function distanceAtRow(state, y, distance = state.distance) {
+  /** Distance along the road shown on screen row y (the bottom row is `distance`). */
+  return distance + state.height - y;
+}
+
+// PUBLIC_INTERFACE
+export function createRacingEngine({
+  width = 400,
+  height = 600,
+  lanes = 4,
+  seed,
+  rng,
+  difficulty = "normal",
+  road = "straight",
+  damage = "crash",
+  spawnGap,
+  spawnWeights = DEFAULT_SPAWN_WEIGHTS,
+} = {}) {
+  let random = rng;
+  let trafficRandom = rng;
+  const P = CAR_PHYSICS;
+  const director = difficultySettings(difficulty);
+  const damageRules = damageSettings(damage);
+  const firstGap = spawnGap ?? spawnGapAt(director, 0);
+  const spawnTable = normalizeSpawnWeights(spawnWeights);
+  const laneWidth = width / lanes;
+  const track = createRoad({ style: road, lanes, laneWidth });
+  const maxOwnSpeed = Math.max(...spawnTable.map(([type]) => ROAD_OBJECT_TYPES[type].speed[1]));
+
+  // screen rows the car sits on at minimum and at full nitro speed
+  const lowY = height - 100;
+  const highY = height * 0.45;
+
+  function newCar() {
+    const x = width / 2 - CAR_W / 2;
+    return {
+      x,
+      prevX: x,
+      y: lowY,
+      prevY: lowY,
+      vx: 0,
+      w: CAR_W,
+      h: CAR_H,
+    };
+  }
+
+  const state = {
+    width,
+    height,
+    lanes,
+    difficulty,
+    road,
+    damage,
+    seed: null,
+    car: newCar(),
+    obstacles: [],
+    input: { ...EMPTY_INPUT },
+    speed: P.startSpeed, // road scroll speed
+    nitro: 1, // meter, 0..1
+    boosting: false,
+    distance: 0, // px of road driven
+    prevDistance: 0,
+    points: 0, // fractional score
+    shields: 0,
+    multiplier: 1,
+    multiplierTicks: 0,
+    slipTicks: 0,
+    lives: damageRules.pool === "lives" ? damageRules.start : null,
+    health: damageRules.pool === "health" ? damageRules.start : null,
+    invulnerableTicks: 0,
+    hits: [], // { tick, type, severity, cost, shielded } per crash hazard hit
+    level: 0, // director difficulty, 0..1
+    waves: 0, // waves spawned so far
+    waveGuard: null, // { until, lanes } open wave lanes hazards keep out of
+    nextWave: 0, // distance before which no wave starts
+    spawnGap: firstGap,
+    nextSpawn: firstGap, // distance at which the next spawn is due
+    ticks: 0,
+    elapsed: 0, // ms of simulated time
+    score: 0,
+    gameOver: false,
+  };
+
+  /** Restart the RNG from a seed (injected RNGs are left alone). */
+  function seedRandom(nextSeed) {
+    if (rng) return;
+    state.seed = normalizeSeed(nextSeed);
+    random = createRng(state.seed);
+    track.reset(state.seed);
+    trafficRandom = createRng(state.seed ^ TRAFFIC_SEED_SALT);
+  }
+
+  seedRandom(seed === undefined ? randomSeed() : seed);
+
+  /**
+   * PUBLIC_INTERFACE
+   * Press or release a control (see RACING_CONTROLS).
+   * Returns false for unknown controls.
+   */
+  function setInput(control, pressed) {
+    if (!RACING_CONTROLS.includes(control)) return false;
+    state.input[control] = Boolean(pressed);
+    return true;
+  }
+
+  const between = ([min, max]) => min + random() * (max - min);
+
+  /** Objects without a type (hand-placed in tests, older states) are barriers. */
+  const kindOf = (ob) => ROAD_OBJECT_TYPES[ob.type] || ROAD_OBJECT_TYPES.barrier;
+
+  /** Left edge that centres an object of width w on `lane` (spanning `span` lanes). */
+  const laneX = (lane, span, w) => lane * laneWidth + (span * laneWidth - w) / 2;
+
+  /** Put a road object of `type` in `lane`, with its bottom edge at `bottom`. */
+  function placeObject(type, lane, bottom, speed) {
+    const kind = ROAD_OBJECT_TYPES[type];
+    const span = Math.min(kind.lanes, lanes);
+    const w = kind.width ?? span * laneWidth * 0.66;
+    const h = between(kind.height);
+    const x = laneX(lane, span, w);
+    const ob = {
+      type,
+      lane,
+      x,
+      prevX: x,
+      targetX: x,
+      y: bottom - h,
+      prevY: bottom - h,
+      w,
+      h,
+      speed, // its own forward speed
+    };
+    state.obstacles.push(ob);
+    return ob;
+  }
+
+  /** Open lanes where the next spawn appears (the top of the screen when it falls due). */
+  const spawnLanes = () => track.laneRangeAt(state.nextSpawn + height);
+
+  /** The wave guard while it still covers the next spawn, else null. */
+  const activeGuard = () =>
+    state.waveGuard && state.nextSpawn < state.waveGuard.until ? state.waveGuard : null;
+
+  /**
+   * PUBLIC_INTERFACE
+   * Add a road object just above the top of the road, in a random open lane
+   * it fits in. The type is drawn from the spawn weights unless given.
+   * While a wave is on its way past the car, hazards keep out of the lanes
+   * it leaves open (and traffic stays in its lane); when there is no room
+   * for one nothing spawns and null is returned.
+   */
+  function spawnObstacle(type = pickRoadObjectType(spawnTable, random)) {
+    const kind = ROAD_OBJECT_TYPES[type];
+    if (!kind) throw new Error(`Unknown road object type: ${type}`);
+    const { first, count } = spawnLanes();
+    const span = Math.min(kind.lanes, count);
+    const guard = kind.kind === "hazard" ? activeGuard() : null;
+    const fits = (lane) =>
+      !guard || guard.lanes.every((open) => open < lane || open >= lane + span);
+    const choices = Array.from({ length: count - span + 1 }, (_, i) => first + i).filter(fits);
+    if (choices.length === 0) return null;
+    const lane = choices[Math.floor(random() * choices.length)];
+    const speed = between(kind.speed) - rushAt(director, state.level);
+    const ob = placeObject(type, lane, 0, speed);
+    if (guard && kind.laneChange) ob.keepLane = true;
+    return ob;
+  }
+
+  /**
+   * Lay a wave's rows of barriers above the road, front row first (each
+   * barrier is tagged with its `wave` and `row`). Its barriers all share one
+   * speed so the rows keep their spacing, and it is no faster than anything
+   * that can be on the road so nothing ahead ends up in its open lanes.
+   * Whatever spawns after it is slower and catches up, so the wave guard
+   * keeps hazards out of its open lanes for as much road as the slowest
+   * car needs to leave the whole wave behind, and the next wave keeps at
+   * least a row gap behind it. Returns the px of road the wave takes up.
+   */
+  function spawnWave(pattern) {
+    const speed = Math.max(-rushAt(director, state.level), maxOwnSpeed);
+    const { first, count } = spawnLanes();
+    const open = new Set();
+    planWave(pattern, count, random).forEach((row, i) => {
+      row.open.forEach((lane) => open.add(first + lane));
+      row.blocked.forEach((lane) => {
+        const ob = placeObject("barrier", first + lane, -i * WAVE_ROW_GAP, speed);
+        ob.wave = state.waves;
+        ob.row = i;
+      });
+    });
+    state.waves += 1;
+
+    const span = (pattern.rows - 1) * WAVE_ROW_GAP;
+    // road driven while the rows move `px` down the screen at the slowest speed
+    const roadFor = (px) => (px * P.minSpeed) / (P.minSpeed - speed);
+    const until = state.nextSpawn + roadFor(span + ROAD_OBJECT_TYPES.barrier.height[1] + height);
+    state.nextWave = state.nextSpawn + roadFor(span + WAVE_ROW_GAP);
+    const guard = activeGuard();
+    state.waveGuard = {
+      until: Math.max(until, guard ? guard.until : 0),
+      lanes: [...new Set([...(guard ? guard.lanes : []), ...open])],
+    };
+    return span;
+  }
+
+  /**
+   * Ask the director what comes next, a wave or a single object, and when.
+   * Everything here depends only on where the spawn was due, not on how
+   * the car got there.
+   */
+  function spawnNext() {
+    state.level = directorLevel(director, state.nextSpawn);
+    if (spawnGap === undefined) state.spawnGap = spawnGapAt(director, state.level);
+    const wave = state.nextSpawn >= state.nextWave && pickWave(director, state.level, random);
+    if (wave) {
+      state.nextSpawn += spawnWave(wave);
+    } else {
+      spawnObstacle();
+    }
+    state.nextSpawn += state.spawnGap;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Start a new run. Without an argument the current seed is replayed.
+   */
+  function reset(nextSeed = state.seed) {
+    seedRandom(nextSeed);
+    state.car = newCar();
+    state.obstacles = [];
+    state.input = { ...EMPTY_INPUT };
+    state.speed = P.startSpeed;
+    state.nitro = 1;
+    state.boosting = false;
+    state.distance = 0;
+    state.prevDistance = 0;
+    state.points = 0;
+    state.shields = 0;
+    state.multiplier = 1;
+    state.multiplierTicks = 0;
+    state.slipTicks = 0;
+    state.lives = damageRules.pool === "lives" ? damageRules.start : null;
+    state.health = damageRules.pool === "health" ? damageRules.start : null;
+    state.invulnerableTicks = 0;
+    state.hits = [];
+    state.level = 0;
+    state.waves = 0;
+    state.waveGuard = null;
+    state.nextWave = 0;
+    state.spawnGap = firstGap;
+    state.nextSpawn = firstGap;
+    state.ticks = 0;
+    state.elapsed = 0;
+    state.score = 0;
+    state.gameOver = false;
+  }
+
+  /** Throttle, brake, coasting and nitro. */
+  function updateSpeed(input) {
+    state.boosting = input.nitro && state.nitro > 0;
+    let { speed } = state;
+    if (state.boosting) {
+      speed += P.nitroAccel;
+      state.nitro = Math.max(0, state.nitro - P.nitroDrain);
+    } else {
+      if (input.up) speed += P.accel;
+      // the meter only refills once the nitro key is let go
+      if (!input.nitro) state.nitro = Math.min(1, state.nitro + P.nitroRefill);
+    }
+    if (input.down) speed -= P.brake;
+    if (!input.up && !input.down && !state.boosting) speed -= P.coast;
+    // above the normal top speed (after a boost) the car eases back down
+    const top = state.boosting ? P.nitroMaxSpeed : Math.max(P.maxSpeed, speed - P.brake);
+    state.speed = Math.min(Math.max(speed, P.minSpeed), top);
+  }
+
+  /** Sideways inertia, the pull of bends, the road edges and the car's screen row. */
+  function updateCar(car, input) {
+    const here = distanceAtRow(state, car.y + car.h / 2);
+    const steer = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+    const slipping = state.slipTicks > 0;
+    const accel = slipping ? P.slipSteer : P.steerAccel;
+    car.vx = steer ? car.vx + steer * accel : car.vx * (slipping ? P.slipGrip : P.steerGrip);
+    car.vx = Math.min(Math.max(car.vx, -P.steerMax), P.steerMax);
+    const pull = -track.curveAt(here) * P.curvePull * (state.speed / P.maxSpeed) ** 2;
+    car.x += car.vx + pull;
+    const edges = track.edgesAt(here);
+    const minX = edges.left + EDGE_MARGIN;
+    const maxX = edges.right - EDGE_MARGIN - car.w;
+    if (car.x < minX || car.x > maxX) {
+      car.x = Math.min(Math.max(car.x, minX), maxX);
+      car.vx = 0;
+    }
+
+    const t = (state.speed - P.minSpeed) / (P.nitroMaxSpeed - P.minSpeed);
+    const targetY = lowY + (highY - lowY) * t;
+    car.y += (targetY - car.y) * 0.1;
+  }
+
+  /**
+   * Traffic cars now and then pick a neighbouring lane and drift into it
+   * (unless they spawned behind a wave, see spawnObstacle), and merge over
+   * when their lane ends.
+   */
+  function changeLanes(ob) {
+    if (!kindOf(ob).laneChange) return;
+    const { first, count } = track.laneRangeAt(distanceAtRow(state, ob.y + ob.h / 2));
+    const last = first + count - 1;
+    const moveTo = (lane) => {
+      ob.lane = lane;
+      ob.targetX = laneX(lane, 1, ob.w);
+    };
+    if (ob.lane < first || ob.lane > last) {
+      moveTo(Math.min(Math.max(ob.lane, first), last));
+    } else if (!ob.keepLane && ob.x === ob.targetX && trafficRandom() < LANE_CHANGE_CHANCE) {
+      const lane = ob.lane + (trafficRandom() < 0.5 ? -1 : 1);
+      if (lane >= first && lane <= last) moveTo(lane);
+    }
+    const dx = ob.targetX - ob.x;
+    ob.x += Math.sign(dx) * Math.min(Math.abs(dx), LANE_CHANGE_SPEED);
+  }
+
+  /**
+   * Take a hit from a crash hazard: a shield absorbs it, otherwise it costs
+   * lives or health by how squarely it landed. Returns true when the hazard
+   * is knocked off the road.
+   */
+  function hit(ob) {
+    if (state.invulnerableTicks > 0) return false;
+    const severity = hitSeverity(state.car, ob);
+    const entry = { tick: state.ticks, type: ob.type ?? "barrier", severity, cost: 0, shielded: false };
+    state.hits.push(entry);
+    if (state.shields > 0) {
+      state.shields -= 1;
+      entry.shielded = true;
+      return true;
+    }
+    const { pool } = damageRules;
+    entry.cost = hitCost(damageRules, severity);
+    state[pool] = Math.max(0, state[pool] - entry.cost);
+    if (state[pool] === 0) {
+      state.gameOver = true;
+      return false;
+    }
+    state.invulnerableTicks = damageRules.invulnerableTicks;
+    return true;
+  }
+
+  /**
+   * What touching an object does. Returns true when the object is used up
+   * and should leave the road.
+   */
+  function touch(ob) {
+    const kind = kindOf(ob);
+    switch (kind.contact) {
+      case "crash":
+        return hit(ob);
+      case "penalty":
+        state.points = Math.max(0, state.points - kind.points);
+        return true;
+      case "slip":
+        state.slipTicks = kind.ticks;
+        return false;
+      case "points":
+        state.points += kind.points;
+        return true;
+      case "shield":
+        state.shields = Math.min(MAX_SHIELDS, state.shields + 1);
+        return true;
+      case "multiplier":
+        state.multiplier = kind.factor;
+        state.multiplierTicks = kind.ticks;
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /** Count down timed effects. */
+  function tickEffects() {
+    if (state.slipTicks > 0) state.slipTicks -= 1;
+    if (state.invulnerableTicks > 0) state.invulnerableTicks -= 1;
+    if (state.multiplierTicks > 0) {
+      state.multiplierTicks -= 1;
+      if (state.multiplierTicks === 0) state.multiplier = 1;
+    }
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Advance the simulation by one fixed tick (STEP_MS):
+   * speed, steer, spawn, scroll obstacles, drop off-screen ones, check
+   * collisions and add score.
+   */
+  function step() {
+    if (state.gameOver) return state;
+
+    const { car, input } = state;
+    car.prevX = car.x;
+    car.prevY = car.y;
+    state.prevDistance = state.distance;
+    state.obstacles.forEach((ob) => {
+      ob.prevX = ob.x;
+      ob.prevY = ob.y;
+    });
+
+    tickEffects();
+    updateSpeed(input);
+    updateCar(car, input);
+
+    if (state.distance + state.speed >= state.nextSpawn) spawnNext();
+
+    state.obstacles.forEach((ob) => {
+      ob.y += state.speed - ob.speed;
+      changeLanes(ob);
+    });
+
+    state.ticks += 1;
+    state.elapsed = state.ticks * STEP_MS;
+    const used = new Set();
+    for (const ob of state.obstacles) {
+      if (rectsOverlap(car, ob) && touch(ob)) used.add(ob);
+      if (state.gameOver) break;
+    }
+    state.obstacles = state.obstacles.filter((ob) => ob.y < height + 50 && !used.has(ob));
+    if (state.gameOver) {
+      state.score = Math.floor(state.points);
+      return state;
+    }
+
+    state.distance += state.speed;
+    state.points += (state.speed / P.distancePerPoint) * state.multiplier;
+    state.score = Math.floor(state.points);
+    return state;
+  }
+
+  return {
+    state,
+    road: track,
+    setInput,
+    spawnObstacle,
+    step,
+    reset,
+  };
+}
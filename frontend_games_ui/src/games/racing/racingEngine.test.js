@@ -0,0 +1,528 @@
+/**
+ * Racing engine tests: steering limits, obstacle spawning, collisions,
+ * seeded determinism, frame-rate independence, road object types and
+ * damage modes.
+ */
+
+import {
+  CAR_PHYSICS,
+  createRacingEngine,
+  distanceAtRow,
+  rectsOverlap,
+  STEP_MS,
+} from "./racingEngine";
+import { MAX_SHIELDS, normalizeSpawnWeights, ROAD_OBJECT_TYPES } from "./roadObjects";
+import { createGameLoop } from "../../utils/gameLoop";
+
+test("rectsOverlap detects overlap and touching edges only", () => {
+  const a = { x: 0, y: 0, w: 10, h: 10 };
+  expect(rectsOverlap(a, { x: 5, y: 5, w: 10, h: 10 })).toBe(true);
+  expect(rectsOverlap(a, { x: 10, y: 0, w: 5, h: 5 })).toBe(true);
+  expect(rectsOverlap(a, { x: 11, y: 0, w: 5, h: 5 })).toBe(false);
+  expect(rectsOverlap(a, { x: 0, y: 20, w: 5, h: 5 })).toBe(false);
+});
+
+test("steering moves the car and stops at the road edges", () => {
+  const eng = createRacingEngine({ seed: 1 });
+  const x0 = eng.state.car.x;
+  expect(eng.setInput("left", true)).toBe(true);
+  eng.step();
+  expect(eng.state.car.x).toBe(x0 - CAR_PHYSICS.steerAccel);
+  for (let i = 0; i < 100; i += 1) eng.step();
+  expect(eng.state.car.x).toBe(10);
+  eng.setInput("left", false);
+  eng.setInput("right", true);
+  for (let i = 0; i < 200; i += 1) eng.step();
+  expect(eng.state.car.x).toBe(eng.state.width - 10 - eng.state.car.w);
+  expect(eng.setInput("jump", true)).toBe(false);
+});
+
+test("obstacles spawn every spawnGap px of road, inside a lane, above the road", () => {
+  const eng = createRacingEngine({ seed: 2, spawnGap: 40, spawnWeights: { barrier: 1 } });
+  for (let i = 1; i < 10; i += 1) eng.step(); // coasting a little under 4 px a tick
+  expect(eng.state.obstacles).toHaveLength(0);
+  eng.step();
+  eng.step();
+  expect(eng.state.obstacles).toHaveLength(1);
+  const ob = eng.state.obstacles[0];
+  const laneWidth = eng.state.width / eng.state.lanes;
+  expect(ob.x).toBeGreaterThanOrEqual(ob.lane * laneWidth);
+  expect(ob.x + ob.w).toBeLessThanOrEqual((ob.lane + 1) * laneWidth);
+  expect(ob.y).toBeLessThan(0);
+});
+
+test("obstacles scroll at the road speed minus their own and are dropped below the road", () => {
+  const eng = createRacingEngine({ seed: 3 });
+  const ob = eng.spawnObstacle();
+  ob.x = 0; // keep it out of the car's way
+  expect(ob.speed).toBeLessThan(CAR_PHYSICS.minSpeed);
+  const y0 = ob.y;
+  eng.step();
+  expect(ob.y).toBeCloseTo(y0 + eng.state.speed - ob.speed);
+  expect(ob.prevY).toBe(y0);
+  ob.y = eng.state.height + 49;
+  eng.step();
+  expect(eng.state.obstacles).toHaveLength(0);
+});
+
+test("hitting an obstacle ends the run and freezes the state", () => {
+  const eng = createRacingEngine({ seed: 4 });
+  const { car } = eng.state;
+  eng.state.obstacles.push({ x: car.x, y: car.y - 20, w: 20, h: 20, speed: 0 });
+  eng.step();
+  expect(eng.state.gameOver).toBe(true);
+  const score = eng.state.score;
+  for (let i = 0; i < 60; i += 1) eng.step();
+  expect(eng.state.score).toBe(score);
+});
+
+test("score follows the distance driven, so speed pays", () => {
+  const drive = (control) => {
+    const eng = createRacingEngine({ seed: 5, spawnGap: 1e9 });
+    if (control) eng.setInput(control, true);
+    for (let i = 0; i < 120; i += 1) eng.step();
+    expect(eng.state.score).toBe(Math.floor(eng.state.distance / CAR_PHYSICS.distancePerPoint));
+    return eng.state.score;
+  };
+  const coasting = drive(null);
+  const fast = drive("up");
+  const boosted = drive("nitro");
+  expect(fast).toBeGreaterThan(coasting);
+  expect(boosted).toBeGreaterThan(fast);
+});
+
+test("the same seed and inputs replay the same run; reset starts over", () => {
+  const play = (eng) => {
+    for (let i = 0; i < 300; i += 1) {
+      eng.setInput("left", i % 50 < 20);
+      eng.step();
+    }
+    return JSON.stringify(eng.state);
+  };
+  const a = createRacingEngine({ seed: 9 });
+  const b = createRacingEngine({ seed: 9 });
+  const first = play(a);
+  expect(play(b)).toBe(first);
+  a.reset();
+  expect(a.state.score).toBe(0);
+  expect(a.state.obstacles).toEqual([]);
+  expect(play(a)).toBe(first);
+});
+
+// fixed timestep
+
+// hold left for the first second, then right; input is sampled per frame
+// and the engine is stepped by the shared loop, as the game does
+function playAt(fps, ms) {
+  const eng = createRacingEngine({ seed: 21 });
+  const loop = createGameLoop({ update: () => eng.step(), render: () => {}, stepMs: STEP_MS });
+  const frame = 1000 / fps;
+  const frames = Math.round((ms * fps) / 1000);
+  for (let i = 0; i <= frames; i += 1) {
+    const t = i * frame;
+    eng.setInput("left", t < 1000);
+    eng.setInput("right", t >= 1000);
+    loop.frame(t);
+  }
+  return eng;
+}
+
+test("the game plays the same at 30, 60 and 144 fps", () => {
+  const ms = 1000 * 3; // the input switch at 1 s falls on a frame at each rate
+  const runs = [30, 60, 144].map((fps) => playAt(fps, ms).state);
+  const [a, b, c] = runs.map((st) =>
+    JSON.stringify({ car: st.car.x, obstacles: st.obstacles, score: st.score, ticks: st.ticks })
+  );
+  expect(runs[0].ticks).toBeGreaterThan(170);
+  expect(b).toBe(a);
+  expect(c).toBe(a);
+});
+
+// car handling
+
+const quiet = () => createRacingEngine({ seed: 1, spawnGap: 1e9 });
+const hold = (eng, ticks) => {
+  for (let i = 0; i < ticks; i += 1) eng.step();
+};
+
+test("up accelerates to the top speed and down brakes to the minimum", () => {
+  const eng = quiet();
+  eng.setInput("up", true);
+  hold(eng, 600);
+  expect(eng.state.speed).toBe(CAR_PHYSICS.maxSpeed);
+  eng.setInput("up", false);
+  eng.setInput("down", true);
+  hold(eng, 100);
+  expect(eng.state.speed).toBe(CAR_PHYSICS.minSpeed);
+});
+
+test("the car moves up the screen when fast and back down when slow", () => {
+  const eng = quiet();
+  const restY = eng.state.car.y;
+  eng.setInput("up", true);
+  hold(eng, 300);
+  expect(eng.state.car.y).toBeLessThan(restY - 50);
+  eng.setInput("up", false);
+  eng.setInput("down", true);
+  hold(eng, 300);
+  expect(eng.state.car.y).toBeGreaterThan(restY - 5);
+});
+
+test("steering has inertia: the car keeps sliding briefly after release", () => {
+  const eng = quiet();
+  eng.setInput("right", true);
+  hold(eng, 3);
+  const vx = eng.state.car.vx;
+  expect(vx).toBeCloseTo(3 * CAR_PHYSICS.steerAccel);
+  eng.setInput("right", false);
+  const x = eng.state.car.x;
+  eng.step();
+  expect(eng.state.car.x).toBeGreaterThan(x);
+  hold(eng, 60);
+  expect(Math.abs(eng.state.car.vx)).toBeLessThan(0.01);
+});
+
+test("nitro drains the meter, lifts the top speed, then refills", () => {
+  const eng = quiet();
+  eng.setInput("nitro", true);
+  hold(eng, 45);
+  expect(eng.state.boosting).toBe(true);
+  expect(eng.state.nitro).toBeCloseTo(0.5);
+  hold(eng, 60);
+  expect(eng.state.nitro).toBe(0);
+  expect(eng.state.boosting).toBe(false);
+  expect(eng.state.speed).toBeLessThanOrEqual(CAR_PHYSICS.nitroMaxSpeed);
+
+  eng.setInput("nitro", false);
+  hold(eng, 600);
+  expect(eng.state.nitro).toBe(1);
+  expect(eng.state.speed).toBeLessThanOrEqual(CAR_PHYSICS.maxSpeed);
+});
+
+// road objects
+
+// drop an object of `type` right in front of the car
+const place = (eng, type) => {
+  const ob = eng.spawnObstacle(type);
+  const { car } = eng.state;
+  ob.x = car.x;
+  ob.targetX = car.x;
+  ob.y = car.y - ob.h + 5;
+  return ob;
+};
+
+test("spawn weights pick the types; unknown types and empty tables throw", () => {
+  const eng = createRacingEngine({ seed: 3, spawnWeights: { coin: 1, truck: 0 } });
+  for (let i = 0; i < 5; i += 1) expect(eng.spawnObstacle().type).toBe("coin");
+  expect(() => createRacingEngine({ spawnWeights: { rocket: 1 } })).toThrow(
+    "Unknown road object type"
+  );
+  expect(() => normalizeSpawnWeights({ coin: 0 })).toThrow();
+  expect(() => normalizeSpawnWeights({ coin: -1 })).toThrow();
+  expect(() => eng.spawnObstacle("rocket")).toThrow("Unknown road object type");
+});
+
+test("trucks span two neighbouring lanes", () => {
+  const eng = createRacingEngine({ seed: 4 });
+  const laneWidth = eng.state.width / eng.state.lanes;
+  for (let i = 0; i < 20; i += 1) {
+    const ob = eng.spawnObstacle("truck");
+    expect(ob.lane).toBeLessThanOrEqual(eng.state.lanes - 2);
+    expect(ob.w).toBeGreaterThan(laneWidth);
+    expect(ob.x).toBeGreaterThanOrEqual(ob.lane * laneWidth);
+    expect(ob.x + ob.w).toBeLessThanOrEqual((ob.lane + 2) * laneWidth);
+  }
+});
+
+test("traffic cars drift into a neighbouring lane", () => {
+  const eng = quiet();
+  const ob = eng.spawnObstacle("car");
+  const laneWidth = eng.state.width / eng.state.lanes;
+  const startLane = ob.lane;
+  let steps = 0;
+  while (ob.lane === startLane && steps < 2000) {
+    ob.y = -ob.h; // keep it on screen and away from the car
+    eng.step();
+    steps += 1;
+  }
+  expect(Math.abs(ob.lane - startLane)).toBe(1);
+  for (let i = 0; i < 200; i += 1) {
+    ob.y = -ob.h;
+    eng.step();
+  }
+  expect(ob.x).toBeGreaterThanOrEqual(ob.lane * laneWidth);
+  expect(ob.x + ob.w).toBeLessThanOrEqual((ob.lane + 1) * laneWidth);
+});
+
+test("shields absorb crashes; without one a crash ends the run", () => {
+  const eng = quiet();
+  for (let i = 0; i <= MAX_SHIELDS; i += 1) {
+    place(eng, "shield");
+    eng.step();
+  }
+  expect(eng.state.shields).toBe(MAX_SHIELDS);
+  expect(eng.state.obstacles).toHaveLength(0);
+
+  for (let i = 0; i < MAX_SHIELDS; i += 1) {
+    place(eng, "barrier");
+    eng.step();
+    expect(eng.state.gameOver).toBe(false);
+  }
+  expect(eng.state.shields).toBe(0);
+  place(eng, "truck");
+  eng.step();
+  expect(eng.state.gameOver).toBe(true);
+});
+
+test("coins add points and cones take them away, never below zero", () => {
+  const eng = quiet();
+  place(eng, "cone");
+  eng.step();
+  expect(eng.state.score).toBe(0);
+  const before = eng.state.points;
+  place(eng, "coin");
+  eng.step();
+  expect(eng.state.points - before).toBeCloseTo(
+    ROAD_OBJECT_TYPES.coin.points + eng.state.speed / CAR_PHYSICS.distancePerPoint
+  );
+  place(eng, "cone");
+  eng.step();
+  expect(eng.state.score).toBeLessThan(ROAD_OBJECT_TYPES.coin.points);
+  expect(eng.state.obstacles).toHaveLength(0);
+});
+
+test("the multiplier doubles distance points until it runs out", () => {
+  const eng = quiet();
+  place(eng, "multiplier");
+  eng.step();
+  expect(eng.state.multiplier).toBe(ROAD_OBJECT_TYPES.multiplier.factor);
+  const before = eng.state.points;
+  eng.step();
+  expect(eng.state.points - before).toBeCloseTo(
+    (eng.state.speed / CAR_PHYSICS.distancePerPoint) * 2
+  );
+  for (let i = 0; i < ROAD_OBJECT_TYPES.multiplier.ticks; i += 1) eng.step();
+  expect(eng.state.multiplier).toBe(1);
+  expect(eng.state.multiplierTicks).toBe(0);
+});
+
+test("oil makes steering weaker and the car slides longer", () => {
+  const steerAfterOil = (oil) => {
+    const eng = quiet();
+    if (oil) {
+      place(eng, "oil");
+      eng.step();
+      expect(eng.state.slipTicks).toBeGreaterThan(0);
+    }
+    eng.setInput("right", true);
+    for (let i = 0; i < 3; i += 1) eng.step();
+    eng.setInput("right", false);
+    const vx = eng.state.car.vx;
+    for (let i = 0; i < 10; i += 1) eng.step();
+    return { vx, kept: eng.state.car.vx / vx };
+  };
+  const dry = steerAfterOil(false);
+  const oily = steerAfterOil(true);
+  expect(oily.vx).toBeLessThan(dry.vx);
+  expect(oily.kept).toBeGreaterThan(dry.kept);
+});
+
+// damage
+
+const engine = (damage) => createRacingEngine({ seed: 1, spawnGap: 1e9, damage });
+// drop a barrier in front of the car, overlapping it by `overlap` of its width
+const hitBy = (eng, overlap = 1) => {
+  const ob = eng.spawnObstacle("barrier");
+  const { car } = eng.state;
+  ob.w = car.w;
+  ob.x = car.x + car.w * (1 - overlap);
+  ob.y = car.y - ob.h + 5;
+  eng.step();
+  return eng.state.hits[eng.state.hits.length - 1];
+};
+const waitOut = (eng) => {
+  while (eng.state.invulnerableTicks > 0) eng.step();
+};
+
+test("lives: head-on hits cost a life, glancing ones half, then the run ends", () => {
+  const eng = engine("lives");
+  expect(eng.state.lives).toBe(3);
+  expect(eng.state.health).toBeNull();
+  expect(hitBy(eng)).toMatchObject({ severity: "head-on", cost: 1, shielded: false });
+  expect(eng.state.lives).toBe(2);
+  expect(eng.state.gameOver).toBe(false);
+  waitOut(eng);
+  expect(hitBy(eng, 0.2)).toMatchObject({ severity: "glancing", cost: 0.5 });
+  expect(eng.state.lives).toBe(1.5);
+  waitOut(eng);
+  hitBy(eng);
+  waitOut(eng);
+  hitBy(eng);
+  expect(eng.state.lives).toBe(0);
+  expect(eng.state.gameOver).toBe(true);
+  expect(eng.state.hits).toHaveLength(4);
+});
+
+test("health: hits take a bite out of the bar; the car blinks invulnerable after one", () => {
+  const eng = engine("health");
+  expect(eng.state.health).toBe(100);
+  hitBy(eng);
+  expect(eng.state.health).toBe(60);
+  expect(eng.state.invulnerableTicks).toBeGreaterThan(0);
+  // a second hit while invulnerable does nothing
+  const ob = eng.spawnObstacle("barrier");
+  ob.x = eng.state.car.x;
+  ob.y = eng.state.car.y - ob.h + 5;
+  eng.step();
+  expect(eng.state.health).toBe(60);
+  expect(eng.state.hits).toHaveLength(1);
+  waitOut(eng);
+  hitBy(eng, 0.2);
+  expect(eng.state.health).toBe(45);
+  eng.reset();
+  expect(eng.state.health).toBe(100);
+  expect(eng.state.hits).toEqual([]);
+});
+
+test("a shield absorbs a hit in any mode, and the log says so", () => {
+  const eng = engine("health");
+  eng.state.shields = 1;
+  expect(hitBy(eng)).toMatchObject({ shielded: true, cost: 0 });
+  expect(eng.state.health).toBe(100);
+  expect(eng.state.shields).toBe(0);
+});
+
+test("the default is one hit, and unknown modes throw", () => {
+  const eng = engine();
+  expect(eng.state.damage).toBe("crash");
+  hitBy(eng, 0.2);
+  expect(eng.state.gameOver).toBe(true);
+  expect(() => engine("godmode")).toThrow("Unknown damage mode");
+});
+
+// director
+
+test("difficulty picks the starting spawn gap; unknown ones throw", () => {
+  const gaps = ["easy", "normal", "hard"].map(
+    (difficulty) => createRacingEngine({ seed: 1, difficulty }).state.spawnGap
+  );
+  expect(gaps[0]).toBeGreaterThan(gaps[1]);
+  expect(gaps[1]).toBeGreaterThan(gaps[2]);
+  expect(() => createRacingEngine({ difficulty: "insane" })).toThrow();
+});
+
+test("far down the road spawns come closer and waves of barriers appear", () => {
+  const eng = createRacingEngine({ seed: 8, difficulty: "hard", spawnWeights: { coin: 1 } });
+  const startGap = eng.state.spawnGap;
+  eng.state.distance = 1e6;
+  eng.state.nextSpawn = 1e6;
+  eng.state.shields = Infinity; // drive through everything
+  let barriers = 0;
+  for (let i = 0; i < 3000; i += 1) {
+    eng.step();
+    barriers = Math.max(barriers, eng.state.obstacles.filter((ob) => ob.type === "barrier").length);
+  }
+  expect(eng.state.gameOver).toBe(false);
+  expect(eng.state.level).toBe(1);
+  expect(eng.state.spawnGap).toBeLessThan(startGap);
+  expect(eng.state.waves).toBeGreaterThan(0);
+  expect(barriers).toBeGreaterThan(1);
+});
+
+test("waves keep an open lane at the car's row while other objects catch up", () => {
+  // the lanes each wave row leaves open: those without one of its barriers
+  const openLanes = (eng, ob) => {
+    const blocked = eng.state.obstacles
+      .filter((o) => o.wave === ob.wave && o.row === ob.row)
+      .map((o) => o.lane);
+    return Array.from({ length: eng.state.lanes }, (_, l) => l).filter((l) => !blocked.includes(l));
+  };
+  // the car-wide strip down the middle of a lane, across the car's rows
+  const strip = (eng, lane) => {
+    const { car, width, lanes } = eng.state;
+    const laneWidth = width / lanes;
+    return { x: (lane + 0.5) * laneWidth - car.w / 2, y: car.y, w: car.w, h: car.h };
+  };
+  const crashes = (ob) => ROAD_OBJECT_TYPES[ob.type].contact === "crash";
+
+  ["normal", "hard"].forEach((difficulty) => {
+    [1, 2].forEach((seed) => {
+      // coast at the slowest speed, where objects close in on a wave fastest
+      const eng = createRacingEngine({ seed, difficulty });
+      eng.state.invulnerableTicks = Infinity; // drive through everything
+      const trapped = new Set();
+      for (let i = 0; i < 6 * 60 * 60; i += 1) {
+        eng.step();
+        const band = { x: 0, y: eng.state.car.y, w: eng.state.width, h: eng.state.car.h };
+        eng.state.obstacles
+          .filter((ob) => ob.wave !== undefined && rectsOverlap(ob, band))
+          .forEach((row) => {
+            const clear = openLanes(eng, row).some(
+              (lane) => !eng.state.obstacles.some((ob) => crashes(ob) && rectsOverlap(ob, strip(eng, lane)))
+            );
+            if (!clear) trapped.add(row.wave);
+          });
+      }
+      expect(eng.state.waves).toBeGreaterThan(10);
+      expect([difficulty, seed, [...trapped]]).toEqual([difficulty, seed, []]);
+    });
+  });
+});
+
+test("an explicit spawnGap stays fixed", () => {
+  const eng = createRacingEngine({ seed: 8, spawnGap: 120 });
+  eng.state.distance = 1e6;
+  eng.state.nextSpawn = 1e6;
+  eng.state.shields = Infinity;
+  for (let i = 0; i < 300; i += 1) eng.step();
+  expect(eng.state.spawnGap).toBe(120);
+});
+
+// winding road
+
+const winding = (options) => createRacingEngine({ seed: 6, road: "winding", ...options });
+
+test("bends push the car towards their outside, harder at speed", () => {
+  const drift = (speed) => {
+    const eng = winding({ spawnGap: 1e9 });
+    const { car, height } = eng.state;
+    // park the car's row in the middle of the first sharp right-hand bend
+    let d = 0;
+    while (eng.road.curveAt(d) < 0.5) d += 10;
+    eng.state.distance = d - (height - car.y - car.h / 2);
+    eng.state.speed = speed;
+    const x = car.x;
+    eng.step();
+    return car.x - x;
+  };
+  expect(drift(CAR_PHYSICS.minSpeed)).toBeLessThan(0);
+  expect(drift(CAR_PHYSICS.maxSpeed)).toBeLessThan(drift(CAR_PHYSICS.minSpeed));
+});
+
+test("the car stays on the road and objects spawn in open lanes", () => {
+  const eng = winding({ difficulty: "hard" });
+  const { height } = eng.state;
+  const laneWidth = eng.state.width / eng.state.lanes;
+  eng.state.shields = Infinity;
+  eng.setInput("up", true);
+  let spawned = 0;
+  for (let i = 0; i < 5000; i += 1) {
+    eng.setInput("left", i % 400 < 200);
+    eng.setInput("right", i % 400 >= 200);
+    const before = new Set(eng.state.obstacles);
+    const { first, count } = eng.road.laneRangeAt(eng.state.nextSpawn + height);
+    eng.step();
+    eng.state.obstacles
+      .filter((ob) => !before.has(ob) && ob.type !== "car")
+      .forEach((ob) => {
+        spawned += 1;
+        expect(ob.x).toBeGreaterThanOrEqual(first * laneWidth);
+        expect(ob.x + ob.w).toBeLessThanOrEqual((first + count) * laneWidth);
+      });
+    const { car } = eng.state;
+    const edges = eng.road.edgesAt(distanceAtRow(eng.state, car.y + car.h / 2));
+    expect(car.x).toBeGreaterThanOrEqual(edges.left);
+    expect(car.x + car.w).toBeLessThanOrEqual(edges.right);
+  }
+  expect(spawned).toBeGreaterThan(30);
+});
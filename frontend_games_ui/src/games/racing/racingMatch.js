@@ -0,0 +1,85 @@
+/**
+ * Local multiplayer for Car Escape: one racing engine per player, all
+ * started from the same seed so every player meets the same sequence of
+ * hazards and pickups (see the determinism notes in ./racingEngine).
+ *
+ * Each player drives their own road; a player who crashes stops while the
+ * others carry on. The match is over when everyone has crashed, and whoever
+ * lasted longest wins (the higher score breaks a tie).
+ */
+
+import { createRacingEngine } from "./racingEngine";
+import { randomSeed } from "../../utils/rng";
+
+// PUBLIC_INTERFACE
+export function matchResult(states) {
+  /**
+   * Result for a list of engine states: { over, winner, draw }. `winner` is
+   * a player index (null while running or on a draw).
+   */
+  const over = states.every((st) => st.gameOver);
+  if (!over) return { over, winner: null, draw: false };
+  const ranked = states
+    .map((st, player) => ({ player, ticks: st.ticks, score: st.score }))
+    .sort((a, b) => b.ticks - a.ticks || b.score - a.score);
+  const [first, second] = ranked;
+  const draw = Boolean(second) && first.ticks === second.ticks && first.score === second.score;
+  return { over, winner: draw ? null : first.player, draw };
+}
+
+// PUBLIC_INTERFACE
+export function createRacingMatch({ players = 2, seed, ...options } = {}) {
+  /**
+   * Create `players` engines sharing one seed (read it back from any
+   * engine's `state.seed`). Other options (width, height, difficulty,
+   * spawnWeights...) are passed to each engine.
+   */
+  let matchSeed = seed === undefined ? randomSeed() : seed;
+  const engines = Array.from({ length: players }, () =>
+    createRacingEngine({ ...options, seed: matchSeed })
+  );
+
+  /**
+   * PUBLIC_INTERFACE
+   * Press or release a control for one player. Returns false for unknown
+   * players or controls.
+   */
+  function setInput(player, control, pressed) {
+    const eng = engines[player];
+    return eng ? eng.setInput(control, pressed) : false;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Advance every engine by one fixed tick (the caller runs the fixed-step
+   * loop, see utils/gameLoop).
+   */
+  function step() {
+    engines.forEach((eng) => eng.step());
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Restart every engine on the same seed (the current one by default).
+   */
+  function reset(nextSeed = matchSeed) {
+    matchSeed = nextSeed;
+    engines.forEach((eng) => eng.reset(matchSeed));
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Current result, see matchResult().
+   */
+  function result() {
+    return matchResult(engines.map((eng) => eng.state));
+  }
+
+  return {
+    engines,
+    setInput,
+    step,
+    reset,
+    result,
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Racing match tests: shared obstacle sequences and results.
+ */
+
+import { createRacingMatch, matchResult } from "./racingMatch";
+
+function record(eng) {
+  const seen = [];
+  const step = eng.step;
+  return {
+    seen,
+    step() {
+      const before = new Set(eng.state.obstacles);
+      step();
+      // new objects as they spawned (prevX: traffic may already be changing lane)
+      eng.state.obstacles.forEach(({ type, prevX, w, h, speed }, i, all) => {
+        if (!before.has(all[i])) seen.push({ type, x: prevX, w, h, speed });
+      });
+    },
+  };
+}
+
+test("every player meets the same objects, however they drive", () => {
+  const match = createRacingMatch({ seed: 42 });
+  const [a, b] = match.engines.map(record);
+  match.engines.forEach((eng) => {
+    eng.state.shields = Infinity; // keep both alive
+  });
+  match.setInput(0, "up", true);
+  match.setInput(1, "down", true);
+  for (let i = 0; i < 2000; i += 1) {
+    match.setInput(0, "left", i % 90 < 30);
+    match.setInput(1, "right", i % 70 < 20);
+    a.step();
+    b.step();
+  }
+  // the fast player has driven further and met more, but the slow one's
+  // objects are a prefix of the same sequence
+  expect(match.engines[0].state.distance).toBeGreaterThan(match.engines[1].state.distance);
+  expect(a.seen.length).toBeGreaterThan(b.seen.length);
+  expect(b.seen.length).toBeGreaterThan(5);
+  expect(a.seen.slice(0, b.seen.length)).toEqual(b.seen);
+});
+
+test("the match ends when everyone has crashed; the longest survivor wins", () => {
+  const match = createRacingMatch({ seed: 3, spawnGap: 1e9 });
+  const crash = (player) => {
+    const { car } = match.engines[player].state;
+    match.engines[player].state.obstacles.push({ x: car.x, y: car.y, w: 10, h: 10, speed: 0 });
+  };
+  const run = (ticks) => {
+    for (let i = 0; i < ticks; i += 1) match.step();
+  };
+  match.step();
+  expect(match.engines.map((eng) => eng.state.ticks)).toEqual([1, 1]);
+  run(6);
+  crash(1);
+  run(6);
+  expect(match.result()).toEqual({ over: false, winner: null, draw: false });
+  run(6);
+  crash(0);
+  run(6);
+  expect(match.result()).toEqual({ over: true, winner: 0, draw: false });
+  expect(match.setInput(2, "left", true)).toBe(false);
+
+  match.reset(7);
+  expect(match.engines.map((eng) => eng.state.seed)).toEqual([7, 7]);
+  expect(match.result().over).toBe(false);
+});
+
+test("ties go to the higher score, then it's a draw", () => {
+  const st = (ticks, score) => ({ gameOver: true, ticks, score });
+  expect(matchResult([st(100, 5), st(100, 9)])).toEqual({ over: true, winner: 1, draw: false });
+  expect(matchResult([st(100, 9), st(100, 9)])).toEqual({ over: true, winner: null, draw: true });
+});
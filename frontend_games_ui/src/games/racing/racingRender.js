@@ -0,0 +1,306 @@
+/**
+ * Canvas drawing helpers for Car Escape, drawing a racing engine's `state`.
+ * Moving things take the engine's interpolation alpha and are drawn between
+ * their previous and current tick positions.
+ *
+ * The engine keeps everything in the road's own, straightened frame.
+ * roadView() works out how that frame bends on screen for one frame: it
+ * integrates the road's curve twice from the car's row outwards (so the car
+ * itself is never shifted) into a table of sideways shifts per ROW px of
+ * screen, which the road, scenery and objects are then drawn with. That is a
+ * few hundred plain rectangles per frame, cheap on a 2D canvas without a GPU.
+ */
+
+import { distanceAtRow } from "./racingEngine";
+
+const FONT = "system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+
+const ROW = 8; // screen px per road strip
+const CURVE_SCALE = 0.0012; // sideways px per px² of road in the sharpest bend
+const OVERDRAW = 200; // px above and below the screen that still get shifts
+
+const lerp = (from, to, alpha) => from + (to - from) * alpha;
+
+// PUBLIC_INTERFACE
+export function roadView(state, road = null, alpha = 1) {
+  /**
+   * The road as seen this frame: { road, distance, distanceAt(y), rowAt(d),
+   * edgesAt(d), shiftAt(y) }. Without a road (or on a straight one) nothing
+   * bends and the road spans the full width.
+   */
+  const { width, height, car } = state;
+  const distance = lerp(state.prevDistance ?? state.distance, state.distance, alpha);
+  const distanceAt = (y) => distanceAtRow(state, y, distance);
+  const rowAt = (d) => height - (d - distance);
+  const edgesAt = road ? road.edgesAt : () => ({ left: 0, right: width });
+  const view = { road, distance, distanceAt, rowAt, edgesAt, shiftAt: () => 0 };
+  if (!road || road.style === "straight") return view;
+
+  const carRow = lerp(car.prevY ?? car.y, car.y, alpha) + car.h / 2;
+  // shifts[i] for the row i * ROW px above (up) or below (down) the car
+  const integrate = (dir, rows) => {
+    const shifts = [0];
+    let slope = 0;
+    let x = 0;
+    for (let i = 1; i <= rows; i += 1) {
+      const k = road.curveAt(distanceAt(carRow - dir * (i - 0.5) * ROW)) * CURVE_SCALE;
+      slope += k * ROW;
+      x += slope * ROW;
+      shifts.push(x);
+    }
+    return shifts;
+  };
+  const up = integrate(1, Math.ceil((carRow + OVERDRAW) / ROW));
+  const down = integrate(-1, Math.ceil((height - carRow + OVERDRAW) / ROW));
+
+  view.shiftAt = (y) => {
+    const t = (carRow - y) / ROW;
+    const table = t >= 0 ? up : down;
+    const i = Math.min(Math.floor(Math.abs(t)), table.length - 2);
+    return lerp(table[i], table[i + 1], Math.abs(t) - i);
+  };
+  return view;
+}
+
+// PUBLIC_INTERFACE
+export function drawRoad(ctx, state, view = roadView(state)) {
+  /**
+   * Verge, road surface, rumble strips and lane markings, strip by strip so
+   * they follow the bends; the markings scroll with the distance driven.
+   */
+  const { width, height, lanes } = state;
+  const laneWidth = width / lanes;
+  ctx.fillStyle = "#0d2b25";
+  ctx.fillRect(0, 0, width, height);
+
+  for (let y = 0; y < height; y += ROW) {
+    const d = view.distanceAt(y + ROW / 2);
+    const shift = view.shiftAt(y + ROW / 2);
+    const { left, right } = view.edgesAt(d);
+    ctx.fillStyle = "#0b1220";
+    ctx.fillRect(left + shift, y, right - left, ROW + 1);
+
+    ctx.fillStyle = Math.floor(d / 40) % 2 ? "#ef4444" : "#e5e7eb";
+    ctx.fillRect(left + shift - 4, y, 4, ROW + 1);
+    ctx.fillRect(right + shift, y, 4, ROW + 1);
+
+    if (Math.floor(d / 28) % 2 === 0) {
+      ctx.fillStyle = "rgba(255,255,255,0.25)";
+      for (let i = 1; i < lanes; i += 1) {
+        const x = i * laneWidth;
+        if (x > left + 1 && x < right - 1) ctx.fillRect(x + shift - 1, y, 2, ROW + 1);
+      }
+    }
+  }
+}
+
+const SCENERY_DRAWERS = {
+  tree(ctx, x, y) {
+    ctx.fillStyle = "#166534";
+    ctx.beginPath();
+    ctx.arc(x, y, 12, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "#22C55E";
+    ctx.beginPath();
+    ctx.arc(x - 3, y - 3, 6, 0, Math.PI * 2);
+    ctx.fill();
+  },
+  bush(ctx, x, y) {
+    ctx.fillStyle = "#15803D";
+    ctx.beginPath();
+    ctx.arc(x, y, 7, 0, Math.PI * 2);
+    ctx.fill();
+  },
+  rock(ctx, x, y) {
+    ctx.fillStyle = "#6B7280";
+    ctx.beginPath();
+    ctx.arc(x, y, 6, 0, Math.PI * 2);
+    ctx.fill();
+  },
+  lamp(ctx, x, y) {
+    ctx.fillStyle = "#9CA3AF";
+    ctx.fillRect(x - 1, y - 8, 2, 16);
+    ctx.fillStyle = "rgba(250, 204, 21, 0.8)";
+    ctx.beginPath();
+    ctx.arc(x, y - 8, 4, 0, Math.PI * 2);
+    ctx.fill();
+  },
+};
+
+// PUBLIC_INTERFACE
+export function drawScenery(ctx, state, view) {
+  /** Trees, bushes, rocks and lamps along the verges (winding roads only). */
+  if (!view.road) return;
+  const items = view.road.sceneryBetween(view.distanceAt(state.height + 20), view.distanceAt(-20));
+  items.forEach((item) => {
+    const y = view.rowAt(item.d);
+    const { left, right } = view.edgesAt(item.d);
+    const x = (item.side < 0 ? left - item.gap : right + item.gap) + view.shiftAt(y);
+    SCENERY_DRAWERS[item.kind](ctx, x, y);
+  });
+}
+
+// PUBLIC_INTERFACE
+export function drawCar(ctx, car, alpha = 1, color = "#F59E0B", shields = 0, blink = false) {
+  /**
+   * The player's car with a windshield stripe, ringed while shields are
+   * held; with `blink` it is drawn faded (flash it while invulnerable).
+   */
+  const x = lerp(car.prevX ?? car.x, car.x, alpha);
+  const y = lerp(car.prevY ?? car.y, car.y, alpha);
+  ctx.save();
+  if (blink) ctx.globalAlpha *= 0.25;
+  ctx.fillStyle = color;
+  ctx.fillRect(x, y, car.w, car.h);
+  ctx.fillStyle = "rgba(255,255,255,0.8)";
+  ctx.fillRect(x + 6, y + 10, car.w - 12, 10);
+  if (shields > 0) {
+    ctx.strokeStyle = "rgba(34, 211, 238, 0.8)";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x - 4, y - 4, car.w + 8, car.h + 8);
+  }
+  ctx.restore();
+}
+
+// PUBLIC_INTERFACE
+export function drawGhost(ctx, car, alpha = 1, offsetY = 0, view = null) {
+  /** A see-through car replaying a recorded run, drawn `offsetY` px lower. */
+  const y = lerp(car.prevY ?? car.y, car.y, alpha) + offsetY;
+  const dx = view ? view.shiftAt(y + car.h / 2) : 0;
+  const shifted = {
+    ...car,
+    x: car.x + dx,
+    prevX: (car.prevX ?? car.x) + dx,
+    y: car.y + offsetY,
+    prevY: (car.prevY ?? car.y) + offsetY,
+  };
+  ctx.save();
+  ctx.globalAlpha = 0.35;
+  drawCar(ctx, shifted, alpha, "#E5E7EB");
+  ctx.restore();
+}
+
+function drawLabel(ctx, text, x, y, color) {
+  ctx.fillStyle = color;
+  ctx.font = `bold 14px ${FONT}`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(text, x, y);
+  ctx.textAlign = "start";
+  ctx.textBaseline = "alphabetic";
+}
+
+const OBJECT_DRAWERS = {
+  barrier(ctx, x, y, w, h) {
+    ctx.fillStyle = "rgba(239, 68, 68, 0.9)";
+    ctx.fillRect(x, y, w, h);
+  },
+  car(ctx, x, y, w, h) {
+    ctx.fillStyle = "#3B82F6";
+    ctx.fillRect(x, y, w, h);
+    ctx.fillStyle = "rgba(255,255,255,0.7)";
+    ctx.fillRect(x + 6, y + h - 20, w - 12, 10); // rear window, it drives away from us
+  },
+  truck(ctx, x, y, w, h) {
+    ctx.fillStyle = "#6B7280";
+    ctx.fillRect(x, y, w, h);
+    ctx.fillStyle = "#9CA3AF";
+    ctx.fillRect(x + 4, y + 4, w - 8, h * 0.7);
+  },
+  oil(ctx, x, y, w, h) {
+    ctx.fillStyle = "rgba(15, 23, 42, 0.95)";
+    ctx.beginPath();
+    ctx.ellipse(x + w / 2, y + h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = "rgba(167, 139, 250, 0.5)";
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  },
+  cone(ctx, x, y, w, h) {
+    const cx = x + w / 2;
+    ctx.fillStyle = "#F97316";
+    ctx.beginPath();
+    ctx.moveTo(cx, y);
+    ctx.lineTo(cx + h / 2, y + h);
+    ctx.lineTo(cx - h / 2, y + h);
+    ctx.closePath();
+    ctx.fill();
+  },
+  coin(ctx, x, y, w, h) {
+    ctx.fillStyle = "#FACC15";
+    ctx.beginPath();
+    ctx.arc(x + w / 2, y + h / 2, w / 2, 0, Math.PI * 2);
+    ctx.fill();
+    drawLabel(ctx, "$", x + w / 2, y + h / 2 + 1, "#713F12");
+  },
+  shield(ctx, x, y, w, h) {
+    ctx.strokeStyle = "#22D3EE";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(x + w / 2, y + h / 2, w / 2 - 2, 0, Math.PI * 2);
+    ctx.stroke();
+    drawLabel(ctx, "S", x + w / 2, y + h / 2 + 1, "#22D3EE");
+  },
+  multiplier(ctx, x, y, w, h) {
+    ctx.fillStyle = "#A855F7";
+    ctx.fillRect(x, y, w, h);
+    drawLabel(ctx, "×2", x + w / 2, y + h / 2 + 1, "#fff");
+  },
+};
+
+// PUBLIC_INTERFACE
+export function drawObstacles(ctx, obstacles, alpha = 1, view = null) {
+  /**
+   * Road objects, each type with its own look (untyped ones as barriers),
+   * following the road's bends when given a roadView.
+   */
+  obstacles.forEach((ob) => {
+    const draw = OBJECT_DRAWERS[ob.type] || OBJECT_DRAWERS.barrier;
+    const y = lerp(ob.prevY ?? ob.y, ob.y, alpha);
+    const x = lerp(ob.prevX ?? ob.x, ob.x, alpha) + (view ? view.shiftAt(y + ob.h / 2) : 0);
+    draw(ctx, x, y, ob.w, ob.h);
+  });
+}
+
+// PUBLIC_INTERFACE
+export function drawHud(ctx, lines) {
+  /** Text lines in the top-left corner. */
+  ctx.fillStyle = "#fff";
+  ctx.font = `bold 16px ${FONT}`;
+  ctx.textAlign = "start";
+  lines.forEach((line, i) => ctx.fillText(line, 12, 22 + i * 20));
+}
+
+// PUBLIC_INTERFACE
+export function drawMeter(ctx, x, y, w, h, value, color) {
+  /** Horizontal gauge filled to `value` (0..1). */
+  ctx.fillStyle = "rgba(255,255,255,0.15)";
+  ctx.fillRect(x, y, w, h);
+  ctx.fillStyle = color;
+  ctx.fillRect(x, y, w * Math.min(Math.max(value, 0), 1), h);
+  ctx.strokeStyle = "rgba(255,255,255,0.5)";
+  ctx.lineWidth = 1;
+  ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+}
+
+// PUBLIC_INTERFACE
+export function drawOverlay(ctx, width, height, title, subtitle, lines = []) {
+  /**
+   * Dim the road and show a centred title with an optional subtitle and
+   * smaller detail lines below it.
+   */
+  const top = height / 2 - lines.length * 9;
+  ctx.fillStyle = "rgba(0,0,0,0.55)";
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = "#fff";
+  ctx.textAlign = "center";
+  ctx.font = `bold 28px ${FONT}`;
+  ctx.fillText(title, width / 2, top - 4);
+  if (subtitle) {
+    ctx.font = `bold 16px ${FONT}`;
+    ctx.fillText(subtitle, width / 2, top + 24);
+  }
+  ctx.font = `14px ${FONT}`;
+  lines.forEach((line, i) => ctx.fillText(line, width / 2, top + 52 + i * 18));
+  ctx.textAlign = "start";
+}
@@ -0,0 +1,196 @@
+/**
+ * Car Escape road geometry: a road built from segments along the distance
+ * driven.
+ *
+ * The engine works in the road's own frame, as if the road were straight:
+ * x runs across `lanes` lane slots of `laneWidth` px and distance runs
+ * along it. Each segment covers [start, end) px of distance and has
+ * - curve: -1..1, how hard the road bends (negative left, positive right);
+ *   it eases in and out over the segment (curveAt). Renderers bend the road
+ *   on screen by it, and the engine pushes the car towards the outside of
+ *   the bend
+ * - first, count: the lane slots that are road; the rest is verge. When the
+ *   count changes between segments the edges taper over TAPER px, and the
+ *   new lanes always overlap the old ones
+ *
+ * A "straight" road is one endless segment with every lane open. A
+ * "winding" road is generated from the seed on demand; it is a pure
+ * function of the seed and the distance, so engines sharing a seed drive
+ * the same road however fast they go. Roadside scenery (sceneryBetween) is
+ * likewise hashed from the seed and the distance, so it needs no storage.
+ */
+
+import { createRng, normalizeSeed } from "../../utils/rng";
+
+// PUBLIC_INTERFACE
+export const ROAD_STYLES = ["straight", "winding"];
+
+// PUBLIC_INTERFACE
+export const TAPER = 300;
+
+// PUBLIC_INTERFACE
+export const SCENERY_KINDS = ["tree", "bush", "rock", "lamp"];
+
+const ROAD_SEED_SALT = 0x85ebca6b;
+const FIRST_SEGMENT = 800; // a straight run-up before the first bend
+const MIN_SEGMENT = 500;
+const MAX_SEGMENT = 1400;
+const STRAIGHT_CHANCE = 0.35;
+const LANE_CHANGE_CHANCE = 0.35;
+const SCENERY_SPACING = 90; // px of road per scenery slot
+
+const randInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+/** Small integer hash for scenery slots (same inputs, same output). */
+function hash(seed, index) {
+  let h = Math.imul(seed ^ 0x27d4eb2d, 0x165667b1) ^ Math.imul(index, 0x9e3779b1);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca77);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae3d);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// PUBLIC_INTERFACE
+export function createRoad({ style = "straight", lanes = 4, laneWidth = 100, seed = 0 } = {}) {
+  /**
+   * Create a road. Returns { style, lanes, laneWidth, reset(seed),
+   * segmentAt(d), curveAt(d), laneRangeAt(d), edgesAt(d), sceneryBetween(from, to) }.
+   * Throws an Error for unknown styles.
+   */
+  if (!ROAD_STYLES.includes(style)) throw new Error(`Unknown road style: ${style}`);
+  const minLanes = Math.min(lanes, Math.max(2, lanes - 2));
+  let roadSeed = 0;
+  let random = null;
+  let segments = [];
+
+  /** Append the segment after `prev`. */
+  function nextSegment(prev) {
+    const length = randInt(random, MIN_SEGMENT, MAX_SEGMENT);
+    const straight = random() < STRAIGHT_CHANCE;
+    const bend = (random() < 0.5 ? -1 : 1) * (0.3 + 0.7 * random());
+    let { first, count } = prev;
+    if (random() < LANE_CHANGE_CHANCE) {
+      count = randInt(random, minLanes, lanes);
+      first =
+        count <= prev.count
+          ? prev.first + randInt(random, 0, prev.count - count) // narrow inside the old lanes
+          : randInt(
+              random,
+              Math.max(0, prev.first + prev.count - count), // or widen around them
+              Math.min(prev.first, lanes - count)
+            );
+    }
+    return { start: prev.end, end: prev.end + length, curve: straight ? 0 : bend, first, count };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Start the road over for a seed.
+   */
+  function reset(nextSeed = roadSeed) {
+    roadSeed = normalizeSeed(nextSeed);
+    random = createRng(roadSeed ^ ROAD_SEED_SALT);
+    const end = style === "straight" ? Infinity : FIRST_SEGMENT;
+    segments = [{ start: -Infinity, end, curve: 0, first: 0, count: lanes }];
+  }
+
+  /** Index of the segment covering distance d (generating road as needed). */
+  function segmentIndex(d) {
+    while (segments[segments.length - 1].end <= d) {
+      segments.push(nextSegment(segments[segments.length - 1]));
+    }
+    let lo = 0;
+    let hi = segments.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (segments[mid].end <= d) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * The segment covering distance d.
+   */
+  function segmentAt(d) {
+    return segments[segmentIndex(d)];
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Bend of the road at distance d (-1..1), eased in and out per segment.
+   */
+  function curveAt(d) {
+    const seg = segmentAt(d);
+    if (!seg.curve) return 0;
+    return seg.curve * Math.sin((Math.PI * (d - seg.start)) / (seg.end - seg.start));
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Lane slots that are fully road at distance d: { first, count }. Inside
+   * a taper only the lanes both segments share count.
+   */
+  function laneRangeAt(d) {
+    const i = segmentIndex(d);
+    const seg = segments[i];
+    if (i === 0 || d - seg.start >= TAPER) return { first: seg.first, count: seg.count };
+    const prev = segments[i - 1];
+    const first = Math.max(seg.first, prev.first);
+    const end = Math.min(seg.first + seg.count, prev.first + prev.count);
+    return { first, count: end - first };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Road edges at distance d in px: { left, right }, tapering from the
+   * previous segment's edges over the first TAPER px of a segment.
+   */
+  function edgesAt(d) {
+    const i = segmentIndex(d);
+    const seg = segments[i];
+    const left = seg.first * laneWidth;
+    const right = (seg.first + seg.count) * laneWidth;
+    const t = i === 0 ? 1 : Math.min(1, (d - seg.start) / TAPER);
+    if (t >= 1) return { left, right };
+    const prev = segments[i - 1];
+    return {
+      left: prev.first * laneWidth + (left - prev.first * laneWidth) * t,
+      right: (prev.first + prev.count) * laneWidth + (right - (prev.first + prev.count) * laneWidth) * t,
+    };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Scenery with distance in [from, to): [{ d, side: -1|1, gap, kind }],
+   * `gap` being px out from the road edge on that side.
+   */
+  function sceneryBetween(from, to) {
+    const items = [];
+    for (let i = Math.ceil(from / SCENERY_SPACING); i * SCENERY_SPACING < to; i += 1) {
+      const h = hash(roadSeed, i);
+      if (h % 3 === 0) continue; // leave some gaps
+      items.push({
+        d: i * SCENERY_SPACING + ((h >>> 4) % 40),
+        side: h & 1 ? 1 : -1,
+        gap: 14 + ((h >>> 10) % 40),
+        kind: SCENERY_KINDS[(h >>> 20) % SCENERY_KINDS.length],
+      });
+    }
+    return items;
+  }
+
+  reset(seed);
+
+  return {
+    style,
+    lanes,
+    laneWidth,
+    reset,
+    segmentAt,
+    curveAt,
+    laneRangeAt,
+    edgesAt,
+    sceneryBetween,
+  };
+}
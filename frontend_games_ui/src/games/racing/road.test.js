@@ -0,0 +1,79 @@
+/**
+ * Road tests: generated roads are deterministic, keep their lanes and
+ * edges consistent, and the straight road never changes.
+ */
+
+import { createRoad, ROAD_STYLES, TAPER } from "./road";
+
+const sample = (road, to, step = 50) => {
+  const out = [];
+  for (let d = 0; d < to; d += step) {
+    out.push({ curve: road.curveAt(d), lanes: road.laneRangeAt(d), edges: road.edgesAt(d) });
+  }
+  return out;
+};
+
+test("a straight road has no bends and every lane open", () => {
+  const road = createRoad({ lanes: 4, laneWidth: 100, seed: 3 });
+  sample(road, 50000, 500).forEach(({ curve, lanes, edges }) => {
+    expect(curve).toBe(0);
+    expect(lanes).toEqual({ first: 0, count: 4 });
+    expect(edges).toEqual({ left: 0, right: 400 });
+  });
+  expect(() => createRoad({ style: "spiral" })).toThrow("Unknown road style");
+  expect(ROAD_STYLES).toContain("winding");
+});
+
+test("a winding road depends only on the seed, not on how it is read", () => {
+  const a = createRoad({ style: "winding", seed: 12 });
+  const b = createRoad({ style: "winding", seed: 12 });
+  b.curveAt(30000); // generate far ahead first
+  expect(sample(b, 30000)).toEqual(sample(a, 30000));
+  expect(sample(createRoad({ style: "winding", seed: 13 }), 30000)).not.toEqual(sample(a, 30000));
+
+  a.reset(13);
+  expect(sample(a, 30000)).toEqual(sample(createRoad({ style: "winding", seed: 13 }), 30000));
+});
+
+test("it bends both ways and changes lane count within bounds", () => {
+  const road = createRoad({ style: "winding", lanes: 4, laneWidth: 100, seed: 5 });
+  const points = sample(road, 80000, 25);
+  expect(points.some((p) => p.curve > 0.2)).toBe(true);
+  expect(points.some((p) => p.curve < -0.2)).toBe(true);
+  const counts = new Set(points.map((p) => p.lanes.count));
+  expect(counts.size).toBeGreaterThan(1);
+  points.forEach(({ curve, lanes, edges }) => {
+    expect(Math.abs(curve)).toBeLessThanOrEqual(1);
+    expect(lanes.count).toBeGreaterThanOrEqual(2);
+    expect(lanes.first).toBeGreaterThanOrEqual(0);
+    expect(lanes.first + lanes.count).toBeLessThanOrEqual(4);
+    // open lanes are always fully inside the edges
+    expect(edges.left).toBeLessThanOrEqual(lanes.first * 100 + 1e-9);
+    expect(edges.right).toBeGreaterThanOrEqual((lanes.first + lanes.count) * 100 - 1e-9);
+  });
+  expect(points.slice(0, 800 / 25).every((p) => p.curve === 0)).toBe(true); // straight run-up
+});
+
+test("edges taper instead of jumping", () => {
+  const road = createRoad({ style: "winding", lanes: 4, laneWidth: 100, seed: 5 });
+  const step = 10;
+  let prev = road.edgesAt(0);
+  for (let d = step; d < 80000; d += step) {
+    const edges = road.edgesAt(d);
+    expect(Math.abs(edges.left - prev.left)).toBeLessThanOrEqual((200 * step) / TAPER + 1e-9);
+    expect(Math.abs(edges.right - prev.right)).toBeLessThanOrEqual((200 * step) / TAPER + 1e-9);
+    prev = edges;
+  }
+});
+
+test("scenery is the same every time it is asked for", () => {
+  const road = createRoad({ style: "winding", seed: 8 });
+  const items = road.sceneryBetween(1000, 3000);
+  expect(items.length).toBeGreaterThan(5);
+  expect(road.sceneryBetween(1000, 3000)).toEqual(items);
+  expect(road.sceneryBetween(1000, 2000)).toEqual(items.filter((it) => it.d < 2000 + 40));
+  items.forEach((it) => {
+    expect([-1, 1]).toContain(it.side);
+    expect(it.gap).toBeGreaterThan(0);
+  });
+});
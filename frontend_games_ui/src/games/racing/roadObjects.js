@@ -0,0 +1,93 @@
+/**
+ * Things that spawn on the Car Escape road: hazards to avoid and pickups to
+ * drive through.
+ *
+ * Each type describes its size and what touching it does:
+ * - lanes:  lanes it spans (its width is 66% of that unless `width` is set)
+ * - height: [min, max] px
+ * - speed:  [min, max] own forward speed in px per tick (kept below the
+ *           car's minimum speed, so everything scrolls towards the player)
+ * - contact:
+ *   "crash"      ends the run unless a shield absorbs it
+ *   "penalty"    costs `points` and the object is knocked away
+ *   "slip"       makes steering slippery for `ticks`
+ *   "points"     pickup worth `points`
+ *   "shield"     pickup: absorbs one crash (up to MAX_SHIELDS held)
+ *   "multiplier" pickup: distance points count `factor` times for `ticks`
+ * - laneChange: drifts into a neighbouring lane now and then
+ *
+ * Which type spawns next is a weighted random pick; weights are passed to
+ * createRacingEngine as `spawnWeights` ({ type: weight }).
+ */
+
+import { normalizeWeights, pickWeighted } from "../../utils/weights";
+
+// PUBLIC_INTERFACE
+export const ROAD_OBJECT_TYPES = {
+  barrier: { kind: "hazard", lanes: 1, height: [30, 60], speed: [0, 2], contact: "crash" },
+  car: {
+    kind: "hazard",
+    lanes: 1,
+    height: [60, 60],
+    speed: [1.5, 2.5],
+    contact: "crash",
+    laneChange: true,
+  },
+  truck: { kind: "hazard", lanes: 2, height: [110, 130], speed: [0.5, 1], contact: "crash" },
+  oil: { kind: "hazard", lanes: 1, height: [40, 50], speed: [0, 0], contact: "slip", ticks: 60 },
+  cone: {
+    kind: "hazard",
+    lanes: 1,
+    height: [24, 24],
+    speed: [0, 0],
+    contact: "penalty",
+    points: 50,
+  },
+  coin: {
+    kind: "pickup",
+    lanes: 1,
+    width: 24,
+    height: [24, 24],
+    speed: [0, 0],
+    contact: "points",
+    points: 100,
+  },
+  shield: { kind: "pickup", lanes: 1, width: 28, height: [28, 28], speed: [0, 0], contact: "shield" },
+  multiplier: {
+    kind: "pickup",
+    lanes: 1,
+    width: 28,
+    height: [28, 28],
+    speed: [0, 0],
+    contact: "multiplier",
+    factor: 2,
+    ticks: 600,
+  },
+};
+
+// PUBLIC_INTERFACE
+export const MAX_SHIELDS = 3;
+
+// PUBLIC_INTERFACE
+export const DEFAULT_SPAWN_WEIGHTS = {
+  barrier: 6,
+  car: 5,
+  truck: 2,
+  oil: 2,
+  cone: 3,
+  coin: 4,
+  shield: 1,
+  multiplier: 1,
+};
+
+// PUBLIC_INTERFACE
+export function normalizeSpawnWeights(weights = DEFAULT_SPAWN_WEIGHTS) {
+  /** Validate road object spawn weights (see normalizeWeights in utils/weights). */
+  return normalizeWeights(weights, ROAD_OBJECT_TYPES, "road object type");
+}
+
+// PUBLIC_INTERFACE
+export function pickRoadObjectType(entries, random) {
+  /** Weighted pick from normalizeSpawnWeights() output (one random draw). */
+  return pickWeighted(entries, random);
+}
@@ -0,0 +1,92 @@
+/**
+ * Game registry: the list of games the app offers, each described once by
+ * its own module and registered in ./index.
+ *
+ * A game descriptor:
+ * {
+ *   id,            // url- and DOM-safe key, e.g. "snake"
+ *   title,         // shown on tabs and the selection page
+ *   icon,          // an emoji shown next to the title
+ *   description,   // one line for the selection page
+ *   component,     // React component rendering the game
+ *   defaultProps,  // props the component is rendered with (optional)
+ *   flag,          // feature flag gating it, e.g. "enableSnake" (optional)
+ *   scoreFilter,   // the setting scores are compared by, e.g. { key: "speed",
+ *                  // label: "Speed", options: ["slow", ...] } (optional;
+ *                  // see utils/scores and the leaderboard)
+ * }
+ *
+ * A game is enabled unless its flag is set to false in the feature flags
+ * (see utils/env), so new games are on by default. The selection page, the
+ * Navbar tabs and the tab panels are all built from the enabled games, in
+ * registration order.
+ */
+
+const REQUIRED_FIELDS = ["id", "title", "icon", "description", "component"];
+
+// PUBLIC_INTERFACE
+export function isGameEnabled(game, featureFlags = {}) {
+  /** Whether the feature flags leave a game switched on. */
+  return !game.flag || featureFlags[game.flag] !== false;
+}
+
+// PUBLIC_INTERFACE
+export function createGameRegistry() {
+  /**
+   * Create an empty registry. Returns { register(game), list(), get(id),
+   * enabled(featureFlags) }.
+   */
+  const games = [];
+
+  /**
+   * PUBLIC_INTERFACE
+   * Add a game. Throws an Error when a required field is missing or the id
+   * is already taken.
+   */
+  function register(game) {
+    const missing = REQUIRED_FIELDS.filter((field) => !game || !game[field]);
+    if (missing.length) {
+      throw new Error(`Game is missing: ${missing.join(", ")}`);
+    }
+    if (!/^[a-z][a-z0-9-]*$/.test(game.id)) {
+      throw new Error(`Invalid game id: ${game.id}`);
+    }
+    if (games.some((g) => g.id === game.id)) {
+      throw new Error(`Game already registered: ${game.id}`);
+    }
+    const entry = { defaultProps: {}, flag: null, scoreFilter: null, ...game };
+    games.push(entry);
+    return entry;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Every registered game, in registration order.
+   */
+  function list() {
+    return [...games];
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * The game with an id, or null.
+   */
+  function get(id) {
+    return games.find((g) => g.id === id) || null;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * The games the feature flags leave switched on.
+   */
+  function enabled(featureFlags = {}) {
+    return games.filter((g) => isGameEnabled(g, featureFlags));
+  }
+
+  return {
+    register,
+    list,
+    get,
+    enabled,
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * Game registry tests: registration checks, lookup and feature flags.
+ */
+
+import { createGameRegistry, isGameEnabled } from "./registry";
+
+const game = (id, extra = {}) => ({
+  id,
+  title: id.toUpperCase(),
+  icon: "🎮",
+  description: `The ${id} game`,
+  component: () => null,
+  ...extra,
+});
+
+test("games are listed in registration order and found by id", () => {
+  const registry = createGameRegistry();
+  registry.register(game("snake", { flag: "enableSnake", defaultProps: { speed: 1 } }));
+  registry.register(game("racing"));
+  expect(registry.list().map((g) => g.id)).toEqual(["snake", "racing"]);
+  expect(registry.get("snake").defaultProps).toEqual({ speed: 1 });
+  expect(registry.get("racing")).toMatchObject({ defaultProps: {}, flag: null, scoreFilter: null });
+  expect(registry.get("chess")).toBeNull();
+});
+
+test("incomplete, badly named and duplicate games are rejected", () => {
+  const registry = createGameRegistry();
+  registry.register(game("snake"));
+  expect(() => registry.register(game("snake"))).toThrow("already registered");
+  expect(() => registry.register(game("Snake 2"))).toThrow("Invalid game id");
+  expect(() => registry.register({ ...game("pong"), component: undefined })).toThrow(
+    "Game is missing: component"
+  );
+  expect(() => registry.register(null)).toThrow("Game is missing");
+});
+
+test("a game is on unless its feature flag is set to false", () => {
+  const registry = createGameRegistry();
+  registry.register(game("snake", { flag: "enableSnake" }));
+  registry.register(game("racing", { flag: "enableRacing" }));
+  registry.register(game("pong"));
+  const ids = (flags) => registry.enabled(flags).map((g) => g.id);
+  expect(ids({})).toEqual(["snake", "racing", "pong"]);
+  expect(ids({ enableSnake: false })).toEqual(["racing", "pong"]);
+  expect(ids({ enableSnake: true, enableRacing: false })).toEqual(["snake", "pong"]);
+  expect(isGameEnabled(registry.get("pong"), { enablePong: false })).toBe(true);
+});
@@ -0,0 +1,71 @@
+import React, { useMemo, useRef } from "react";
+import { createSnakeEngine } from "./snakeEngine";
+import { createSnakeBot } from "./ai";
+import { getBuiltinLevel } from "./levels";
+import { drawBoard, drawFood, drawSnakes } from "./snakeRender";
+import useGameLoop from "../../hooks/useGameLoop";
+import { randomSeed } from "../../utils/rng";
+
+/**
+ * Attract-mode demo: two computer snakes playing each other on a small canvas.
+ * Restarts with a fresh seed shortly after each game ends. Ticks come from
+ * the shared runtime (useGameLoop). Purely decorative, so it is hidden from
+ * assistive technology.
+ *
+ * Props:
+ * - levelId: built-in level to play on (default "pillars")
+ * - cellSize: pixels per cell (default 10)
+ * - tickMs: milliseconds per engine step (default 90)
+ */
+// PUBLIC_INTERFACE
+export default function SnakeDemo({ levelId = "pillars", cellSize = 10, tickMs = 90 }) {
+  const canvasRef = useRef(null);
+  const level = getBuiltinLevel(levelId) || getBuiltinLevel("classic");
+
+  // a fresh match whenever the level changes; restartIn counts ticks after a game ends
+  const demo = useMemo(
+    () => ({
+      engine: createSnakeEngine({ level, players: 2, seed: randomSeed() }),
+      bots: [createSnakeBot({ difficulty: "hard" }), createSnakeBot({ difficulty: "normal" })],
+      restartIn: 0,
+    }),
+    [level]
+  );
+
+  const update = () => {
+    const { engine, bots } = demo;
+    if (engine.state.gameOver) {
+      demo.restartIn -= 1;
+      if (demo.restartIn <= 0) engine.reset(randomSeed());
+      return;
+    }
+    bots.forEach((bot, i) => {
+      const key = bot.chooseKey(engine, i);
+      if (key) engine.changeDirection(key, i);
+    });
+    engine.step();
+    if (engine.state.gameOver) demo.restartIn = 15;
+  };
+
+  const render = () => {
+    const ctx = canvasRef.current?.getContext("2d");
+    if (!ctx) return;
+    const { state } = demo.engine;
+    drawBoard(ctx, state.level, cellSize);
+    drawSnakes(ctx, state.snakes, cellSize);
+    drawFood(ctx, state.food, cellSize);
+  };
+
+  useGameLoop({ update, render, stepMs: tickMs });
+
+  return (
+    <div className="canvas-wrap" aria-hidden="true">
+      <canvas
+        ref={canvasRef}
+        width={level.cols * cellSize}
+        height={level.rows * cellSize}
+        style={{ display: "block" }}
+      />
+    </div>
+  );
+}
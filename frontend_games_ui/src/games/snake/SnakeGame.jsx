@@ -1,41 +1,203 @@
-import React, { useCallback, useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { createSnakeEngine } from "./snakeEngine";
+import { BUILTIN_LEVELS } from "./levels";
+import { loadCustomLevels } from "./levelStore";
+import { drawBoard, drawFood, drawOverlay, drawSnakes } from "./snakeRender";
+import { BOT_DIFFICULTIES, createSnakeBot } from "./ai";
+import { DEFAULT_ITEM_WEIGHTS, EFFECT_NAMES } from "./items";
+import {
+  CAMPAIGN_STAGES,
+  FOODS_PER_STAGE,
+  loadUnlockedStage,
+  stageInterval,
+  unlockStage,
+} from "./campaign";
 import StatusBar from "../../components/StatusBar";
+import useAutoPause from "../../hooks/useAutoPause";
+import useGameLoop from "../../hooks/useGameLoop";
+import { randomSeed } from "../../utils/rng";
+import { placementLines } from "../../utils/scores";
+import {
+  createReplay,
+  createReplayPlayer,
+  finishReplay,
+  loadStoredReplay,
+  parseReplay,
+  recordInput,
+  replayInterval,
+  serializeReplay,
+  storeReplay,
+} from "./replay";
+
+const BANNER_MS = 1500; // how long the "Level X" banner holds a campaign stage
+
+// tick lengths behind the Speed picker, by the names used in links (?speed=fast)
+// PUBLIC_INTERFACE
+export const SPEEDS = { slow: 200, normal: 120, fast: 70, extreme: 40 };
+const MATCHES = ["solo", "campaign", "versus", "cpu"];
+
+/** Tick length for a speed name, or null for anything else. */
+const speedMsFor = (name) =>
+  Object.prototype.hasOwnProperty.call(SPEEDS, name) ? SPEEDS[name] : null;
+
+/** Whether a match type from a link can be played (no campaign on a pinned level). */
+const canPlayMatch = (match, fixedLevel) =>
+  MATCHES.includes(match) && !(match === "campaign" && fixedLevel);
 
 /**
- * Canvas-based Snake game. Uses refs for animation state to avoid excessive re-renders.
- * Controls: Arrow keys or WASD.
- * Buttons: Start, Pause, Reset; Speed selection.
+ * Canvas-based Snake game. Uses refs for animation state to avoid excessive re-renders;
+ * ticks and frames come from the shared runtime (useGameLoop), with the tick
+ * length set by the speed, the campaign stage and any active effect.
+ * Controls: Arrow keys or WASD (versus: WASD = player 1, arrows = player 2).
+ * Buttons: Start, Pause, Reset; Speed, level and match selection.
+ *
+ * Matches: solo, local versus, or versus a computer snake (see ./ai). The
+ * autopilot toggle hands player 1 to a bot as well; bot inputs are recorded
+ * like key presses, but assisted runs never become the stored best run.
+ *
+ * The board (size, walls, portals, edges) comes from the selected level; the
+ * canvas is sized to fit it. The level picker lists built-in levels followed
+ * by custom levels saved from the editor. Passing `level` pins the game to
+ * that level and hides the picker (used for test-play in the editor).
+ *
+ * Besides apples the board spawns golden apples, shrink pills and timed
+ * power-ups (see ./items); slow motion and speed bursts stretch or shorten
+ * the tick interval, and active effects are listed in the status bar.
+ *
+ * Campaign (a match type): solo play through CAMPAIGN_STAGES (see
+ * ./campaign). The tick interval tightens as the campaign score rises, every
+ * FOODS_PER_STAGE items move on to the next stage's layout behind a short
+ * "Level X" banner on the canvas, and the stage picker offers every stage
+ * reached so far (defaulting to the highest).
+ *
+ * Every run is recorded as a replay (see ./replay). The last and best runs are
+ * kept in localStorage per profile (`userId`, as is campaign progress) and
+ * can be watched, exported or imported; playback drives its own engine on the
+ * same canvas with play/pause/step and speed.
+ *
+ * The game pauses itself when the page is hidden, the window loses focus or
+ * `active` goes false (its tab is not shown; see useAutoPause), and shows
+ * "Paused" until Space or Start resumes it.
+ *
+ * Level, speed and match can come from a link: `query` ({ level, speed,
+ * match }, e.g. from #/play/snake?level=pillars&speed=fast) sets them, and
+ * while `active` every change is reported through `onQueryChange` so the
+ * address bar always links back to the current settings.
+ *
+ * A finished single-player run (solo, or a whole campaign) is handed to
+ * `onRunComplete({ score, durationMs, settings })`; the placement it returns
+ * (see utils/scores) is shown on the game-over screen. Versus, autopilot and
+ * editor test-play runs are not scored.
  */
 // PUBLIC_INTERFACE
-export default function SnakeGame({ showStatusBar = true }) {
+export default function SnakeGame({
+  showStatusBar = true,
+  level: fixedLevel = null,
+  active = true,
+  query,
+  onQueryChange,
+  onRunComplete,
+  userId,
+}) {
+  const { level: linkLevel, speed: linkSpeed, match: linkMatch } = query || {};
   const canvasRef = useRef(null);
-  const rafRef = useRef(0);
-  const lastTimeRef = useRef(0);
-  const loopAccumRef = useRef(0);
 
   const engineRef = useRef(null);
   const [running, setRunning] = useState(false);
-  const [speedMs, setSpeedMs] = useState(120); // tick every ms
+  const [speedMs, setSpeedMs] = useState(() => speedMsFor(linkSpeed) ?? SPEEDS.normal); // tick every ms
+  const [match, setMatch] = useState(() => (canPlayMatch(linkMatch, fixedLevel) ? linkMatch : "solo")); // see MATCHES
+  const [autopilot, setAutopilot] = useState(false);
+  const [botLevel, setBotLevel] = useState("normal");
+  const players = match === "solo" || match === "campaign" ? 1 : 2;
+  const [, setHud] = useState(""); // bumped when scores change so the StatusBar refreshes
+  const hudRef = useRef("");
+
+  // replay recording (play mode) and playback (replay mode)
+  const recordingRef = useRef(null);
+  const playerRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [mode, setMode] = useState("play"); // "play" | "replay"
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [replayMsg, setReplayMsg] = useState("");
+
+  // campaign progress; the ref holds per-run counters the loop updates
+  const campaign = match === "campaign" && !fixedLevel;
+  const [stage, setStage] = useState(() => loadUnlockedStage(userId));
+  const [unlocked, setUnlocked] = useState(() => loadUnlockedStage(userId));
+  const campaignRef = useRef({
+    carried: 0,
+    foods: 0,
+    banner: 0,
+    advancing: false,
+    done: false,
+    playedMs: 0, // play time of the whole run, for its score
+    assisted: false, // autopilot steered at some point, so the run is not scored
+  });
+  const placementRef = useRef(null); // where the last finished run placed
+
+  const levels = useMemo(() => [...BUILTIN_LEVELS, ...loadCustomLevels()], []);
+  const [levelId, setLevelId] = useState(() =>
+    levels.some((lv) => lv.id === linkLevel) ? linkLevel : levels[0].id
+  );
+
+  // a link opened (or pasted) while the game is up switches to its settings
+  const linkKey = [linkLevel, linkSpeed, linkMatch].join("|");
+  const linkLevelOk = levels.some((lv) => lv.id === linkLevel);
+  const linkMs = speedMsFor(linkSpeed);
+  const linkMatchOk = canPlayMatch(linkMatch, fixedLevel);
+  const linkPending =
+    (linkLevelOk && linkLevel !== levelId) ||
+    (linkMs != null && linkMs !== speedMs) ||
+    (linkMatchOk && linkMatch !== match);
+  useEffect(() => {
+    if (linkLevelOk) setLevelId(linkLevel);
+    if (linkMs) setSpeedMs(linkMs);
+    if (linkMatchOk) setMatch(linkMatch);
+  }, [linkLevelOk, linkLevel, linkMs, linkMatchOk, linkMatch]);
+
+  // and the settings in play go back into the link (campaigns pick their own);
+  // not while a new link is still being applied, or the two would undo each other
+  const reportedLinkRef = useRef(null);
+  useEffect(() => {
+    if (!active || !onQueryChange || fixedLevel) return;
+    const fresh = reportedLinkRef.current !== linkKey;
+    reportedLinkRef.current = linkKey;
+    if (fresh && linkPending) return;
+    const speed = Object.keys(SPEEDS).find((name) => SPEEDS[name] === speedMs);
+    onQueryChange(match === "campaign" ? { match } : { level: levelId, speed, match });
+  }, [active, onQueryChange, fixedLevel, linkKey, linkPending, levelId, speedMs, match]);
+  const level = campaign
+    ? CAMPAIGN_STAGES[stage].level
+    : fixedLevel || levels.find((lv) => lv.id === levelId) || levels[0];
 
   const cellSize = 20;
-  const cols = 24;
-  const rows = 20;
+  const { cols, rows } = level;
   const width = cols * cellSize;
   const height = rows * cellSize;
 
-  // initialize engine
-  useEffect(() => {
-    engineRef.current = createSnakeEngine({ cols, rows });
-    // reset to ensure food present
-    engineRef.current.reset();
-  }, []);
+  // bot drivers keyed by player index
+  const bots = useMemo(() => {
+    const map = {};
+    if (autopilot) map[0] = createSnakeBot({ difficulty: botLevel });
+    if (match === "cpu") map[1] = createSnakeBot({ difficulty: botLevel });
+    return map;
+  }, [autopilot, match, botLevel]);
+  const botsRef = useRef(bots);
+  botsRef.current = bots;
+
+  const pause = useCallback(() => setRunning(false), []);
+  useAutoPause(pause, active);
 
-  // keyboard controls
+  // keyboard controls (a game on a hidden tab ignores them)
   useEffect(() => {
     const onKey = (e) => {
-      if (!engineRef.current) return;
-      engineRef.current.changeDirection(e.key);
+      const eng = engineRef.current;
+      if (!eng || !active) return;
+      // against the CPU the human is player 1 on either key set
+      const player = match === "cpu" && eng.playerForKey(e.key) >= 0 ? 0 : eng.playerForKey(e.key);
+      if (mode === "play" && player >= 0 && !bots[player]) {
+        eng.changeDirection(e.key, player);
+      }
       if (e.key === " " || e.code === "Space") {
         // space toggles pause
         setRunning((r) => !r);
@@ -43,108 +205,391 @@ export default function SnakeGame({ showStatusBar = true }) {
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, []);
+  }, [mode, match, bots, active]);
 
-  const draw = useCallback((ctx, eng) => {
-    const { state } = eng;
-    // background
-    ctx.fillStyle = "#0b1220";
-    ctx.fillRect(0, 0, width, height);
-
-    // grid subtle
-    ctx.strokeStyle = "rgba(255,255,255,0.06)";
-    for (let x = 0; x <= width; x += cellSize) {
-      ctx.beginPath();
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, height);
-      ctx.stroke();
-    }
-    for (let y = 0; y <= height; y += cellSize) {
-      ctx.beginPath();
-      ctx.moveTo(0, y);
-      ctx.lineTo(width, y);
-      ctx.stroke();
+  /**
+   * Finish the current recording (if it has any ticks) and store it as the
+   * last run, and as the best run when it beats the stored one (single
+   * player runs only; versus scores are not comparable).
+   */
+  const saveRun = useCallback(() => {
+    const rec = recordingRef.current;
+    const eng = engineRef.current;
+    recordingRef.current = null;
+    if (!rec || !eng || eng.state.ticks === 0) return;
+    finishReplay(rec, eng.state);
+    storeReplay("last", rec, userId);
+    const best = loadStoredReplay("best", userId);
+    if (rec.players === 1 && !rec.assisted && (!best || rec.score > best.score)) {
+      storeReplay("best", rec, userId);
     }
+  }, [userId]);
+
+  const startRecording = useCallback((eng) => {
+    recordingRef.current = createReplay({
+      cols: eng.state.cols,
+      rows: eng.state.rows,
+      seed: eng.state.seed,
+      speedMs: campaign ? CAMPAIGN_STAGES[stage].startMs : speedMs,
+      level: eng.state.level,
+      players: eng.state.players,
+      items: DEFAULT_ITEM_WEIGHTS,
+      campaign: campaign ? { stage, carried: campaignRef.current.carried } : null,
+    });
+  }, [campaign, stage, speedMs]);
 
-    // snake
-    state.snake.forEach((seg, idx) => {
-      const gx = seg.x * cellSize;
-      const gy = seg.y * cellSize;
-      ctx.fillStyle = idx === 0 ? "#F59E0B" : "#64B5F6";
-      ctx.fillRect(gx + 2, gy + 2, cellSize - 4, cellSize - 4);
+  // start the current campaign stage over, with the banner and no carried score
+  const restartStage = useCallback(() => {
+    Object.assign(campaignRef.current, {
+      carried: 0,
+      foods: 0,
+      banner: campaign ? BANNER_MS : 0,
+      advancing: false,
+      done: false,
+      playedMs: 0,
+      assisted: false,
     });
+    placementRef.current = null;
+  }, [campaign]);
 
-    // food
-    if (state.food) {
-      ctx.fillStyle = "#EF4444";
-      ctx.beginPath();
-      ctx.arc(
-        state.food.x * cellSize + cellSize / 2,
-        state.food.y * cellSize + cellSize / 2,
-        cellSize / 3,
-        0,
-        Math.PI * 2
-      );
-      ctx.fill();
+  // score a finished single-player run; the engine's gameOver handler outlives
+  // renders, so it calls the latest version through a ref
+  const scoreRunRef = useRef(null);
+  scoreRunRef.current = (score) => {
+    const { state } = engineRef.current;
+    const c = campaignRef.current;
+    if (!onRunComplete || fixedLevel || state.players > 1 || c.assisted) return;
+    const speed = Object.keys(SPEEDS).find((name) => SPEEDS[name] === speedMs);
+    const settings = campaign ? { match, stage: stage + 1 } : { level: levelId, speed, match };
+    placementRef.current = onRunComplete({ score, durationMs: c.playedMs, settings }) || null;
+  };
+
+  const newRun = () => {
+    const eng = engineRef.current;
+    if (!eng) return;
+    eng.reset(randomSeed());
+    restartStage();
+    startRecording(eng);
+  };
+
+  // (re)create the engine whenever the level, player count, speed or campaign
+  // stage changes, so each recording holds the settings its run is played at
+  useEffect(() => {
+    saveRun();
+    const eng = createSnakeEngine({ level, players, itemWeights: DEFAULT_ITEM_WEIGHTS });
+    engineRef.current = eng;
+    // every accepted input (human or bot) goes into the recording
+    eng.on("directionChanged", ({ player, dir, tick }) => {
+      const rec = recordingRef.current;
+      if (!rec) return;
+      recordInput(rec, tick, dir, player);
+      if (player === 0 && botsRef.current[0]) {
+        rec.assisted = true;
+        campaignRef.current.assisted = true;
+      }
+    });
+    eng.on("gameOver", () => {
+      scoreRunRef.current(campaignRef.current.carried + eng.state.score);
+      saveRun();
+      setRunning(false);
+    });
+    eng.on("foodEaten", () => {
+      campaignRef.current.foods += 1;
+    });
+    // reset to ensure food present
+    eng.reset();
+    // a cleared campaign stage rolls straight on into the next one
+    const c = campaignRef.current;
+    const advancing = campaign && c.advancing;
+    if (advancing) {
+      Object.assign(c, { foods: 0, banner: BANNER_MS, advancing: false });
+    } else {
+      restartStage();
+    }
+    startRecording(eng);
+    setRunning(advancing);
+  }, [level, players, campaign, saveRun, restartStage, startRecording]);
+
+  const draw = useCallback((ctx, eng, replaying, paused) => {
+    const { state } = eng;
+    const width = state.cols * cellSize;
+    const height = state.rows * cellSize;
+
+    drawBoard(ctx, state.level, cellSize);
+    drawSnakes(ctx, state.snakes, cellSize);
+    drawFood(ctx, state.food, cellSize, state.ticks);
+
+    if (replaying) {
+      ctx.fillStyle = "rgba(245,158,11,0.9)";
+      ctx.font = "bold 14px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+      ctx.textAlign = "start";
+      ctx.fillText(`REPLAY · tick ${state.ticks} · score ${state.score}`, 8, 18);
     }
 
     // game over overlay
-    if (state.gameOver) {
-      ctx.fillStyle = "rgba(0,0,0,0.5)";
-      ctx.fillRect(0, 0, width, height);
-      ctx.fillStyle = "#fff";
-      ctx.font = "bold 28px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-      ctx.textAlign = "center";
-      ctx.fillText("Game Over", width / 2, height / 2);
-      ctx.font = "bold 16px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-      ctx.fillText("Press Reset to try again", width / 2, height / 2 + 28);
+    const { banner, done } = campaignRef.current;
+    const placement = replaying ? [] : placementLines(placementRef.current);
+    if (replaying && playerRef.current?.isDone()) {
+      drawOverlay(ctx, width, height, "Replay finished", "Press Restart to watch again");
+    } else if (state.gameOver && state.players > 1) {
+      const title = state.draw ? "Draw!" : `Player ${state.winner + 1} wins!`;
+      drawOverlay(ctx, width, height, title, "Press Reset for a rematch");
+    } else if (state.gameOver && state.won) {
+      const subtitle = "Board filled — press Reset to play again";
+      drawOverlay(ctx, width, height, "You win!", subtitle, placement);
+    } else if (state.gameOver) {
+      drawOverlay(ctx, width, height, "Game Over", "Press Reset to try again", placement);
+    } else if (paused) {
+      drawOverlay(ctx, width, height, "Paused", "Press Space to resume");
+    } else if (!replaying && done) {
+      drawOverlay(ctx, width, height, "Campaign complete!", "Every stage cleared", placement);
+    } else if (!replaying && banner > 0) {
+      const n = CAMPAIGN_STAGES.findIndex((st) => st.level === state.level) + 1;
+      drawOverlay(ctx, width, height, `Level ${n}`, state.level.name);
     }
   }, []);
 
-  const loop = useCallback(
-    (ts) => {
-      const eng = engineRef.current;
-      if (!eng) return;
-
-      const ctx = canvasRef.current?.getContext("2d");
-      if (!ctx) return;
+  // the engine being played or watched, and whether it is a replay
+  const current = () => {
+    const replaying = Boolean(mode === "replay" && playerRef.current);
+    return { replaying, eng: replaying ? playerRef.current.engine : engineRef.current };
+  };
 
-      const dt = ts - (lastTimeRef.current || ts);
-      lastTimeRef.current = ts;
-      loopAccumRef.current += dt;
+  // one tick lasts the speed (or the campaign's tightening interval), stretched
+  // or shortened by slow motion and speed bursts; a replay keeps the one it
+  // was recorded at
+  const tickMs = () => {
+    const { replaying, eng } = current();
+    if (!eng) return speedMs;
+    const c = campaignRef.current;
+    let base = speedMs;
+    if (replaying) base = replayInterval(playerRef.current.replay, eng.state.score);
+    else if (campaign) base = stageInterval(stage, c.carried + eng.state.score);
+    return base * eng.tickScale();
+  };
 
-      if (running && loopAccumRef.current >= speedMs) {
-        loopAccumRef.current = 0;
-        eng.step();
-        if (eng.state.gameOver) {
-          setRunning(false);
-        }
+  const update = (ms) => {
+    const { replaying, eng } = current();
+    if (!eng) return;
+    const c = campaignRef.current;
+    if (!replaying && (c.banner > 0 || c.done || c.advancing)) {
+      // hold the snake while the stage banner is up
+      c.banner = Math.max(0, c.banner - ms);
+      return;
+    }
+    if (replaying) {
+      playerRef.current.step();
+      if (playerRef.current.isDone()) {
+        setRunning(false);
+      }
+      return;
+    }
+    c.playedMs += ms;
+    Object.keys(bots).forEach((idx) => {
+      const player = Number(idx);
+      const key = bots[idx].chooseKey(eng, player);
+      if (key) eng.changeDirection(key, player);
+    });
+    eng.step();
+    if (campaign && c.foods >= FOODS_PER_STAGE && !eng.state.gameOver) {
+      // stage cleared: carry the score over and load the next layout
+      saveRun();
+      c.carried += eng.state.score;
+      if (stage + 1 < CAMPAIGN_STAGES.length) {
+        c.advancing = true;
+        setUnlocked(unlockStage(stage + 1, userId));
+        setStage(stage + 1);
+      } else {
+        c.done = true;
+        scoreRunRef.current(c.carried);
+        setRunning(false);
       }
+    }
+  };
 
-      draw(ctx, eng);
-      rafRef.current = requestAnimationFrame(loop);
-    },
-    [draw, running, speedMs]
-  );
+  const render = () => {
+    const { replaying, eng } = current();
+    const ctx = canvasRef.current?.getContext("2d");
+    if (!eng || !ctx) return;
 
-  useEffect(() => {
-    rafRef.current = requestAnimationFrame(loop);
-    return () => cancelAnimationFrame(rafRef.current);
-  }, [loop]);
+    const hud = eng.state.snakes
+      .map((sn) => `${sn.score}${JSON.stringify(sn.effects)}`)
+      .join(",");
+    if (hud !== hudRef.current) {
+      hudRef.current = hud;
+      setHud(hud);
+    }
+
+    // a run stopped part-way (by Pause, Space or auto-pause) waits for the player
+    const { state } = eng;
+    const paused = !running && !replaying && state.ticks > 0 && !state.gameOver && !campaignRef.current.done;
+    draw(ctx, eng, replaying, paused);
+  };
+
+  // replays play back faster or slower by scaling time
+  useGameLoop({
+    update,
+    render,
+    stepMs: tickMs,
+    timeScale: mode === "replay" ? playbackRate : 1,
+    running,
+  });
 
   const start = () => {
-    if (engineRef.current?.state.gameOver) {
-      engineRef.current.reset();
+    if (engineRef.current?.state.gameOver || campaignRef.current.done) {
+      newRun();
     }
     setRunning(true);
     canvasRef.current?.focus();
   };
-  const pause = () => setRunning(false);
   const reset = () => {
-    engineRef.current?.reset();
+    saveRun();
+    newRun();
+    setRunning(false);
+  };
+
+  const watchReplay = (replay) => {
+    saveRun();
+    playerRef.current = createReplayPlayer(replay);
+    setReplayMsg("");
+    setMode("replay");
+    setRunning(true);
+    canvasRef.current?.focus();
+  };
+  const watchStored = (slot) => {
+    const replay = loadStoredReplay(slot, userId);
+    if (!replay) {
+      setReplayMsg(`No ${slot} run recorded yet.`);
+      return;
+    }
+    watchReplay(replay);
+  };
+  const exitReplay = () => {
+    playerRef.current = null;
+    setRunning(false);
+    setMode("play");
+    newRun();
+  };
+  const stepReplay = () => {
     setRunning(false);
+    playerRef.current?.step();
+  };
+  const restartReplay = () => {
+    playerRef.current?.reset();
+    setRunning(true);
   };
 
+  const exportReplay = () => {
+    const replay = mode === "replay" ? playerRef.current?.replay : loadStoredReplay("last", userId);
+    if (!replay) {
+      setReplayMsg("Finish a run before exporting a replay.");
+      return;
+    }
+    const blob = new Blob([serializeReplay(replay)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `snake-replay-${replay.seed}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+  const importReplay = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file
+      .text()
+      .then((text) => watchReplay(parseReplay(text)))
+      .catch((err) => setReplayMsg(`Could not load replay: ${err.message}`));
+  };
+
+  const playerLabel = (i) => {
+    if (match === "cpu") return i === 0 ? "You" : "CPU";
+    return `P${i + 1} (${i === 0 ? "WASD" : "Arrows"})`;
+  };
+
+  // one status entry per active effect, with the ticks it has left
+  const effectItems = (state) =>
+    state.snakes.flatMap((sn, i) =>
+      sn.alive
+        ? Object.entries(sn.effects).map(([effect, left]) => ({
+            label: state.players > 1 ? `P${i + 1} ${EFFECT_NAMES[effect]}` : EFFECT_NAMES[effect],
+            value: `${left} ticks`,
+          }))
+        : []
+    );
+
+  if (mode === "replay") {
+    const player = playerRef.current;
+    return (
+      <div>
+        <div className="controls" aria-label="Snake replay controls">
+          <button
+            className="btn"
+            onClick={() => setRunning(true)}
+            aria-label="Play replay"
+            disabled={running || !player || player.isDone()}
+          >
+            ▶ Play
+          </button>
+          <button className="btn ghost" onClick={pause} aria-label="Pause replay">
+            ⏸ Pause
+          </button>
+          <button className="btn ghost" onClick={stepReplay} aria-label="Step replay one tick">
+            ⏭ Step
+          </button>
+          <button className="btn secondary" onClick={restartReplay} aria-label="Restart replay">
+            ↺ Restart
+          </button>
+          <label htmlFor="snake-replay-rate" style={{ marginLeft: 8 }}>
+            Playback:
+          </label>
+          <select
+            id="snake-replay-rate"
+            className="select"
+            value={playbackRate}
+            onChange={(e) => setPlaybackRate(Number(e.target.value))}
+            aria-label="Replay speed"
+          >
+            <option value={0.5}>0.5×</option>
+            <option value={1}>1×</option>
+            <option value={2}>2×</option>
+            <option value={4}>4×</option>
+          </select>
+          <button className="btn ghost" onClick={exportReplay} aria-label="Export replay as JSON">
+            ⤓ Export
+          </button>
+          <button className="btn ghost" onClick={exitReplay} aria-label="Exit replay">
+            ✕ Exit replay
+          </button>
+        </div>
+
+        <div className="canvas-wrap">
+          <canvas
+            ref={canvasRef}
+            width={(player ? player.replay.cols : cols) * cellSize}
+            height={(player ? player.replay.rows : rows) * cellSize}
+            role="img"
+            aria-label="Snake replay canvas"
+            tabIndex={0}
+            style={{ display: "block", outline: "none" }}
+          />
+        </div>
+
+        {showStatusBar && player && (
+          <StatusBar
+            items={[
+              { label: "Replay score", value: player.replay.score },
+              { label: "Replay ticks", value: player.replay.ticks },
+              { label: "Seed", value: player.replay.seed },
+              ...effectItems(player.engine.state),
+            ]}
+          />
+        )}
+      </div>
+    );
+  }
+
   return (
     <div>
       <div className="controls" aria-label="Snake controls">
@@ -157,26 +602,153 @@ export default function SnakeGame({ showStatusBar = true }) {
         <button className="btn secondary" onClick={reset} aria-label="Reset snake game">
           ↺ Reset
         </button>
-        <label htmlFor="snake-speed" style={{ marginLeft: 8 }}>
-          Speed:
+        {campaign ? (
+          <>
+            <label htmlFor="snake-stage" style={{ marginLeft: 8 }}>
+              Stage:
+            </label>
+            <select
+              id="snake-stage"
+              className="select"
+              value={stage}
+              onChange={(e) => setStage(Number(e.target.value))}
+              aria-label="Campaign stage"
+            >
+              {CAMPAIGN_STAGES.slice(0, unlocked + 1).map((st, i) => (
+                <option key={st.level.id} value={i}>
+                  {`Level ${i + 1}: ${st.level.name}`}
+                </option>
+              ))}
+            </select>
+          </>
+        ) : (
+          <>
+            <label htmlFor="snake-speed" style={{ marginLeft: 8 }}>
+              Speed:
+            </label>
+            <select
+              id="snake-speed"
+              className="select"
+              value={speedMs}
+              onChange={(e) => setSpeedMs(Number(e.target.value))}
+              aria-label="Snake speed"
+            >
+              {Object.entries(SPEEDS).map(([name, ms]) => (
+                <option key={name} value={ms}>
+                  {name[0].toUpperCase() + name.slice(1)}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+        {!fixedLevel && !campaign && (
+          <>
+            <label htmlFor="snake-level" style={{ marginLeft: 8 }}>
+              Level:
+            </label>
+            <select
+              id="snake-level"
+              className="select"
+              value={levelId}
+              onChange={(e) => setLevelId(e.target.value)}
+              aria-label="Snake level"
+            >
+              <optgroup label="Built-in">
+                {BUILTIN_LEVELS.map((lv) => (
+                  <option key={lv.id} value={lv.id}>
+                    {lv.name}
+                  </option>
+                ))}
+              </optgroup>
+              {levels.length > BUILTIN_LEVELS.length && (
+                <optgroup label="Custom">
+                  {levels.slice(BUILTIN_LEVELS.length).map((lv) => (
+                    <option key={lv.id} value={lv.id}>
+                      {lv.name}
+                    </option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+          </>
+        )}
+        <label htmlFor="snake-match" style={{ marginLeft: 8 }}>
+          Match:
         </label>
         <select
-          id="snake-speed"
+          id="snake-match"
           className="select"
-          value={speedMs}
-          onChange={(e) => setSpeedMs(Number(e.target.value))}
-          aria-label="Snake speed"
+          value={match}
+          onChange={(e) => setMatch(e.target.value)}
+          aria-label="Snake match type"
         >
-          <option value={200}>Slow</option>
-          <option value={120}>Normal</option>
-          <option value={70}>Fast</option>
-          <option value={40}>Extreme</option>
+          <option value="solo">Solo</option>
+          {!fixedLevel && <option value="campaign">Campaign</option>}
+          <option value="versus">Versus (2P)</option>
+          <option value="cpu">Versus CPU</option>
         </select>
+        <label htmlFor="snake-bot-level" style={{ marginLeft: 8 }}>
+          AI:
+        </label>
+        <select
+          id="snake-bot-level"
+          className="select"
+          value={botLevel}
+          onChange={(e) => setBotLevel(e.target.value)}
+          aria-label="Computer snake difficulty"
+        >
+          {BOT_DIFFICULTIES.map((d) => (
+            <option key={d} value={d}>
+              {d[0].toUpperCase() + d.slice(1)}
+            </option>
+          ))}
+        </select>
+        <button
+          className={autopilot ? "btn" : "btn ghost"}
+          onClick={() => setAutopilot((a) => !a)}
+          aria-pressed={autopilot}
+          aria-label="Toggle autopilot for player 1"
+        >
+          🤖 Autopilot
+        </button>
         <span style={{ color: "var(--muted)", marginLeft: 8 }}>
-          Controls: Arrow Keys or WASD, Space to Pause
+          {match === "versus"
+            ? "Controls: P1 WASD, P2 Arrow Keys, Space to Pause"
+            : "Controls: Arrow Keys or WASD, Space to Pause"}
         </span>
       </div>
 
+      <div className="controls" aria-label="Snake replays">
+        <button className="btn ghost" onClick={() => watchStored("last")} aria-label="Watch last run">
+          🎬 Watch last
+        </button>
+        <button className="btn ghost" onClick={() => watchStored("best")} aria-label="Watch best run">
+          🏆 Watch best
+        </button>
+        <button className="btn ghost" onClick={exportReplay} aria-label="Export last run as JSON">
+          ⤓ Export
+        </button>
+        <button
+          className="btn ghost"
+          onClick={() => fileInputRef.current?.click()}
+          aria-label="Import replay from JSON file"
+        >
+          ⤒ Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={importReplay}
+          style={{ display: "none" }}
+        />
+        {replayMsg && (
+          <span role="status" style={{ color: "var(--muted)" }}>
+            {replayMsg}
+          </span>
+        )}
+      </div>
+
       <div className="canvas-wrap">
         <canvas
           ref={canvasRef}
@@ -192,8 +764,27 @@ export default function SnakeGame({ showStatusBar = true }) {
       {showStatusBar && engineRef.current && (
         <StatusBar
           items={[
-            { label: "Score", value: engineRef.current.state.score },
+            ...(engineRef.current.state.players > 1
+              ? engineRef.current.state.snakes.map((sn, i) => ({
+                  label: playerLabel(i),
+                  value: sn.alive ? sn.score : `${sn.score} ✖`,
+                }))
+              : campaign
+              ? [
+                  { label: "Level", value: `${stage + 1}/${CAMPAIGN_STAGES.length}` },
+                  {
+                    label: "Score",
+                    value: campaignRef.current.carried + engineRef.current.state.score,
+                  },
+                  {
+                    label: "Food",
+                    value: `${Math.min(campaignRef.current.foods, FOODS_PER_STAGE)}/${FOODS_PER_STAGE}`,
+                  },
+                ]
+              : [{ label: "Score", value: engineRef.current.state.score }]),
             { label: "Ticks", value: engineRef.current.state.ticks },
+            { label: "Seed", value: engineRef.current.state.seed },
+            ...effectItems(engineRef.current.state),
           ]}
         />
       )}
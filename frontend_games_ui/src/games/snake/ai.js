@@ -0,0 +1,217 @@
+/**
+ * Computer-controlled snakes built on createSnakeEngine.
+ *
+ * A bot looks at the engine state and returns the direction key to press for
+ * one snake; the caller feeds it to engine.changeDirection(key, player) before
+ * each step, exactly like a human input (so bot games record and replay).
+ *
+ * Difficulties:
+ * - "easy"   greedy: the safe move that gets closest to the food
+ * - "normal" pathfinding: first step of a shortest path (BFS) to the food
+ * - "hard"   survival: only takes a food path if the snake can still reach its
+ *            own tail afterwards; otherwise chases its tail or heads for the
+ *            largest open area
+ *
+ * Moves are planned with engine.nextCell, so walls, wrapping edges and portals
+ * are respected.
+ */
+
+import { createSnakeEngine } from "./snakeEngine";
+
+export const BOT_DIFFICULTIES = ["easy", "normal", "hard"];
+
+const MOVES = [
+  { key: "ArrowUp", dir: { x: 0, y: -1 } },
+  { key: "ArrowRight", dir: { x: 1, y: 0 } },
+  { key: "ArrowDown", dir: { x: 0, y: 1 } },
+  { key: "ArrowLeft", dir: { x: -1, y: 0 } },
+];
+
+/**
+ * Cell indexes occupied by snakes. Tails count too: the engine checks moves
+ * against the old bodies, so stepping onto a tail that is about to move is
+ * still a collision.
+ */
+function occupiedCells(state) {
+  const cells = new Set();
+  state.snakes.forEach((sn) => {
+    sn.body.forEach((seg) => cells.add(seg.y * state.cols + seg.x));
+  });
+  return cells;
+}
+
+/** Legal, non-reversing moves from a head: [{ key, dir, cell }]. */
+function movesFrom(engine, head, dir, blocked, cols) {
+  return MOVES.filter((m) => m.dir.x + dir.x !== 0 || m.dir.y + dir.y !== 0)
+    .map((m) => ({ ...m, cell: engine.nextCell(head.x, head.y, m.dir) }))
+    .filter((m) => m.cell && !blocked.has(m.cell.y * cols + m.cell.x));
+}
+
+/**
+ * Breadth-first search from `from` to `to` over free cells.
+ * Returns the list of cells along the path (excluding `from`) or null.
+ */
+function findPath(engine, from, to, blocked, cols) {
+  const target = to.y * cols + to.x;
+  const start = from.y * cols + from.x;
+  const prev = new Map([[start, null]]);
+  const queue = [from];
+  for (let qi = 0; qi < queue.length; qi += 1) {
+    const cur = queue[qi];
+    const curIdx = cur.y * cols + cur.x;
+    if (curIdx === target && qi > 0) break;
+    for (const m of MOVES) {
+      const next = engine.nextCell(cur.x, cur.y, m.dir);
+      if (!next) continue;
+      const idx = next.y * cols + next.x;
+      if (prev.has(idx) || (blocked.has(idx) && idx !== target)) continue;
+      prev.set(idx, curIdx);
+      queue.push(next);
+    }
+  }
+  if (!prev.has(target) || target === start) return null;
+  const path = [];
+  for (let idx = target; idx !== start; idx = prev.get(idx)) {
+    path.unshift({ x: idx % cols, y: Math.floor(idx / cols) });
+  }
+  return path;
+}
+
+/** Number of free cells reachable from `from` (flood fill). */
+function openArea(engine, from, blocked, cols) {
+  const seen = new Set([from.y * cols + from.x]);
+  const queue = [from];
+  for (let qi = 0; qi < queue.length; qi += 1) {
+    const cur = queue[qi];
+    for (const m of MOVES) {
+      const next = engine.nextCell(cur.x, cur.y, m.dir);
+      if (!next) continue;
+      const idx = next.y * cols + next.x;
+      if (seen.has(idx) || blocked.has(idx)) continue;
+      seen.add(idx);
+      queue.push(next);
+    }
+  }
+  return seen.size;
+}
+
+function keyTowards(moves, cell) {
+  const hit = cell && moves.find((m) => m.cell.x === cell.x && m.cell.y === cell.y);
+  return hit ? hit.key : null;
+}
+
+function roomiestMove(engine, moves, blocked, cols) {
+  let best = null;
+  let bestArea = -1;
+  moves.forEach((m) => {
+    const area = openArea(engine, m.cell, blocked, cols);
+    if (area > bestArea) {
+      best = m;
+      bestArea = area;
+    }
+  });
+  return best ? best.key : null;
+}
+
+function greedy(engine, snake, moves) {
+  const { food } = engine.state;
+  if (!food || moves.length === 0) return null;
+  const dist = (c) => Math.abs(c.x - food.x) + Math.abs(c.y - food.y);
+  return moves.reduce((a, b) => (dist(b.cell) < dist(a.cell) ? b : a)).key;
+}
+
+function pathfinder(engine, snake, moves, blocked) {
+  const { state } = engine;
+  const path = state.food && findPath(engine, snake.body[0], state.food, blocked, state.cols);
+  return keyTowards(moves, path && path[0]) || roomiestMove(engine, moves, blocked, state.cols);
+}
+
+function survivor(engine, snake, moves, blocked) {
+  const { state } = engine;
+  const { cols } = state;
+  const body = snake.body;
+  const tail = body[body.length - 1];
+
+  const path = state.food && findPath(engine, body[0], state.food, blocked, cols);
+  if (path) {
+    // Simulate eating: the virtual snake is the path (head first) plus the
+    // old body, one segment longer than before.
+    const virtual = [...path].reverse().concat(body).slice(0, body.length + 1);
+    const vHead = virtual[0];
+    const vTail = virtual[virtual.length - 1];
+    const vBlocked = occupiedCells(state);
+    body.forEach((seg) => vBlocked.delete(seg.y * cols + seg.x));
+    virtual.forEach((seg) => vBlocked.add(seg.y * cols + seg.x));
+    vBlocked.delete(vTail.y * cols + vTail.x);
+    // (the path may start by reversing, which is not a legal move)
+    const key = keyTowards(moves, path[0]);
+    if (key && (virtual.length < 3 || findPath(engine, vHead, vTail, vBlocked, cols))) {
+      return key;
+    }
+  }
+
+  // No safe meal: follow the tail (always frees up), else the biggest area.
+  if (body.length > 2) {
+    const safe = moves.filter((m) => {
+      const after = new Set(blocked);
+      after.add(m.cell.y * cols + m.cell.x);
+      return findPath(engine, m.cell, tail, after, cols);
+    });
+    const towardsTail = findPath(engine, body[0], tail, blocked, cols);
+    const key = keyTowards(safe, towardsTail && towardsTail[0]);
+    if (key) return key;
+    if (safe.length) return roomiestMove(engine, safe, blocked, cols);
+  }
+  return roomiestMove(engine, moves, blocked, cols);
+}
+
+const STRATEGIES = { easy: greedy, normal: pathfinder, hard: survivor };
+
+// PUBLIC_INTERFACE
+export function createSnakeBot({ difficulty = "normal" } = {}) {
+  /**
+   * Create a bot. chooseKey(engine, player) returns the direction key the
+   * bot wants to press for that snake, or null to keep going straight.
+   */
+  const strategy = STRATEGIES[difficulty];
+  if (!strategy) {
+    throw new Error(`Unknown bot difficulty: ${difficulty}`);
+  }
+
+  function chooseKey(engine, player = 0) {
+    const { state } = engine;
+    const snake = state.snakes[player];
+    if (!snake || !snake.alive || state.gameOver) return null;
+    const dir = snake.pendingDir || snake.dir;
+    const blocked = occupiedCells(state);
+    const moves = movesFrom(engine, snake.body[0], dir, blocked, state.cols);
+    if (moves.length === 0) return null;
+    return strategy(engine, snake, moves, blocked);
+  }
+
+  return { difficulty, chooseKey };
+}
+
+// PUBLIC_INTERFACE
+export function runHeadless({ level, players = 1, seed, bots, maxTicks = 5000, onStep } = {}) {
+  /**
+   * Play a whole game with bots and no rendering, e.g. to stress-test the
+   * engine rules. `bots` maps player index -> difficulty (every player is a
+   * "normal" bot by default). onStep(engine) runs after each step.
+   * Returns the engine in its final state.
+   */
+  const engine = createSnakeEngine({ level, players, seed });
+  engine.reset();
+  const drivers = engine.state.snakes.map((_, i) =>
+    createSnakeBot({ difficulty: (bots && bots[i]) || "normal" })
+  );
+  while (!engine.state.gameOver && engine.state.ticks < maxTicks) {
+    drivers.forEach((bot, i) => {
+      const key = bot.chooseKey(engine, i);
+      if (key) engine.changeDirection(key, i);
+    });
+    engine.step();
+    if (onStep) onStep(engine);
+  }
+  return engine;
+}
@@ -0,0 +1,78 @@
+/**
+ * Bot tests: each difficulty makes sensible moves, and headless bot games
+ * double as a stress test of the engine rules (bodies never overlap, length
+ * always matches score).
+ */
+
+import { createSnakeEngine } from "./snakeEngine";
+import { createSnakeBot, runHeadless } from "./ai";
+
+function checkInvariants(engine) {
+  const seen = new Set();
+  engine.state.snakes.forEach((sn) => {
+    expect(sn.body.length).toBe(sn.score + 1);
+    sn.body.forEach((seg) => {
+      const key = `${seg.x},${seg.y}`;
+      expect(seen.has(key)).toBe(false);
+      seen.add(key);
+    });
+  });
+}
+
+test("greedy bot turns towards the food", () => {
+  const eng = createSnakeEngine({ level: { cols: 8, rows: 8, start: { x: 2, y: 2, dir: "right" } }, seed: 1 });
+  eng.state.food = { x: 2, y: 6 };
+  expect(createSnakeBot({ difficulty: "easy" }).chooseKey(eng)).toBe("ArrowDown");
+});
+
+test("pathfinding bot goes around a wall", () => {
+  const eng = createSnakeEngine({
+    level: {
+      cols: 7,
+      rows: 5,
+      walls: [[3, 1], [3, 2], [3, 3], [3, 4]],
+      start: { x: 1, y: 3, dir: "right" },
+    },
+    seed: 1,
+  });
+  eng.state.food = { x: 5, y: 3 };
+  const bot = createSnakeBot({ difficulty: "normal" });
+  for (let i = 0; i < 12 && eng.state.score === 0; i += 1) {
+    const key = bot.chooseKey(eng);
+    if (key) eng.changeDirection(key);
+    eng.step();
+  }
+  expect(eng.state.gameOver).toBe(false);
+  expect(eng.state.score).toBe(1);
+});
+
+test("unknown difficulty is rejected", () => {
+  expect(() => createSnakeBot({ difficulty: "godlike" })).toThrow(/difficulty/);
+});
+
+test("survival bot grows long on a small board without breaking engine rules", () => {
+  const engine = runHeadless({
+    level: { cols: 8, rows: 8 },
+    seed: 11,
+    bots: ["hard"],
+    maxTicks: 1500,
+    onStep: checkInvariants,
+  });
+  expect(engine.state.score).toBeGreaterThanOrEqual(20);
+});
+
+test("bot versus games respect collision rules and finish with a result", () => {
+  for (let seed = 1; seed <= 5; seed += 1) {
+    const engine = runHeadless({
+      level: { cols: 12, rows: 10, edges: { left: "wrap", right: "wrap" } },
+      players: 2,
+      seed,
+      bots: ["easy", "normal"],
+      maxTicks: 3000,
+      onStep: checkInvariants,
+    });
+    if (engine.state.gameOver) {
+      expect(engine.state.draw || engine.state.winner !== null).toBe(true);
+    }
+  }
+});
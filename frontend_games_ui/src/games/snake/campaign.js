@@ -0,0 +1,94 @@
+/**
+ * Snake campaign: a fixed run of stages played back to back.
+ *
+ * Each stage is a level plus a starting tick interval. Eating FOODS_PER_STAGE
+ * items clears the stage and moves on to the next one, and the interval
+ * tightens with the campaign score (carried over between stages) down to a
+ * floor. The highest stage reached is stored per profile so players can
+ * resume there.
+ */
+
+import { getBuiltinLevel, levelFromMap } from "./levels";
+import { profileKey } from "../../utils/profiles";
+
+// PUBLIC_INTERFACE
+export const FOODS_PER_STAGE = 5;
+
+const MS_PER_POINT = 2; // interval shrinks by this much per campaign point
+const MIN_INTERVAL_MS = 45;
+
+const STORAGE_KEY = "snake.campaign";
+
+/** Progress is kept per profile (see profileKey in utils/profiles). */
+const storageKey = (userId) => profileKey(userId, STORAGE_KEY);
+
+const CROSS = levelFromMap({
+  id: "campaign-cross",
+  name: "The Cross",
+  map: [
+    "........................",
+    "........................",
+    "...........##...........",
+    "...........##...........",
+    "...........##...........",
+    "...........##...........",
+    "...........##...........",
+    "........................",
+    "..#####..........#####..",
+    "........................",
+    "...S....................",
+    "..#####..........#####..",
+    "........................",
+    "...........##...........",
+    "...........##...........",
+    "...........##...........",
+    "...........##...........",
+    "...........##...........",
+    "........................",
+    "........................",
+  ],
+});
+
+// PUBLIC_INTERFACE
+export const CAMPAIGN_STAGES = [
+  { level: getBuiltinLevel("classic"), startMs: 160 },
+  { level: getBuiltinLevel("pillars"), startMs: 145 },
+  { level: getBuiltinLevel("open-sea"), startMs: 130 },
+  { level: CROSS, startMs: 120 },
+  { level: getBuiltinLevel("portal-bay"), startMs: 110 },
+  { level: getBuiltinLevel("corridors"), startMs: 100 },
+];
+
+// PUBLIC_INTERFACE
+export function stageInterval(stage, score) {
+  /** Tick interval (ms) for a stage index at a given campaign score. */
+  const { startMs } = CAMPAIGN_STAGES[stage];
+  return Math.max(MIN_INTERVAL_MS, startMs - score * MS_PER_POINT);
+}
+
+// PUBLIC_INTERFACE
+export function loadUnlockedStage(userId) {
+  /**
+   * Index of the highest stage a profile reached so far (0 when nothing is
+   * stored). `userId` is the profile (see utils/profiles).
+   */
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(userId)) || "{}");
+    const stage = Number.isInteger(saved.unlocked) ? saved.unlocked : 0;
+    return Math.min(Math.max(stage, 0), CAMPAIGN_STAGES.length - 1);
+  } catch (_err) {
+    return 0;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function unlockStage(stage, userId) {
+  /** Record that a profile reached `stage`; never lowers the stored stage. Returns the new value. */
+  const unlocked = Math.max(loadUnlockedStage(userId), Math.min(stage, CAMPAIGN_STAGES.length - 1));
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify({ unlocked }));
+  } catch (_err) {
+    // ignore storage errors
+  }
+  return unlocked;
+}
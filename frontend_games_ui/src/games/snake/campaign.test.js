@@ -0,0 +1,37 @@
+/**
+ * Campaign tests: stages are valid single-player boards, and the tick
+ * interval tightens with the score down to a floor, and progress is kept
+ * per profile.
+ */
+
+import { createSnakeEngine } from "./snakeEngine";
+import { CAMPAIGN_STAGES, loadUnlockedStage, stageInterval, unlockStage } from "./campaign";
+
+test("every stage has a distinct, playable level", () => {
+  const ids = new Set(CAMPAIGN_STAGES.map((st) => st.level.id));
+  expect(ids.size).toBe(CAMPAIGN_STAGES.length);
+  CAMPAIGN_STAGES.forEach((st) => {
+    const eng = createSnakeEngine({ level: st.level, seed: 1 });
+    expect(eng.state.food).not.toBeNull();
+  });
+});
+
+test("stages start faster as the campaign goes on", () => {
+  const starts = CAMPAIGN_STAGES.map((_, i) => stageInterval(i, 0));
+  expect([...starts].sort((a, b) => b - a)).toEqual(starts);
+});
+
+test("the interval tightens with score and bottoms out", () => {
+  expect(stageInterval(0, 10)).toBeLessThan(stageInterval(0, 0));
+  expect(stageInterval(0, 10_000)).toBe(stageInterval(0, 20_000));
+  expect(stageInterval(0, 10_000)).toBeGreaterThan(0);
+});
+
+test("each profile keeps its own highest stage", () => {
+  localStorage.clear();
+  expect(unlockStage(2, "p-ana")).toBe(2);
+  expect(unlockStage(1, "p-ana")).toBe(2);
+  expect(loadUnlockedStage("p-ana")).toBe(2);
+  expect(loadUnlockedStage("p-ben")).toBe(0);
+  expect(loadUnlockedStage()).toBe(0);
+});
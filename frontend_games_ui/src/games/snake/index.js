@@ -1 +1,15 @@
+import SnakeGame, { SPEEDS } from "./SnakeGame.jsx";
+
 export { default } from "./SnakeGame.jsx";
+
+// PUBLIC_INTERFACE
+export const snakeGame = {
+  id: "snake",
+  title: "Snake",
+  icon: "🐍",
+  description: "Eat, grow and don't bite yourself: levels, a campaign, versus, CPU snakes and replays.",
+  component: SnakeGame,
+  defaultProps: {},
+  flag: "enableSnake",
+  scoreFilter: { key: "speed", label: "Speed", options: Object.keys(SPEEDS) },
+};
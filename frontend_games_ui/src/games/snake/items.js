@@ -0,0 +1,88 @@
+/**
+ * Snake food and power-up types.
+ *
+ * Only one item is on the board at a time (`state.food`, with a `type`). Each
+ * type says what eating it does:
+ * - score:    points added to the eater's score
+ * - grow:     segments added (negative values shrink the snake, never below
+ *             its head)
+ * - lifetime: ticks the item stays on the board before it is replaced
+ * - effect / duration: a timed effect put on the eater, counted in ticks
+ *
+ * Effects:
+ * - "slow"       slow motion: ticks take longer while it lasts
+ * - "speed"      speed burst: ticks come faster while it lasts
+ * - "invincible" the snake may pass through its own body
+ *
+ * Which type spawns next is a weighted random pick; weights are passed to
+ * createSnakeEngine as `itemWeights` ({ type: weight }).
+ */
+
+import { normalizeWeights, pickWeighted } from "../../utils/weights";
+
+// PUBLIC_INTERFACE
+export const ITEM_TYPES = {
+  apple: { name: "Apple", score: 1, grow: 1 },
+  golden: { name: "Golden apple", score: 5, grow: 1, lifetime: 40 },
+  shrink: { name: "Shrink pill", score: 1, grow: -3 },
+  slow: { name: "Slow motion", score: 1, grow: 1, effect: "slow", duration: 30 },
+  speed: { name: "Speed burst", score: 2, grow: 1, effect: "speed", duration: 30 },
+  invincible: { name: "Invincibility", score: 1, grow: 1, effect: "invincible", duration: 40 },
+};
+
+// PUBLIC_INTERFACE
+export const EFFECT_NAMES = {
+  slow: "Slow motion",
+  speed: "Speed burst",
+  invincible: "Invincible",
+};
+
+// tick interval multiplier while an effect is active
+const EFFECT_TICK_SCALE = { slow: 2, speed: 0.6 };
+
+// PUBLIC_INTERFACE
+// Plain apples only: the engine default, so seeds and replays recorded before
+// item types existed play out unchanged.
+export const CLASSIC_ITEM_WEIGHTS = { apple: 1 };
+
+// PUBLIC_INTERFACE
+export const DEFAULT_ITEM_WEIGHTS = {
+  apple: 20,
+  golden: 3,
+  shrink: 2,
+  slow: 2,
+  speed: 2,
+  invincible: 1,
+};
+
+// PUBLIC_INTERFACE
+export function normalizeItemWeights(weights = CLASSIC_ITEM_WEIGHTS) {
+  /** Validate item spawn weights (see normalizeWeights in utils/weights). */
+  return normalizeWeights(weights, ITEM_TYPES, "snake item type");
+}
+
+// PUBLIC_INTERFACE
+export function pickItemType(entries, random) {
+  /**
+   * Weighted pick from normalizeItemWeights() output. A single type is
+   * returned without drawing a random number.
+   */
+  if (entries.length === 1) return entries[0][0];
+  return pickWeighted(entries, random);
+}
+
+// PUBLIC_INTERFACE
+export function tickScale(snakes) {
+  /**
+   * Multiplier for the tick interval from the effects on live snakes
+   * (all snakes share one clock): above 1 is slower, below 1 faster.
+   */
+  let scale = 1;
+  snakes.forEach((sn) => {
+    if (!sn.alive) return;
+    Object.keys(sn.effects).forEach((effect) => {
+      scale *= EFFECT_TICK_SCALE[effect] || 1;
+    });
+  });
+  return scale;
+}
@@ -0,0 +1,65 @@
+/**
+ * Persistence for user-made Snake levels (localStorage).
+ * Levels are stored as an array of level definitions under one key; invalid
+ * entries are skipped on load so one bad level cannot break the picker.
+ */
+
+import { normalizeLevel } from "./levels";
+
+const STORAGE_KEY = "snake.customLevels";
+
+function readAll() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (_err) {
+    return [];
+  }
+}
+
+function writeAll(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (_err) {
+    // ignore storage errors
+  }
+}
+
+// PUBLIC_INTERFACE
+export function newCustomLevelId() {
+  /** Generate an id for a new custom level (prefixed to avoid built-in ids). */
+  return `custom-${Date.now().toString(36)}`;
+}
+
+// PUBLIC_INTERFACE
+export function loadCustomLevels() {
+  /** Return all saved custom levels, normalized; invalid entries are dropped. */
+  return readAll().reduce((acc, def) => {
+    try {
+      acc.push(normalizeLevel(def));
+    } catch (_err) {
+      // skip invalid level
+    }
+    return acc;
+  }, []);
+}
+
+// PUBLIC_INTERFACE
+export function saveCustomLevel(def) {
+  /**
+   * Validate and save a level, replacing any saved level with the same id.
+   * Returns the normalized level; throws if the definition is invalid.
+   */
+  const level = normalizeLevel(def);
+  const list = readAll().filter((l) => l && l.id !== level.id);
+  list.push(level);
+  writeAll(list);
+  return level;
+}
+
+// PUBLIC_INTERFACE
+export function deleteCustomLevel(id) {
+  /** Remove a saved custom level by id. */
+  writeAll(readAll().filter((l) => l && l.id !== id));
+}
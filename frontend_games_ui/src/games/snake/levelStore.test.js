@@ -0,0 +1,39 @@
+/**
+ * Custom level store tests: saving, replacing, deleting and skipping invalid
+ * stored levels.
+ */
+
+import { deleteCustomLevel, loadCustomLevels, newCustomLevelId, saveCustomLevel } from "./levelStore";
+
+test("saved levels load back normalized, and saving an id again replaces it", () => {
+  localStorage.clear();
+  expect(loadCustomLevels()).toEqual([]);
+  const id = newCustomLevelId();
+  expect(id).toMatch(/^custom-/);
+
+  const saved = saveCustomLevel({ id, name: "Box", cols: 8, rows: 6, walls: [[0, 0]] });
+  expect(saved.start).toEqual({ x: 4, y: 3, dir: "right" });
+  expect(loadCustomLevels()).toEqual([saved]);
+
+  saveCustomLevel({ id, name: "Bigger box", cols: 10, rows: 6 });
+  expect(loadCustomLevels().map((lv) => lv.name)).toEqual(["Bigger box"]);
+
+  deleteCustomLevel(id);
+  expect(loadCustomLevels()).toEqual([]);
+});
+
+test("invalid levels are refused on save and skipped on load", () => {
+  localStorage.clear();
+  expect(() => saveCustomLevel({ id: "custom-bad", cols: 5, rows: 5, walls: [[9, 9]] })).toThrow(
+    /outside/
+  );
+  expect(loadCustomLevels()).toEqual([]);
+
+  const good = saveCustomLevel({ id: "custom-good", cols: 6, rows: 6 });
+  const stored = JSON.parse(localStorage.getItem("snake.customLevels"));
+  localStorage.setItem("snake.customLevels", JSON.stringify([...stored, { id: "custom-bad", cols: 1 }]));
+  expect(loadCustomLevels()).toEqual([good]);
+
+  localStorage.setItem("snake.customLevels", "not json");
+  expect(loadCustomLevels()).toEqual([]);
+});
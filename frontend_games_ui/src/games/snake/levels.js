@@ -0,0 +1,289 @@
+/**
+ * Snake level definitions.
+ *
+ * Level format (plain JSON so levels can be shared and stored):
+ * {
+ *   id: string,
+ *   name: string,
+ *   cols: number, rows: number,
+ *   walls: [[x, y], ...],                 // interior wall cells
+ *   portals: [[[x1, y1], [x2, y2]], ...], // entering one cell exits from its pair
+ *   start: { x, y, dir: "up" | "down" | "left" | "right" },
+ *   start2: { x, y, dir } | null,         // optional player 2 spawn (versus)
+ *   edges: { top, right, bottom, left }   // each "wall" (kills) or "wrap"
+ * }
+ *
+ * normalizeLevel() fills defaults and validates a definition; built-in levels
+ * are authored as ASCII maps with levelFromMap(). playerStarts() picks spawn
+ * points for multi-snake games, mirroring player 1 when no start2 is given.
+ */
+
+export const DIR_VECTORS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+};
+
+export const EDGE_NAMES = ["top", "right", "bottom", "left"];
+
+const OPPOSITE_DIR = { up: "down", down: "up", left: "right", right: "left" };
+
+const MAX_SIZE = 100;
+
+function cellKey(x, y) {
+  return `${x},${y}`;
+}
+
+function isCell(c, cols, rows) {
+  return (
+    Array.isArray(c) &&
+    Number.isInteger(c[0]) &&
+    Number.isInteger(c[1]) &&
+    c[0] >= 0 &&
+    c[1] >= 0 &&
+    c[0] < cols &&
+    c[1] < rows
+  );
+}
+
+// PUBLIC_INTERFACE
+export function normalizeLevel(def = {}) {
+  /**
+   * Return a complete, validated copy of a level definition.
+   * Missing fields get defaults (20x20, no walls/portals, centred start moving
+   * right, wall edges). Throws an Error when the definition is inconsistent.
+   */
+  const cols = def.cols ?? 20;
+  const rows = def.rows ?? 20;
+  if (![cols, rows].every((n) => Number.isInteger(n) && n >= 2 && n <= MAX_SIZE)) {
+    throw new Error(`Level size must be between 2 and ${MAX_SIZE} cells per side.`);
+  }
+
+  const used = new Set();
+  const claim = (c, what) => {
+    if (!isCell(c, cols, rows)) {
+      throw new Error(`${what} ${JSON.stringify(c)} is outside the ${cols}x${rows} board.`);
+    }
+    const key = cellKey(c[0], c[1]);
+    if (used.has(key)) {
+      throw new Error(`${what} ${JSON.stringify(c)} overlaps another element.`);
+    }
+    used.add(key);
+    return [c[0], c[1]];
+  };
+
+  const walls = (def.walls || []).map((c) => claim(c, "Wall"));
+  const portals = (def.portals || []).map((pair) => {
+    if (!Array.isArray(pair) || pair.length !== 2) {
+      throw new Error("Each portal must be a pair of cells.");
+    }
+    return [claim(pair[0], "Portal"), claim(pair[1], "Portal")];
+  });
+
+  const start = {
+    x: def.start?.x ?? Math.floor(cols / 2),
+    y: def.start?.y ?? Math.floor(rows / 2),
+    dir: def.start?.dir ?? "right",
+  };
+  claim([start.x, start.y], "Start");
+  if (!DIR_VECTORS[start.dir]) {
+    throw new Error(`Unknown start direction: ${start.dir}`);
+  }
+
+  let start2 = null;
+  if (def.start2) {
+    start2 = { x: def.start2.x, y: def.start2.y, dir: def.start2.dir ?? "left" };
+    claim([start2.x, start2.y], "Player 2 start");
+    if (!DIR_VECTORS[start2.dir]) {
+      throw new Error(`Unknown start direction: ${start2.dir}`);
+    }
+  }
+
+  const edges = {};
+  EDGE_NAMES.forEach((edge) => {
+    const mode = def.edges?.[edge] ?? "wall";
+    if (mode !== "wall" && mode !== "wrap") {
+      throw new Error(`Edge "${edge}" must be "wall" or "wrap".`);
+    }
+    edges[edge] = mode;
+  });
+
+  return {
+    id: String(def.id ?? "custom"),
+    name: String(def.name ?? "Untitled"),
+    cols,
+    rows,
+    walls,
+    portals,
+    start,
+    start2,
+    edges,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function playerStarts(level, count) {
+  /**
+   * Return `count` spawn points ({ x, y, dir }) for a normalized level.
+   * Player 1 uses `start`; player 2 uses `start2` or, failing that, the cell
+   * point-mirrored through the board centre facing the opposite way. Further
+   * players (or blocked mirror cells) take the first free cell scanning rows.
+   */
+  const blocked = new Set(level.walls.map(([x, y]) => `${x},${y}`));
+  level.portals.forEach((pair) => pair.forEach(([x, y]) => blocked.add(`${x},${y}`)));
+  const starts = [];
+  const take = (s) => {
+    blocked.add(`${s.x},${s.y}`);
+    starts.push(s);
+  };
+
+  take(level.start);
+  if (count > 1) {
+    const mirror = {
+      x: level.cols - 1 - level.start.x,
+      y: level.rows - 1 - level.start.y,
+      dir: OPPOSITE_DIR[level.start.dir],
+    };
+    const second = level.start2 || mirror;
+    if (!blocked.has(`${second.x},${second.y}`)) take(second);
+  }
+  for (let y = 0; y < level.rows && starts.length < count; y += 1) {
+    for (let x = 0; x < level.cols && starts.length < count; x += 1) {
+      if (!blocked.has(`${x},${y}`)) take({ x, y, dir: "right" });
+    }
+  }
+  return starts;
+}
+
+// PUBLIC_INTERFACE
+export function levelFromMap({ id, name, map, dir = "right", edges }) {
+  /**
+   * Build a level from an ASCII map (one string per row):
+   * "#" wall, "S" start, "2" player 2 start (facing opposite to `dir`),
+   * "." empty, and a letter pair such as "A"/"a" for the two ends of a portal.
+   */
+  const walls = [];
+  const ends = {};
+  let start;
+  let start2 = null;
+  map.forEach((line, y) => {
+    [...line].forEach((ch, x) => {
+      if (ch === "#") walls.push([x, y]);
+      else if (ch === "S") start = { x, y, dir };
+      else if (ch === "2") start2 = { x, y, dir: OPPOSITE_DIR[dir] };
+      else if (/[a-zA-Z]/.test(ch)) {
+        const key = ch.toUpperCase();
+        ends[key] = ends[key] || [];
+        ends[key][ch === key ? 0 : 1] = [x, y];
+      }
+    });
+  });
+  return normalizeLevel({
+    id,
+    name,
+    cols: map[0].length,
+    rows: map.length,
+    walls,
+    portals: Object.keys(ends)
+      .sort()
+      .map((k) => ends[k]),
+    start,
+    start2,
+    edges,
+  });
+}
+
+const ALL_WRAP = { top: "wrap", right: "wrap", bottom: "wrap", left: "wrap" };
+
+// PUBLIC_INTERFACE
+export const BUILTIN_LEVELS = [
+  normalizeLevel({ id: "classic", name: "Classic", cols: 24, rows: 20 }),
+  normalizeLevel({ id: "open-sea", name: "Open Sea (wrap)", cols: 24, rows: 20, edges: ALL_WRAP }),
+  levelFromMap({
+    id: "pillars",
+    name: "Pillars",
+    map: [
+      "........................",
+      "........................",
+      "........................",
+      "....##..........##......",
+      "....##..........##......",
+      "........................",
+      "........................",
+      "........................",
+      "........................",
+      "...........S............",
+      "........................",
+      "........................",
+      "........................",
+      "........................",
+      "....##..........##......",
+      "....##..........##......",
+      "........................",
+      "........................",
+      "........................",
+      "........................",
+    ],
+  }),
+  levelFromMap({
+    id: "portal-bay",
+    name: "Portal Bay",
+    edges: { top: "wrap", right: "wall", bottom: "wrap", left: "wall" },
+    map: [
+      "...........#............",
+      "...........#............",
+      "...A.......#.......b....",
+      "...........#............",
+      "...........#............",
+      "...........#............",
+      "...........#............",
+      "...........#............",
+      "........................",
+      ".....S..................",
+      "........................",
+      "........................",
+      "...........#............",
+      "...........#............",
+      "...........#............",
+      "...........#............",
+      "...........#............",
+      "...B.......#.......a....",
+      "...........#............",
+      "...........#............",
+    ],
+  }),
+  levelFromMap({
+    id: "corridors",
+    name: "Corridors",
+    edges: { top: "wall", right: "wrap", bottom: "wall", left: "wrap" },
+    map: [
+      "........................",
+      "........................",
+      "........................",
+      "..####################..",
+      "........................",
+      "........................",
+      "........................",
+      "######...########...####",
+      "........................",
+      "........................",
+      "..S.....................",
+      "........................",
+      "####...########...######",
+      "........................",
+      "........................",
+      "........................",
+      "..####################..",
+      "........................",
+      "........................",
+      "........................",
+    ],
+  }),
+];
+
+// PUBLIC_INTERFACE
+export function getBuiltinLevel(id) {
+  /** Look up a built-in level by id (undefined when unknown). */
+  return BUILTIN_LEVELS.find((level) => level.id === id);
+}
@@ -0,0 +1,39 @@
+/**
+ * Level format tests: defaults, validation and ASCII map parsing.
+ */
+
+import { BUILTIN_LEVELS, levelFromMap, normalizeLevel } from "./levels";
+
+test("normalizeLevel fills defaults", () => {
+  const level = normalizeLevel({ cols: 10, rows: 8 });
+  expect(level.start).toEqual({ x: 5, y: 4, dir: "right" });
+  expect(level.edges).toEqual({ top: "wall", right: "wall", bottom: "wall", left: "wall" });
+  expect(level.walls).toEqual([]);
+});
+
+test("normalizeLevel rejects overlapping or out-of-bounds cells", () => {
+  expect(() => normalizeLevel({ cols: 5, rows: 5, walls: [[5, 0]] })).toThrow(/outside/);
+  expect(() =>
+    normalizeLevel({ cols: 5, rows: 5, walls: [[1, 1]], portals: [[[1, 1], [3, 3]]] })
+  ).toThrow(/overlaps/);
+  expect(() => normalizeLevel({ edges: { top: "bounce" } })).toThrow(/Edge/);
+});
+
+test("levelFromMap reads walls, start and portal pairs", () => {
+  const level = levelFromMap({
+    id: "t",
+    name: "Test",
+    dir: "down",
+    map: ["#A..", ".S.a", "...#"],
+  });
+  expect(level.cols).toBe(4);
+  expect(level.rows).toBe(3);
+  expect(level.walls).toEqual([[0, 0], [3, 2]]);
+  expect(level.portals).toEqual([[[1, 0], [3, 1]]]);
+  expect(level.start).toEqual({ x: 1, y: 1, dir: "down" });
+});
+
+test("built-in levels have unique ids", () => {
+  const ids = BUILTIN_LEVELS.map((l) => l.id);
+  expect(new Set(ids).size).toBe(ids.length);
+});
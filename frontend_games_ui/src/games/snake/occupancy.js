@@ -0,0 +1,93 @@
+/**
+ * Occupancy grid for the snake engine.
+ *
+ * Cells are addressed by index (y * cols + x). The grid counts snake segments
+ * per cell, both in total and per owner (snake id), so "is this cell taken,
+ * and by whom" is O(1). Counts rather than flags because an invincible snake
+ * may overlap itself.
+ *
+ * It also keeps the set of free cells (not blocked by the level, no segment)
+ * as a dense list with a position index, so adding, removing and picking a
+ * uniformly random free cell are all O(1).
+ */
+
+// PUBLIC_INTERFACE
+export function createOccupancyGrid({ size, owners = 1, blocked = () => false }) {
+  /**
+   * Create an empty grid of `size` cells for `owners` snakes. `blocked(idx)`
+   * marks cells that can never be free (walls, portals).
+   */
+  const total = new Uint16Array(size);
+  const perOwner = Array.from({ length: owners }, () => new Uint16Array(size));
+  const isBlocked = new Uint8Array(size);
+  const freeList = new Int32Array(size);
+  const freePos = new Int32Array(size).fill(-1);
+  let freeCount = 0;
+
+  function addFree(idx) {
+    freePos[idx] = freeCount;
+    freeList[freeCount] = idx;
+    freeCount += 1;
+  }
+
+  function removeFree(idx) {
+    const pos = freePos[idx];
+    const last = freeList[freeCount - 1];
+    freeList[pos] = last;
+    freePos[last] = pos;
+    freePos[idx] = -1;
+    freeCount -= 1;
+  }
+
+  /** Empty every cell (blocked cells stay blocked). */
+  function clear() {
+    total.fill(0);
+    perOwner.forEach((counts) => counts.fill(0));
+    freePos.fill(-1);
+    freeCount = 0;
+    for (let idx = 0; idx < size; idx += 1) {
+      if (!isBlocked[idx]) addFree(idx);
+    }
+  }
+
+  /** Put one segment of `owner` on a cell. */
+  function add(idx, owner) {
+    if (total[idx] === 0 && freePos[idx] >= 0) removeFree(idx);
+    total[idx] += 1;
+    perOwner[owner][idx] += 1;
+  }
+
+  /** Take one segment of `owner` off a cell. */
+  function remove(idx, owner) {
+    if (perOwner[owner][idx] === 0) return;
+    total[idx] -= 1;
+    perOwner[owner][idx] -= 1;
+    if (total[idx] === 0 && !isBlocked[idx]) addFree(idx);
+  }
+
+  /** Segments on a cell: all of them, or only `owner`'s. */
+  function count(idx, owner) {
+    return owner === undefined ? total[idx] : perOwner[owner][idx];
+  }
+
+  /** A uniformly random free cell index, or -1 when the board is full. */
+  function pickFree(random) {
+    if (freeCount === 0) return -1;
+    return freeList[Math.floor(random() * freeCount)];
+  }
+
+  for (let idx = 0; idx < size; idx += 1) {
+    if (blocked(idx)) isBlocked[idx] = 1;
+  }
+  clear();
+
+  return {
+    add,
+    remove,
+    count,
+    clear,
+    pickFree,
+    isFree: (idx) => freePos[idx] >= 0,
+    freeCount: () => freeCount,
+  };
+}
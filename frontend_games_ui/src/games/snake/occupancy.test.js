@@ -0,0 +1,45 @@
+/**
+ * Occupancy grid tests: segment counts per cell and owner, and the free-cell
+ * set staying in step with them.
+ */
+
+import { createOccupancyGrid } from "./occupancy";
+
+test("counts segments per cell, in total and per owner", () => {
+  const grid = createOccupancyGrid({ size: 4, owners: 2 });
+  grid.add(1, 0);
+  grid.add(1, 0);
+  grid.add(1, 1);
+  expect(grid.count(1)).toBe(3);
+  expect(grid.count(1, 0)).toBe(2);
+  expect(grid.count(1, 1)).toBe(1);
+  grid.remove(1, 1);
+  grid.remove(1, 1); // nothing of owner 1 left: ignored
+  expect(grid.count(1)).toBe(2);
+});
+
+test("tracks free cells, skipping blocked ones", () => {
+  const grid = createOccupancyGrid({ size: 5, blocked: (idx) => idx === 2 });
+  expect(grid.freeCount()).toBe(4);
+  expect(grid.isFree(2)).toBe(false);
+  grid.add(0, 0);
+  grid.add(4, 0);
+  expect(grid.freeCount()).toBe(2);
+  expect(grid.isFree(0)).toBe(false);
+  grid.remove(0, 0);
+  expect(grid.isFree(0)).toBe(true);
+  expect(grid.freeCount()).toBe(3);
+});
+
+test("pickFree only returns free cells and -1 on a full board", () => {
+  const grid = createOccupancyGrid({ size: 6 });
+  [0, 1, 3, 4].forEach((idx) => grid.add(idx, 0));
+  for (let r = 0; r < 1; r += 0.1) {
+    expect([2, 5]).toContain(grid.pickFree(() => r));
+  }
+  grid.add(2, 0);
+  grid.add(5, 0);
+  expect(grid.pickFree(() => 0.5)).toBe(-1);
+  grid.clear();
+  expect(grid.freeCount()).toBe(6);
+});
@@ -0,0 +1,239 @@
+/**
+ * Snake replays: a compact, JSON-friendly record of a run.
+ *
+ * A replay stores the starting conditions (board size, seed, speed) and every
+ * accepted direction change as [tick, code], where tick is `state.ticks` at the
+ * moment of input (the change takes effect on the following step). Because the
+ * engine is deterministic for a seed, feeding the inputs back through
+ * createSnakeEngine reproduces the run exactly.
+ *
+ * Format (version 2; version 1 replays predate the occupancy-grid food
+ * placement, so their food would land elsewhere and they are rejected):
+ * { v: 2, cols, rows, seed, speedMs, level, players, items, campaign,
+ *   inputs: [[tick, "U"|"D"|"L"|"R", player?], ...],
+ *   ticks, score, gameOver, date }
+ *
+ * `players` defaults to 1; the player index is only written for players
+ * other than the first, keeping single-player replays compact.
+ * `assisted` is set when a bot (autopilot) steered player 1.
+ *
+ * `items` holds the item spawn weights the run used (see ./items); replays
+ * without them were played with plain apples only.
+ *
+ * `level` is the full level definition (see ./levels) so custom levels replay
+ * without needing to be installed; replays without one use the empty box.
+ *
+ * `speedMs` is the tick interval the run was played at. A campaign stage
+ * (see ./campaign) records `campaign: { stage, carried }` instead, the stage
+ * index and the score carried into it, since its interval tightens with the
+ * score; see replayInterval.
+ *
+ * A run that ended in a collision stops on the fatal step (which does not
+ * advance `ticks`); a run abandoned with reset() stops after `ticks` steps.
+ */
+
+import { createSnakeEngine } from "./snakeEngine";
+import { normalizeLevel } from "./levels";
+import { normalizeItemWeights } from "./items";
+import { CAMPAIGN_STAGES, stageInterval } from "./campaign";
+import { profileKey } from "../../utils/profiles";
+
+export const REPLAY_VERSION = 2;
+
+const CODE_KEYS = { U: "ArrowUp", D: "ArrowDown", L: "ArrowLeft", R: "ArrowRight" };
+
+const STORAGE_PREFIX = "snake.replay.";
+
+/** Stored replays are kept per profile (see profileKey in utils/profiles). */
+const storageKey = (slot, userId) => profileKey(userId, STORAGE_PREFIX + slot);
+
+function codeForDir(dir) {
+  if (dir.y < 0) return "U";
+  if (dir.y > 0) return "D";
+  return dir.x < 0 ? "L" : "R";
+}
+
+// PUBLIC_INTERFACE
+export function createReplay({
+  cols,
+  rows,
+  seed,
+  speedMs,
+  level = null,
+  players = 1,
+  items = null,
+  campaign = null,
+}) {
+  /** Start an empty replay for a run with the given starting conditions. */
+  return {
+    v: REPLAY_VERSION,
+    cols,
+    rows,
+    seed,
+    speedMs,
+    level,
+    players,
+    items,
+    campaign,
+    inputs: [],
+    ticks: 0,
+    score: 0,
+    gameOver: false,
+    date: null,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function recordInput(replay, tick, dir, player = 0) {
+  /** Append an accepted direction change made while the engine was at `tick`. */
+  replay.inputs.push(player ? [tick, codeForDir(dir), player] : [tick, codeForDir(dir)]);
+}
+
+// PUBLIC_INTERFACE
+export function finishReplay(replay, state) {
+  /** Stamp the final tick count and score once the run ends. */
+  replay.ticks = state.ticks;
+  replay.score = state.score;
+  replay.gameOver = state.gameOver;
+  replay.date = new Date().toISOString();
+  return replay;
+}
+
+// PUBLIC_INTERFACE
+export function serializeReplay(replay) {
+  /** Serialize a replay to a JSON string. */
+  return JSON.stringify(replay);
+}
+
+// PUBLIC_INTERFACE
+export function parseReplay(text) {
+  /**
+   * Parse and validate a replay from JSON text (or an already-parsed object).
+   * Throws an Error describing the problem when the replay is unusable.
+   */
+  const data = typeof text === "string" ? JSON.parse(text) : text;
+  if (!data || typeof data !== "object") {
+    throw new Error("Replay must be a JSON object.");
+  }
+  if (data.v !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${data.v}`);
+  }
+  const dims = [data.cols, data.rows, data.seed, data.ticks];
+  if (!dims.every((n) => Number.isInteger(n) && n >= 0)) {
+    throw new Error("Replay is missing board size, seed or tick count.");
+  }
+  if (!Array.isArray(data.inputs)) {
+    throw new Error("Replay inputs must be an array.");
+  }
+  const players = data.players ?? 1;
+  if (!Number.isInteger(players) || players < 1) {
+    throw new Error("Replay player count must be a positive integer.");
+  }
+  const inputs = data.inputs.map((entry) => {
+    const [tick, code, player = 0] = Array.isArray(entry) ? entry : [];
+    if (!Number.isInteger(tick) || !CODE_KEYS[code] || !(player >= 0 && player < players)) {
+      throw new Error(`Invalid replay input: ${JSON.stringify(entry)}`);
+    }
+    return player ? [tick, code, player] : [tick, code];
+  });
+  if (!(typeof data.speedMs === "number" && data.speedMs > 0)) {
+    throw new Error("Replay tick interval must be a positive number.");
+  }
+  const campaign = data.campaign ?? null;
+  if (
+    campaign &&
+    !(
+      Number.isInteger(campaign.stage) &&
+      CAMPAIGN_STAGES[campaign.stage] &&
+      Number.isInteger(campaign.carried) &&
+      campaign.carried >= 0
+    )
+  ) {
+    throw new Error("Replay campaign stage or carried score is invalid.");
+  }
+  const level = data.level ? normalizeLevel(data.level) : null;
+  if (level && (level.cols !== data.cols || level.rows !== data.rows)) {
+    throw new Error("Replay board size does not match its level.");
+  }
+  const items = data.items ?? null;
+  if (items) normalizeItemWeights(items);
+  return { ...data, level, players, items, campaign, inputs };
+}
+
+// PUBLIC_INTERFACE
+export function replayInterval(replay, score) {
+  /**
+   * The tick interval (ms) a replay was played at once its run reached
+   * `score`: its speed, or for a campaign stage the stage interval.
+   */
+  const { campaign } = replay;
+  return campaign ? stageInterval(campaign.stage, campaign.carried + score) : replay.speedMs;
+}
+
+// PUBLIC_INTERFACE
+export function createReplayPlayer(replay) {
+  /**
+   * Drive a fresh engine from a replay.
+   * Returns { engine, replay, step(), reset(), isDone() }; each step() applies
+   * the inputs recorded for the current tick and advances the engine once.
+   */
+  const engine = createSnakeEngine({
+    cols: replay.cols,
+    rows: replay.rows,
+    seed: replay.seed,
+    level: replay.level || undefined,
+    players: replay.players || 1,
+    itemWeights: replay.items || undefined,
+  });
+  let cursor = 0;
+
+  function reset() {
+    engine.reset(replay.seed);
+    cursor = 0;
+  }
+
+  function isDone() {
+    const { gameOver, ticks } = engine.state;
+    if (gameOver || ticks > replay.ticks) return true;
+    return ticks === replay.ticks && !replay.gameOver;
+  }
+
+  function step() {
+    if (isDone()) return engine.state;
+    const tick = engine.state.ticks;
+    while (cursor < replay.inputs.length && replay.inputs[cursor][0] <= tick) {
+      const [, code, player = 0] = replay.inputs[cursor];
+      engine.changeDirection(CODE_KEYS[code], player);
+      cursor += 1;
+    }
+    return engine.step();
+  }
+
+  reset();
+
+  return { engine, replay, step, reset, isDone };
+}
+
+// PUBLIC_INTERFACE
+export function loadStoredReplay(slot, userId) {
+  /**
+   * Read a profile's replay saved under `slot` ("last" or "best"); null if
+   * absent or invalid. `userId` is the profile (see utils/profiles).
+   */
+  try {
+    const raw = localStorage.getItem(storageKey(slot, userId));
+    return raw ? parseReplay(raw) : null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function storeReplay(slot, replay, userId) {
+  /** Persist a profile's replay under `slot`; storage errors are ignored. */
+  try {
+    localStorage.setItem(storageKey(slot, userId), serializeReplay(replay));
+  } catch (_err) {
+    // ignore storage errors
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Replay tests: a recorded run fed back through createReplayPlayer must end
+ * in exactly the same state as the original, malformed replays are rejected
+ * and stored replays are kept per profile.
+ */
+
+import { createSnakeEngine } from "./snakeEngine";
+import { CAMPAIGN_STAGES, stageInterval } from "./campaign";
+import {
+  createReplay,
+  createReplayPlayer,
+  finishReplay,
+  loadStoredReplay,
+  parseReplay,
+  recordInput,
+  REPLAY_VERSION,
+  replayInterval,
+  serializeReplay,
+  storeReplay,
+} from "./replay";
+
+function playScript(script) {
+  const eng = createSnakeEngine({ cols: 12, rows: 10, seed: 42 });
+  eng.reset();
+  const replay = createReplay({ cols: 12, rows: 10, seed: 42, speedMs: 120 });
+  for (let i = 0; i < 60 && !eng.state.gameOver; i += 1) {
+    const key = script[i];
+    if (key && eng.changeDirection(key)) {
+      recordInput(replay, eng.state.ticks, eng.state.pendingDir);
+    }
+    eng.step();
+  }
+  return { eng, replay: finishReplay(replay, eng.state) };
+}
+
+test("replay reproduces the recorded run", () => {
+  const { eng, replay } = playScript({ 2: "ArrowDown", 5: "a", 9: "ArrowUp", 14: "d", 20: "s" });
+  const player = createReplayPlayer(parseReplay(serializeReplay(replay)));
+
+  while (!player.isDone()) player.step();
+
+  expect(player.engine.state.ticks).toBe(eng.state.ticks);
+  expect(player.engine.state.score).toBe(eng.state.score);
+  expect(player.engine.state.snake).toEqual(eng.state.snake);
+  expect(player.engine.state.food).toEqual(eng.state.food);
+  expect(player.engine.state.gameOver).toBe(eng.state.gameOver);
+});
+
+test("rejected inputs are not recorded", () => {
+  const { replay } = playScript({ 0: "ArrowLeft", 1: "ArrowUp" });
+  expect(replay.inputs).toEqual([[1, "U"]]);
+});
+
+test("parseReplay rejects malformed data", () => {
+  expect(() => parseReplay("{}")).toThrow(/version/);
+  expect(() => parseReplay({ v: 1, cols: 5, rows: 5, seed: 1, ticks: 3, inputs: [] })).toThrow(
+    /version/
+  );
+  expect(() =>
+    parseReplay({ v: REPLAY_VERSION, cols: 5, rows: 5, seed: 1, ticks: 3, inputs: [[0, "X"]] })
+  ).toThrow(/Invalid replay input/);
+});
+
+test("versus replays keep the player index of each input", () => {
+  const replay = createReplay({ cols: 10, rows: 10, seed: 5, speedMs: 120, players: 2 });
+  recordInput(replay, 0, { x: 0, y: 1 }, 0);
+  recordInput(replay, 0, { x: 0, y: -1 }, 1);
+  expect(replay.inputs).toEqual([[0, "D"], [0, "U", 1]]);
+
+  finishReplay(replay, { ticks: 1, score: 0, gameOver: false });
+  const player = createReplayPlayer(parseReplay(serializeReplay(replay)));
+  player.step();
+  expect(player.engine.state.snakes[0].dir).toEqual({ x: 0, y: 1 });
+  expect(player.engine.state.snakes[1].dir).toEqual({ x: 0, y: -1 });
+});
+
+test("replays keep the item spawn weights of the run", () => {
+  const items = { apple: 1, golden: 1, invincible: 1 };
+  const replay = createReplay({ cols: 10, rows: 10, seed: 8, speedMs: 120, items });
+  const player = createReplayPlayer(parseReplay(serializeReplay(replay)));
+  const eng = createSnakeEngine({ cols: 10, rows: 10, seed: 8, itemWeights: items });
+  expect(player.engine.state.food).toEqual(eng.state.food);
+
+  expect(() => parseReplay({ ...replay, items: { cherry: 2 } })).toThrow(/Unknown snake item type/);
+});
+
+test("replays play at the interval they were recorded at", () => {
+  const replay = createReplay({ cols: 10, rows: 10, seed: 3, speedMs: 70 });
+  expect(replayInterval(parseReplay(serializeReplay(replay)), 40)).toBe(70);
+
+  const stage = { ...replay, speedMs: CAMPAIGN_STAGES[2].startMs, campaign: { stage: 2, carried: 9 } };
+  expect(replayInterval(parseReplay(stage), 0)).toBe(stageInterval(2, 9));
+  expect(replayInterval(parseReplay(stage), 6)).toBe(stageInterval(2, 15));
+
+  expect(() => parseReplay({ ...replay, speedMs: 0 })).toThrow(/tick interval/);
+  expect(() => parseReplay({ ...stage, campaign: { stage: 99, carried: 0 } })).toThrow(/campaign/);
+  expect(() => parseReplay({ ...stage, campaign: { stage: 2, carried: -1 } })).toThrow(/campaign/);
+});
+
+test("stored replays belong to the profile that played them", () => {
+  localStorage.clear();
+  const { replay } = playScript({});
+  storeReplay("best", replay, "p-ana");
+  expect(loadStoredReplay("best", "p-ana")).toEqual(parseReplay(serializeReplay(replay)));
+  expect(loadStoredReplay("best", "p-ben")).toBeNull();
+  expect(loadStoredReplay("best")).toBeNull();
+});
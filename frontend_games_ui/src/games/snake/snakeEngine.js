@@ -4,146 +4,496 @@
  * Pure snake engine: maintains grid, snake positions, food placement,
  * movement, growth, collision detection, and score.
  *
- * Self-collision rule:
- * - Compute the next head position (nx, ny)
- * - Compare it against the previous snake segments BEFORE moving the tail
- *   (this ensures the check is done against the "old" body)
+ * Randomness (food placement) comes from a seeded RNG so a run is fully
+ * determined by its seed and inputs. Pass `seed` to reproduce a run, or
+ * inject `rng` (a function returning floats in [0, 1)) to take full control.
+ * The active seed is exposed as `state.seed` (null when `rng` is injected).
+ *
+ * The board comes from a level definition (see ./levels): interior walls,
+ * paired portals, the start position/direction and, per edge, whether leaving
+ * the board wraps around or counts as hitting a wall. Without a `level` the
+ * engine uses an empty `cols x rows` box with wall edges.
+ *
+ * Multiple snakes: pass `players` (default 1) to run several snakes on one
+ * board. Each lives in `state.snakes[i]` with its own body, direction and
+ * score. With one player both WASD and the arrow keys steer it; with two,
+ * WASD steers player 1 and the arrows player 2. For single-player callers
+ * `state.snake`, `state.dir`, `state.pendingDir` and `state.score` read and
+ * write player 1.
+ *
+ * Collision rules (all snakes move simultaneously):
+ * - Compute every next head position (nx, ny) first
+ * - Compare each against the previous bodies BEFORE moving any tail
+ *   (this ensures the check is done against the "old" bodies)
+ * - Two heads entering the same cell, or swapping cells, is a head-on
+ *   collision that kills both (this also settles two snakes reaching the
+ *   same food on the same tick)
+ * - A single-player game ends when the snake dies; a multi-snake game ends
+ *   once at most one snake is left: the survivor is `state.winner`, and
+ *   `state.draw` is set when nobody survives. The fatal step does not move
+ *   any snake or advance `ticks`.
+ *
+ * Items: `state.food` is the single item on the board, { x, y, type,
+ * expiresAt } (see ./items for the types). `itemWeights` sets how often each
+ * type spawns; the default is plain apples only. Timed effects live in
+ * `snake.effects` ({ effect: ticksLeft }); tickScale() tells the caller how
+ * much slow motion / speed bursts stretch the tick interval.
+ *
+ * Occupancy: the engine keeps an occupancy grid of snake segments and the set
+ * of free cells (see ./occupancy), so collision checks are O(1) per snake and
+ * food always lands on a free cell. Filling the board is a win: the game ends
+ * with `state.won` set (multi-snake games go to the highest score). Tests may
+ * replace a snake's `body` array directly; the grid is rebuilt when the
+ * engine notices the array, its length or its ends changed.
+ *
+ * Events: subscribe with on(type, handler) and unsubscribe with off(type,
+ * handler) (on() also returns an unsubscribe function). Handlers run
+ * synchronously, in subscription order, with a payload object:
+ * - "directionChanged" { player, dir, tick }  an input was accepted as pending
+ * - "foodEaten"        { player, x, y, type, score }
+ * - "foodExpired"      { x, y, type }         a timed item vanished uneaten
+ * - "collision"        { player, cause }      cause: "wall" | "self" | "snake" | "headOn"
+ * - "tick"             { ticks }              after a step that moved the snakes
+ * - "gameOver"         { winner, draw, won, ticks }
+ * - "reset"            { seed }
  */
 
-const DIRS = {
-  ArrowUp: { x: 0, y: -1 },
-  ArrowDown: { x: 0, y: 1 },
-  ArrowLeft: { x: -1, y: 0 },
-  ArrowRight: { x: 1, y: 0 },
+import { createRng, normalizeSeed, randomSeed } from "../../utils/rng";
+import { DIR_VECTORS, normalizeLevel, playerStarts } from "./levels";
+import { ITEM_TYPES, normalizeItemWeights, pickItemType, tickScale } from "./items";
+import { createOccupancyGrid } from "./occupancy";
+
+const WASD_DIRS = {
   w: { x: 0, y: -1 },
   s: { x: 0, y: 1 },
   a: { x: -1, y: 0 },
   d: { x: 1, y: 0 },
 };
 
+const ARROW_DIRS = {
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+};
+
+// PUBLIC_INTERFACE
+export const SNAKE_EVENTS = [
+  "directionChanged",
+  "foodEaten",
+  "foodExpired",
+  "collision",
+  "tick",
+  "gameOver",
+  "reset",
+];
+
+function lookupKey(key) {
+  const k = String(key);
+  if (ARROW_DIRS[k]) return { set: "arrows", dir: ARROW_DIRS[k] };
+  const w = WASD_DIRS[k.toLowerCase()];
+  return w ? { set: "wasd", dir: w } : null;
+}
+
 // PUBLIC_INTERFACE
-export function createSnakeEngine({ cols = 20, rows = 20 } = {}) {
+export function createSnakeEngine({
+  cols = 20,
+  rows = 20,
+  seed,
+  rng,
+  level,
+  players = 1,
+  itemWeights,
+} = {}) {
+  let random = rng;
+  const spawnTable = normalizeItemWeights(itemWeights);
+  const listeners = new Map(SNAKE_EVENTS.map((type) => [type, []]));
+
+  const board = normalizeLevel(level || { id: "classic", name: "Classic", cols, rows });
+  ({ cols, rows } = board);
+  const starts = playerStarts(board, players);
+
+  // cell index -> wall flag / portal exit, for O(1) lookups while stepping
+  const walls = new Set(board.walls.map(([x, y]) => y * cols + x));
+  const portalExits = new Map();
+  board.portals.forEach(([a, b]) => {
+    portalExits.set(a[1] * cols + a[0], { x: b[0], y: b[1] });
+    portalExits.set(b[1] * cols + b[0], { x: a[0], y: a[1] });
+  });
+  const grid = createOccupancyGrid({
+    size: cols * rows,
+    owners: starts.length,
+    blocked: (idx) => walls.has(idx) || portalExits.has(idx),
+  });
+  const cellIndex = (c) => c.y * cols + c.x;
+
+  function spawnSnakes() {
+    return starts.map((start, id) => ({
+      id,
+      body: [{ x: start.x, y: start.y }], // array of {x,y}, head at index 0
+      dir: { ...DIR_VECTORS[start.dir] },
+      pendingDir: null,
+      score: 0,
+      alive: true,
+      deathCause: null, // "wall" | "self" | "snake" | "headOn"
+      effects: {}, // effect -> ticks left
+    }));
+  }
+
   const state = {
     cols,
     rows,
-    snake: [], // array of {x,y}, head at index 0
-    dir: { x: 1, y: 0 },
-    pendingDir: null,
+    level: board,
+    seed: null,
+    players: starts.length,
+    snakes: spawnSnakes(),
     food: null,
-    score: 0,
     ticks: 0,
     gameOver: false,
+    winner: null, // index of the surviving snake in multi-snake games
+    draw: false,
+    won: false, // the board was filled
   };
 
-  // Initialize snake in the middle
-  const midX = Math.floor(cols / 2);
-  const midY = Math.floor(rows / 2);
-  state.snake = [{ x: midX, y: midY }];
+  // single-player shorthands for snake 0
+  ["snake:body", "dir:dir", "pendingDir:pendingDir", "score:score"].forEach((pair) => {
+    const [name, field] = pair.split(":");
+    Object.defineProperty(state, name, {
+      enumerable: true,
+      get: () => state.snakes[0][field],
+      set: (v) => {
+        state.snakes[0][field] = v;
+      },
+    });
+  });
+
+  /**
+   * Restart the RNG sequence from the given seed. Injected RNGs are left alone
+   * since their sequence is owned by the caller.
+   */
+  function seedRandom(nextSeed) {
+    if (rng) return;
+    state.seed = normalizeSeed(nextSeed);
+    random = createRng(state.seed);
+  }
+
+  seedRandom(seed === undefined ? randomSeed() : seed);
+
+  // the body arrays (and their length and ends) the grid currently reflects
+  let tracked = [];
+
+  function markSynced() {
+    tracked = state.snakes.map((sn) => ({
+      body: sn.body,
+      length: sn.body.length,
+      head: sn.body[0],
+      tail: sn.body[sn.body.length - 1],
+    }));
+  }
+
+  function rebuildGrid() {
+    grid.clear();
+    state.snakes.forEach((sn) => sn.body.forEach((seg) => grid.add(cellIndex(seg), sn.id)));
+    markSynced();
+  }
+
+  /** Rebuild the grid if bodies were replaced or edited from outside. */
+  function syncGrid() {
+    const stale =
+      tracked.length !== state.snakes.length ||
+      state.snakes.some((sn, i) => {
+        const t = tracked[i];
+        return (
+          t.body !== sn.body ||
+          t.length !== sn.body.length ||
+          t.head !== sn.body[0] ||
+          t.tail !== sn.body[sn.body.length - 1]
+        );
+      });
+    if (stale) rebuildGrid();
+  }
+
+  function dropTail(sn, count) {
+    for (let k = 0; k < count; k += 1) grid.remove(cellIndex(sn.body.pop()), sn.id);
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Subscribe to an engine event (see SNAKE_EVENTS). Returns an unsubscribe
+   * function. Throws on unknown event types to catch typos early.
+   */
+  function on(type, handler) {
+    const list = listeners.get(type);
+    if (!list) throw new Error(`Unknown snake engine event: ${type}`);
+    list.push(handler);
+    return () => off(type, handler);
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Remove a handler previously passed to on().
+   */
+  function off(type, handler) {
+    const list = listeners.get(type);
+    if (!list) return;
+    const i = list.indexOf(handler);
+    if (i >= 0) list.splice(i, 1);
+  }
+
+  function emit(type, payload) {
+    // copy so handlers may unsubscribe while being notified
+    listeners.get(type).slice().forEach((handler) => handler(payload));
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Which snake a key steers: 0 for any direction key in single-player,
+   * 0 for WASD and 1 for arrows with two or more players; -1 otherwise.
+   */
+  function playerForKey(key) {
+    const hit = lookupKey(key);
+    if (!hit) return -1;
+    if (state.players === 1) return 0;
+    return hit.set === "wasd" ? 0 : 1;
+  }
 
   /**
    * PUBLIC_INTERFACE
    * Change snake direction based on key input.
+   * The snake is chosen from the key (see playerForKey) unless `player` is
+   * given, in which case any direction key steers that snake.
    * Prevents reversing into itself by disallowing 180-degree turns.
+   * Returns true when the input was accepted as the pending direction.
    */
-  function changeDirection(key) {
-    const k = String(key);
-    const v = DIRS[k] || DIRS[k.toLowerCase()];
-    if (!v) return;
-    const next = v;
-    if (state.dir.x + next.x === 0 && state.dir.y + next.y === 0) {
-      return;
+  function changeDirection(key, player = playerForKey(key)) {
+    const hit = lookupKey(key);
+    const snake = state.snakes[player];
+    if (!hit || !snake || !snake.alive) return false;
+    const next = hit.dir;
+    if (snake.dir.x + next.x === 0 && snake.dir.y + next.y === 0) {
+      return false;
     }
-    state.pendingDir = next;
+    snake.pendingDir = next;
+    emit("directionChanged", { player, dir: next, tick: state.ticks });
+    return true;
   }
 
   /**
    * PUBLIC_INTERFACE
-   * Place food at a random empty cell (not overlapping any snake segment).
+   * Resolve where a head at (x, y) moving by dir ends up: edges either wrap or
+   * stop the snake, and entering a portal exits from its paired cell.
+   * Returns null when the move hits a wall edge or an interior wall.
+   * Snake bodies are not considered (bots use this to plan moves).
+   */
+  function nextCell(x, y, dir) {
+    let nx = x + dir.x;
+    let ny = y + dir.y;
+    const edge =
+      nx < 0 ? "left" : nx >= cols ? "right" : ny < 0 ? "top" : ny >= rows ? "bottom" : null;
+    if (edge) {
+      if (board.edges[edge] !== "wrap") return null;
+      nx = (nx + cols) % cols;
+      ny = (ny + rows) % rows;
+    }
+    const idx = ny * cols + nx;
+    if (walls.has(idx)) return null;
+    return portalExits.get(idx) || { x: nx, y: ny };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Place a new item on a random free cell (no snake segment, wall or
+   * portal), its type drawn from the spawn weights. Returns false, leaving no
+   * food, when the board is full.
    */
   function placeFood() {
-    let x, y, tries = 0;
-    do {
-      x = Math.floor(Math.random() * cols);
-      y = Math.floor(Math.random() * rows);
-      tries += 1;
-      if (tries > 1000) break;
-    } while (state.snake.some((seg) => seg.x === x && seg.y === y));
-    state.food = { x, y };
+    syncGrid();
+    const idx = grid.pickFree(random);
+    if (idx < 0) {
+      state.food = null;
+      return false;
+    }
+    const x = idx % cols;
+    const y = Math.floor(idx / cols);
+    const type = pickItemType(spawnTable, random);
+    const { lifetime } = ITEM_TYPES[type];
+    state.food = { x, y, type, expiresAt: lifetime ? state.ticks + lifetime : null };
+    return true;
+  }
+
+  /** Apply an eaten item to a snake whose new head is already in place. */
+  function eat(sn, item) {
+    sn.score += item.score;
+    // a new head was added: keep the tail to grow by one, drop more to shrink
+    const drop = Math.min(1 - item.grow, sn.body.length - 1);
+    if (drop > 0) dropTail(sn, drop);
+    if (item.effect) sn.effects[item.effect] = item.duration;
+  }
+
+  /** Count down timed effects, dropping the ones that ran out. */
+  function tickEffects(sn) {
+    Object.keys(sn.effects).forEach((effect) => {
+      sn.effects[effect] -= 1;
+      if (sn.effects[effect] <= 0) delete sn.effects[effect];
+    });
   }
 
   /**
    * PUBLIC_INTERFACE
    * Reset the game to the initial state and place new food.
+   * Without an argument the current seed is replayed, so the same inputs
+   * reproduce the same game; pass a new seed to start a different run.
    */
-  function reset() {
-    state.snake = [{ x: midX, y: midY }];
-    state.dir = { x: 1, y: 0 };
-    state.pendingDir = null;
+  function reset(nextSeed = state.seed) {
+    seedRandom(nextSeed);
+    state.snakes = spawnSnakes();
     state.food = null;
-    state.score = 0;
     state.ticks = 0;
     state.gameOver = false;
+    state.winner = null;
+    state.draw = false;
+    state.won = false;
+    rebuildGrid();
     placeFood();
+    emit("reset", { seed: state.seed });
+  }
+
+  const sameCell = (a, b) => a.x === b.x && a.y === b.y;
+
+  /**
+   * Work out how each live snake's move ends: null when it survives,
+   * otherwise the death cause. `moves[i]` is the next head cell (or null).
+   * The grid still holds the old bodies, so tails that are about to move
+   * count as obstacles.
+   */
+  function resolveCollisions(live, moves) {
+    return live.map((sn, i) => {
+      const next = moves[i];
+      if (!next) return "wall";
+      const idx = cellIndex(next);
+
+      // self collision: old body except the current head (invincible snakes
+      // pass through themselves)
+      const own = grid.count(idx, sn.id) - (sameCell(sn.body[0], next) ? 1 : 0);
+      if (own > 0 && !sn.effects.invincible) return "self";
+
+      for (let j = 0; j < live.length; j += 1) {
+        if (j === i) continue;
+        const other = live[j];
+        // head-on: same target cell, or two heads swapping places
+        if (moves[j] && sameCell(moves[j], next)) return "headOn";
+        if (moves[j] && sameCell(moves[j], sn.body[0]) && sameCell(other.body[0], next)) {
+          return "headOn";
+        }
+      }
+
+      // head-to-body against any other snake's old body (dead ones included)
+      return grid.count(idx) > grid.count(idx, sn.id) ? "snake" : null;
+    });
+  }
+
+  /**
+   * End the game. Multi-snake games go to `winner` (or a draw when null);
+   * single-player games just stop.
+   */
+  function endGame(winner) {
+    state.gameOver = true;
+    if (state.players > 1) {
+      state.winner = winner;
+      state.draw = winner === null;
+    }
+    emit("gameOver", { winner: state.winner, draw: state.draw, won: state.won, ticks: state.ticks });
+  }
+
+  /** The live snake with the strictly highest score, or null on a tie. */
+  function leader() {
+    const ranked = state.snakes.filter((sn) => sn.alive).sort((a, b) => b.score - a.score);
+    if (ranked.length > 1 && ranked[0].score === ranked[1].score) return null;
+    return ranked.length ? ranked[0].id : null;
   }
 
   /**
    * PUBLIC_INTERFACE
    * Advance one tick:
-   * - Apply pending direction
-   * - Compute next head coordinates
-   * - Check wall and self-collisions using previous body state
-   * - Grow on food, otherwise move tail
+   * - Apply pending directions
+   * - Compute next head coordinates (edge wrap and portals applied)
+   * - Check wall, self, head-on and head-to-body collisions using previous bodies
+   * - Eat items (score, growth, effects), otherwise move tail
+   * - Count down effects and replace timed items that expired
    */
   function step() {
     if (state.gameOver) return state;
+    syncGrid();
 
-    if (state.pendingDir) {
-      state.dir = state.pendingDir;
-      state.pendingDir = null;
-    }
+    const live = state.snakes.filter((sn) => sn.alive);
+    live.forEach((sn) => {
+      if (sn.pendingDir) {
+        sn.dir = sn.pendingDir;
+        sn.pendingDir = null;
+      }
+    });
 
-    const head = state.snake[0];
-    const nx = head.x + state.dir.x;
-    const ny = head.y + state.dir.y;
+    const moves = live.map((sn) => nextCell(sn.body[0].x, sn.body[0].y, sn.dir));
+    const causes = resolveCollisions(live, moves);
+    causes.forEach((cause, i) => {
+      if (cause) {
+        live[i].alive = false;
+        live[i].deathCause = cause;
+        emit("collision", { player: live[i].id, cause });
+      }
+    });
 
-    // bounds collision (wall)
-    if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) {
-      state.gameOver = true;
+    const survivors = live.filter((sn) => sn.alive);
+    const limit = state.players > 1 ? 1 : 0;
+    if (survivors.length < live.length && survivors.length <= limit) {
+      endGame(survivors.length === 1 ? survivors[0].id : null);
       return state;
     }
 
-    // self collision:
-    // Compare against the previous snake body (all segments except current head).
-    // This uses the "old" body since we haven't moved tail yet.
-    for (let i = 1; i < state.snake.length; i += 1) {
-      const seg = state.snake[i];
-      if (seg.x === nx && seg.y === ny) {
-        state.gameOver = true;
-        return state;
-      }
-    }
+    let ate = false;
+    live.forEach((sn, i) => {
+      if (!sn.alive) return;
+      const newHead = { x: moves[i].x, y: moves[i].y };
+      sn.body.unshift(newHead);
+      grid.add(cellIndex(newHead), sn.id);
+      tickEffects(sn);
 
-    const newHead = { x: nx, y: ny };
-    state.snake.unshift(newHead);
+      if (state.food && sameCell(state.food, newHead)) {
+        const type = state.food.type || "apple";
+        eat(sn, ITEM_TYPES[type]);
+        ate = true;
+        emit("foodEaten", { player: sn.id, x: newHead.x, y: newHead.y, type, score: sn.score });
+      } else {
+        // move tail
+        dropTail(sn, 1);
+      }
+    });
+    markSynced();
 
-    // food handling (growth)
-    if (state.food && state.food.x === nx && state.food.y === ny) {
-      state.score += 1;
+    state.ticks += 1;
+    const { food } = state;
+    if (ate) {
+      state.won = !placeFood();
+    } else if (food && food.expiresAt != null && state.ticks >= food.expiresAt) {
+      emit("foodExpired", { x: food.x, y: food.y, type: food.type });
       placeFood();
-    } else {
-      // move tail
-      state.snake.pop();
     }
-
-    state.ticks += 1;
+    emit("tick", { ticks: state.ticks });
+    if (state.won) endGame(leader());
     return state;
   }
 
+  rebuildGrid();
   placeFood();
 
   return {
     state,
+    on,
+    off,
     changeDirection,
+    playerForKey,
+    nextCell,
+    tickScale: () => tickScale(state.snakes),
     placeFood,
     step,
     reset,
@@ -5,9 +5,11 @@
  * - Self-collision triggers game over when new head overlaps old body segment
  * - Wall collision triggers game over
  * - Food consumption increases score and grows snake
+ * - Food placement is deterministic for a given seed
  */
 
 import { createSnakeEngine } from "./snakeEngine";
+import { DEFAULT_ITEM_WEIGHTS, ITEM_TYPES } from "./items";
 
 // Helper to force deterministic food placement
 function placeFoodAt(engine, x, y) {
@@ -62,3 +64,386 @@ test("self-collision with old body causes game over", () => {
 
   expect(eng.state.gameOver).toBe(true);
 });
+
+test("same seed produces the same food sequence", () => {
+  const a = createSnakeEngine({ cols: 12, rows: 12, seed: 1234 });
+  const b = createSnakeEngine({ cols: 12, rows: 12, seed: 1234 });
+  expect(a.state.seed).toBe(1234);
+
+  for (let i = 0; i < 5; i += 1) {
+    expect(b.state.food).toEqual(a.state.food);
+    a.placeFood();
+    b.placeFood();
+  }
+});
+
+test("reset replays the current seed unless a new one is given", () => {
+  const eng = createSnakeEngine({ cols: 12, rows: 12, seed: "daily-challenge" });
+  const firstFood = { ...eng.state.food };
+  const seed = eng.state.seed;
+
+  eng.placeFood();
+  eng.reset();
+  expect(eng.state.seed).toBe(seed);
+  expect(eng.state.food).toEqual(firstFood);
+
+  eng.reset(99);
+  expect(eng.state.seed).toBe(99);
+});
+
+test("injected rng drives food placement and leaves seed unset", () => {
+  const eng = createSnakeEngine({ cols: 10, rows: 10, rng: () => 0.05 });
+  expect(eng.state.seed).toBeNull();
+  expect(eng.state.food).toEqual({ x: 4, y: 0, type: "apple", expiresAt: null });
+});
+
+test("wrap edges carry the head to the opposite side", () => {
+  const eng = createSnakeEngine({
+    level: { cols: 5, rows: 5, start: { x: 4, y: 2, dir: "right" }, edges: { right: "wrap" } },
+    seed: 1,
+  });
+  eng.state.food = null;
+
+  eng.step();
+  expect(eng.state.gameOver).toBe(false);
+  expect(eng.state.snake[0]).toEqual({ x: 0, y: 2 });
+});
+
+test("interior walls end the game and start direction comes from the level", () => {
+  const eng = createSnakeEngine({
+    level: { cols: 6, rows: 6, walls: [[2, 1]], start: { x: 2, y: 3, dir: "up" } },
+    seed: 1,
+  });
+  eng.state.food = null;
+
+  eng.step();
+  expect(eng.state.snake[0]).toEqual({ x: 2, y: 2 });
+  eng.step();
+  expect(eng.state.gameOver).toBe(true);
+});
+
+test("entering a portal exits from its paired cell", () => {
+  const eng = createSnakeEngine({
+    level: { cols: 8, rows: 4, portals: [[[2, 1], [6, 3]]], start: { x: 1, y: 1, dir: "right" } },
+    seed: 1,
+  });
+  eng.state.food = null;
+
+  eng.step();
+  expect(eng.state.snake[0]).toEqual({ x: 6, y: 3 });
+  eng.step();
+  expect(eng.state.snake[0]).toEqual({ x: 7, y: 3 });
+});
+
+test("food never lands on walls or portals", () => {
+  const walls = [];
+  for (let x = 0; x < 4; x += 1) {
+    for (let y = 0; y < 4; y += 1) if (x + y > 1) walls.push([x, y]);
+  }
+  const eng = createSnakeEngine({
+    level: { cols: 4, rows: 4, walls, portals: [], start: { x: 0, y: 0, dir: "right" } },
+    seed: 7,
+  });
+  for (let i = 0; i < 10; i += 1) {
+    eng.placeFood();
+    const { x, y } = eng.state.food;
+    expect([{ x: 1, y: 0 }, { x: 0, y: 1 }]).toContainEqual({ x, y });
+  }
+});
+
+// versus mode
+
+function versus(start, start2) {
+  const eng = createSnakeEngine({
+    level: { cols: 10, rows: 5, start, start2 },
+    players: 2,
+    seed: 3,
+  });
+  eng.state.food = null;
+  return eng;
+}
+
+test("WASD steers player 1 and arrows player 2", () => {
+  const eng = versus({ x: 1, y: 1, dir: "right" }, { x: 8, y: 3, dir: "left" });
+  expect(eng.playerForKey("w")).toBe(0);
+  expect(eng.playerForKey("ArrowUp")).toBe(1);
+
+  eng.changeDirection("s");
+  eng.changeDirection("ArrowUp");
+  eng.step();
+  expect(eng.state.snakes[0].body[0]).toEqual({ x: 1, y: 2 });
+  expect(eng.state.snakes[1].body[0]).toEqual({ x: 8, y: 2 });
+});
+
+test("heads meeting in one cell is a draw", () => {
+  const eng = versus({ x: 2, y: 2, dir: "right" }, { x: 4, y: 2, dir: "left" });
+  eng.step();
+  expect(eng.state.gameOver).toBe(true);
+  expect(eng.state.draw).toBe(true);
+  expect(eng.state.winner).toBeNull();
+  expect(eng.state.snakes.map((sn) => sn.deathCause)).toEqual(["headOn", "headOn"]);
+});
+
+test("heads swapping places is a head-on collision", () => {
+  const eng = versus({ x: 2, y: 2, dir: "right" }, { x: 3, y: 2, dir: "left" });
+  eng.step();
+  expect(eng.state.draw).toBe(true);
+});
+
+test("running into the other snake's body loses", () => {
+  const eng = versus({ x: 2, y: 1, dir: "down" }, { x: 4, y: 2, dir: "left" });
+  eng.state.snakes[1].body = [
+    { x: 4, y: 2 },
+    { x: 5, y: 2 },
+  ];
+  eng.state.snakes[1].dir = { x: 0, y: -1 };
+  eng.state.snakes[0].body = [{ x: 5, y: 1 }];
+  eng.step();
+  expect(eng.state.gameOver).toBe(true);
+  expect(eng.state.winner).toBe(1);
+  expect(eng.state.snakes[0].deathCause).toBe("snake");
+});
+
+test("player 2 spawn mirrors player 1 when the level has none", () => {
+  const eng = createSnakeEngine({ level: { cols: 10, rows: 6 }, players: 2, seed: 1 });
+  expect(eng.state.snakes[1].body[0]).toEqual({ x: 4, y: 2 });
+  expect(eng.state.snakes[1].dir).toEqual({ x: -1, y: 0 });
+});
+
+// events
+
+function recorder(eng) {
+  const log = [];
+  ["directionChanged", "foodEaten", "collision", "tick", "gameOver", "reset"].forEach((type) =>
+    eng.on(type, (payload) => log.push([type, payload]))
+  );
+  return log;
+}
+
+test("reports accepted inputs, meals and ticks", () => {
+  const eng = createSnakeEngine({ cols: 6, rows: 6, seed: 1 });
+  eng.state.snake = [{ x: 2, y: 3 }];
+  eng.state.dir = { x: 1, y: 0 };
+  placeFoodAt(eng, 2, 2);
+  const log = recorder(eng);
+
+  expect(eng.changeDirection("ArrowUp")).toBe(true);
+  eng.step();
+
+  expect(log).toEqual([
+    ["directionChanged", { player: 0, dir: { x: 0, y: -1 }, tick: 0 }],
+    ["foodEaten", { player: 0, x: 2, y: 2, type: "apple", score: 1 }],
+    ["tick", { ticks: 1 }],
+  ]);
+});
+
+test("collision carries the cause, then the game ends", () => {
+  const eng = createSnakeEngine({ cols: 4, rows: 4, seed: 1 });
+  eng.state.snake = [{ x: 3, y: 2 }];
+  eng.state.dir = { x: 1, y: 0 };
+  const log = recorder(eng);
+
+  eng.step();
+  eng.step();
+
+  expect(log).toEqual([
+    ["collision", { player: 0, cause: "wall" }],
+    ["gameOver", { winner: null, draw: false, won: false, ticks: 0 }],
+  ]);
+});
+
+test("self collision is reported as such", () => {
+  const eng = createSnakeEngine({ cols: 10, rows: 10, seed: 1 });
+  eng.state.snake = [
+    { x: 5, y: 5 },
+    { x: 5, y: 6 },
+    { x: 4, y: 6 },
+    { x: 4, y: 5 },
+  ];
+  eng.state.dir = { x: -1, y: 0 };
+  const causes = [];
+  eng.on("collision", ({ cause }) => causes.push(cause));
+  eng.step();
+  expect(causes).toEqual(["self"]);
+});
+
+test("reset reports the seed; off and the returned unsubscribe stop delivery", () => {
+  const eng = createSnakeEngine({ seed: 1 });
+  const seen = [];
+  const handler = ({ seed }) => seen.push(seed);
+  const unsubscribe = eng.on("reset", handler);
+  eng.reset(7);
+  unsubscribe();
+  eng.reset(8);
+  eng.on("reset", handler);
+  eng.off("reset", handler);
+  eng.reset(9);
+  expect(seen).toEqual([7]);
+});
+
+test("unknown event types throw", () => {
+  const eng = createSnakeEngine({ seed: 1 });
+  expect(() => eng.on("foodeaten", () => {})).toThrow(/Unknown snake engine event/);
+});
+
+// items
+
+function solo(body, dir, item) {
+  const eng = createSnakeEngine({ cols: 10, rows: 10, seed: 1, itemWeights: DEFAULT_ITEM_WEIGHTS });
+  eng.state.snake = body;
+  eng.state.dir = dir;
+  eng.state.food = item;
+  return eng;
+}
+
+test("the default spawns plain apples only", () => {
+  const eng = createSnakeEngine({ seed: 3 });
+  for (let i = 0; i < 20; i += 1) {
+    eng.placeFood();
+    expect(eng.state.food.type).toBe("apple");
+    expect(eng.state.food.expiresAt).toBeNull();
+  }
+});
+
+test("spawn weights pick the item types", () => {
+  const eng = createSnakeEngine({ seed: 3, itemWeights: { golden: 1, apple: 0 } });
+  expect(eng.state.food.type).toBe("golden");
+  expect(eng.state.food.expiresAt).toBe(ITEM_TYPES.golden.lifetime);
+
+  const mixed = createSnakeEngine({ seed: 3, itemWeights: { apple: 1, shrink: 1 } });
+  const seen = new Set();
+  for (let i = 0; i < 50; i += 1) {
+    mixed.placeFood();
+    seen.add(mixed.state.food.type);
+  }
+  expect([...seen].sort()).toEqual(["apple", "shrink"]);
+});
+
+test("invalid weights are rejected", () => {
+  expect(() => createSnakeEngine({ itemWeights: { cherry: 1 } })).toThrow(/Unknown snake item type/);
+  expect(() => createSnakeEngine({ itemWeights: { apple: -1 } })).toThrow(/non-negative/);
+  expect(() => createSnakeEngine({ itemWeights: { apple: 0 } })).toThrow(/positive/);
+});
+
+test("golden food scores more and disappears after its lifetime", () => {
+  const eng = solo([{ x: 1, y: 1 }], { x: 1, y: 0 }, { x: 2, y: 1, type: "golden", expiresAt: 5 });
+  eng.step();
+  expect(eng.state.score).toBe(ITEM_TYPES.golden.score);
+  expect(eng.state.snake).toHaveLength(2);
+
+  const missed = solo([{ x: 1, y: 1 }], { x: 1, y: 0 }, { x: 1, y: 8, type: "golden", expiresAt: 2 });
+  const expired = [];
+  missed.on("foodExpired", (e) => expired.push(e));
+  missed.step();
+  expect(missed.state.food).toMatchObject({ x: 1, y: 8 });
+  missed.step();
+  expect(expired).toEqual([{ x: 1, y: 8, type: "golden" }]);
+  expect(missed.state.food).not.toMatchObject({ x: 1, y: 8, expiresAt: 2 });
+});
+
+test("shrink pills cut the tail but never the head", () => {
+  const body = [0, 1, 2, 3, 4, 5].map((y) => ({ x: 1, y: 8 - y }));
+  const eng = solo(body, { x: 1, y: 0 }, { x: 2, y: 8, type: "shrink" });
+  eng.step();
+  expect(eng.state.snake).toEqual([
+    { x: 2, y: 8 },
+    { x: 1, y: 8 },
+    { x: 1, y: 7 },
+  ]);
+
+  const tiny = solo([{ x: 1, y: 1 }], { x: 1, y: 0 }, { x: 2, y: 1, type: "shrink" });
+  tiny.step();
+  expect(tiny.state.snake).toEqual([{ x: 2, y: 1 }]);
+});
+
+test("slow motion and speed bursts scale the tick interval while they last", () => {
+  const eng = solo([{ x: 1, y: 1 }], { x: 1, y: 0 }, { x: 2, y: 1, type: "slow" });
+  expect(eng.tickScale()).toBe(1);
+  eng.step();
+  expect(eng.state.snake[0].x).toBe(2);
+  expect(eng.state.snakes[0].effects).toEqual({ slow: ITEM_TYPES.slow.duration });
+  expect(eng.tickScale()).toBeGreaterThan(1);
+
+  eng.state.snakes[0].effects = { speed: 1 };
+  expect(eng.tickScale()).toBeLessThan(1);
+  eng.step();
+  expect(eng.state.snakes[0].effects).toEqual({});
+  expect(eng.tickScale()).toBe(1);
+});
+
+test("invincible snakes pass through their own body, but not walls", () => {
+  const eng = solo(
+    [
+      { x: 5, y: 5 },
+      { x: 5, y: 6 },
+      { x: 4, y: 6 },
+      { x: 4, y: 5 },
+      { x: 3, y: 5 },
+    ],
+    { x: -1, y: 0 },
+    { x: 8, y: 8 }
+  );
+  eng.state.snakes[0].effects = { invincible: 1 };
+  eng.step();
+  expect(eng.state.gameOver).toBe(false);
+  expect(eng.state.snakes[0].effects).toEqual({});
+
+  eng.state.dir = { x: 0, y: 1 };
+  eng.step();
+  expect(eng.state.gameOver).toBe(true);
+  expect(eng.state.snakes[0].deathCause).toBe("self");
+
+  const walled = solo([{ x: 9, y: 1 }], { x: 1, y: 0 }, { x: 8, y: 8 });
+  walled.state.snakes[0].effects = { invincible: 5 };
+  walled.step();
+  expect(walled.state.snakes[0].deathCause).toBe("wall");
+});
+
+// occupancy
+
+// a 3x2 box; the snake fills every cell but (2,0), where the food sits
+function almostFull() {
+  const eng = createSnakeEngine({ level: { cols: 3, rows: 2, start: { x: 1, y: 0, dir: "right" } }, seed: 4 });
+  eng.state.snake = [
+    { x: 1, y: 0 },
+    { x: 0, y: 0 },
+    { x: 0, y: 1 },
+    { x: 1, y: 1 },
+    { x: 2, y: 1 },
+  ];
+  eng.state.score = 4;
+  placeFoodAt(eng, 2, 0);
+  return eng;
+}
+
+test("food always lands on the only free cell", () => {
+  const eng = almostFull();
+  for (let i = 0; i < 20; i += 1) {
+    eng.placeFood();
+    expect(eng.state.food).toMatchObject({ x: 2, y: 0 });
+  }
+});
+
+test("filling the board wins the game", () => {
+  const eng = almostFull();
+  const ends = [];
+  eng.on("gameOver", (e) => ends.push(e));
+  eng.step();
+  expect(eng.state.snake).toHaveLength(6);
+  expect(eng.state.food).toBeNull();
+  expect(eng.state.gameOver).toBe(true);
+  expect(eng.state.won).toBe(true);
+  expect(eng.state.snakes[0].deathCause).toBeNull();
+  expect(ends).toEqual([{ winner: null, draw: false, won: true, ticks: 1 }]);
+});
+
+test("replaced bodies are picked up before the next step", () => {
+  const eng = createSnakeEngine({ cols: 6, rows: 6, seed: 2 });
+  eng.state.snake = [
+    { x: 2, y: 2 },
+    { x: 3, y: 2 },
+  ];
+  eng.state.dir = { x: 1, y: 0 };
+  eng.step();
+  expect(eng.state.snakes[0].deathCause).toBe("self");
+});
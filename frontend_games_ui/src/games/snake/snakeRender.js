@@ -0,0 +1,170 @@
+/**
+ * Canvas drawing helpers for Snake boards, shared by the game and any view
+ * that needs to show a level (walls, portals, edges, spawn).
+ */
+
+export const PORTAL_COLORS = ["#22D3EE", "#A78BFA", "#F472B6", "#34D399", "#FBBF24"];
+
+// head/body colours per player (player 1 first)
+export const SNAKE_COLORS = [
+  { head: "#F59E0B", body: "#64B5F6" },
+  { head: "#F472B6", body: "#34D399" },
+  { head: "#A78BFA", body: "#FDE68A" },
+  { head: "#22D3EE", body: "#FCA5A5" },
+];
+
+// fill colour and glyph per item type (see ./items); apples have no glyph
+export const ITEM_STYLES = {
+  apple: { color: "#EF4444", glyph: "" },
+  golden: { color: "#FACC15", glyph: "★" },
+  shrink: { color: "#A78BFA", glyph: "−" },
+  slow: { color: "#38BDF8", glyph: "⏳" },
+  speed: { color: "#FB923C", glyph: "»" },
+  invincible: { color: "#F8FAFC", glyph: "✦" },
+};
+
+const FONT = "system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+
+// PUBLIC_INTERFACE
+export function drawBoard(ctx, level, cellSize) {
+  /**
+   * Draw the static part of a level: background, grid, interior walls,
+   * portals (one colour per pair) and the edges (solid = wall, dashed = wrap).
+   */
+  const width = level.cols * cellSize;
+  const height = level.rows * cellSize;
+
+  // background
+  ctx.fillStyle = "#0b1220";
+  ctx.fillRect(0, 0, width, height);
+
+  // grid subtle
+  ctx.strokeStyle = "rgba(255,255,255,0.06)";
+  ctx.lineWidth = 1;
+  for (let x = 0; x <= width; x += cellSize) {
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+    ctx.stroke();
+  }
+  for (let y = 0; y <= height; y += cellSize) {
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(width, y);
+    ctx.stroke();
+  }
+
+  // walls
+  ctx.fillStyle = "#475569";
+  level.walls.forEach(([x, y]) => {
+    ctx.fillRect(x * cellSize + 1, y * cellSize + 1, cellSize - 2, cellSize - 2);
+  });
+
+  // portals
+  ctx.lineWidth = 3;
+  level.portals.forEach((pair, i) => {
+    ctx.strokeStyle = PORTAL_COLORS[i % PORTAL_COLORS.length];
+    pair.forEach(([x, y]) => {
+      ctx.beginPath();
+      ctx.arc(x * cellSize + cellSize / 2, y * cellSize + cellSize / 2, cellSize / 2 - 3, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+  });
+
+  // edges
+  const sides = {
+    top: [0, 1, width, 1],
+    right: [width - 1, 0, width - 1, height],
+    bottom: [0, height - 1, width, height - 1],
+    left: [1, 0, 1, height],
+  };
+  Object.entries(sides).forEach(([edge, [x1, y1, x2, y2]]) => {
+    const wrap = level.edges[edge] === "wrap";
+    ctx.strokeStyle = wrap ? "rgba(34,211,238,0.7)" : "rgba(148,163,184,0.9)";
+    ctx.setLineDash(wrap ? [6, 6] : []);
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+  ctx.lineWidth = 1;
+}
+
+// PUBLIC_INTERFACE
+export function drawSnake(ctx, snake, cellSize, colors = SNAKE_COLORS[0]) {
+  /** Draw snake segments (head first). */
+  snake.forEach((seg, idx) => {
+    ctx.fillStyle = idx === 0 ? colors.head : colors.body;
+    ctx.fillRect(seg.x * cellSize + 2, seg.y * cellSize + 2, cellSize - 4, cellSize - 4);
+  });
+}
+
+// PUBLIC_INTERFACE
+export function drawSnakes(ctx, snakes, cellSize) {
+  /**
+   * Draw every snake in its player colour; dead snakes are faded and
+   * invincible ones get a white outline.
+   */
+  snakes.forEach((sn, i) => {
+    ctx.globalAlpha = sn.alive ? 1 : 0.35;
+    drawSnake(ctx, sn.body, cellSize, SNAKE_COLORS[i % SNAKE_COLORS.length]);
+    if (sn.alive && sn.effects?.invincible) {
+      ctx.strokeStyle = "rgba(248,250,252,0.9)";
+      ctx.lineWidth = 2;
+      sn.body.forEach((seg) => {
+        ctx.strokeRect(seg.x * cellSize + 2, seg.y * cellSize + 2, cellSize - 4, cellSize - 4);
+      });
+      ctx.lineWidth = 1;
+    }
+  });
+  ctx.globalAlpha = 1;
+}
+
+// PUBLIC_INTERFACE
+export function drawFood(ctx, food, cellSize, ticks = 0) {
+  /**
+   * Draw the item on the board as a dot in its type colour, with the type's
+   * glyph on top. Timed items blink during their last 10 ticks.
+   */
+  if (!food) return;
+  const style = ITEM_STYLES[food.type] || ITEM_STYLES.apple;
+  if (food.expiresAt != null && food.expiresAt - ticks <= 10 && ticks % 2 === 1) return;
+  const cx = food.x * cellSize + cellSize / 2;
+  const cy = food.y * cellSize + cellSize / 2;
+  ctx.fillStyle = style.color;
+  ctx.beginPath();
+  ctx.arc(cx, cy, style.glyph ? cellSize / 2 - 2 : cellSize / 3, 0, Math.PI * 2);
+  ctx.fill();
+  if (style.glyph) {
+    ctx.fillStyle = "#0b1220";
+    ctx.font = `bold ${Math.round(cellSize * 0.6)}px ${FONT}`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(style.glyph, cx, cy + 1);
+    ctx.textAlign = "start";
+    ctx.textBaseline = "alphabetic";
+  }
+}
+
+// PUBLIC_INTERFACE
+export function drawOverlay(ctx, width, height, title, subtitle, lines = []) {
+  /**
+   * Dim the board and show a centred title with an optional subtitle and
+   * smaller detail lines below it.
+   */
+  const top = height / 2 - lines.length * 9;
+  ctx.fillStyle = "rgba(0,0,0,0.5)";
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = "#fff";
+  ctx.font = `bold 28px ${FONT}`;
+  ctx.textAlign = "center";
+  ctx.fillText(title, width / 2, top);
+  if (subtitle) {
+    ctx.font = `bold 16px ${FONT}`;
+    ctx.fillText(subtitle, width / 2, top + 28);
+  }
+  ctx.font = `14px ${FONT}`;
+  lines.forEach((line, i) => ctx.fillText(line, width / 2, top + 54 + i * 18));
+  ctx.textAlign = "start";
+}
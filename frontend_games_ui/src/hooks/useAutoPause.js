@@ -0,0 +1,30 @@
+import { useEffect } from "react";
+
+/**
+ * Pause a game whenever the player cannot see it: when the page is hidden
+ * (a `visibilitychange` to hidden, e.g. another browser tab), when the
+ * window loses focus (`blur`, e.g. alt-tab) and when the game itself is
+ * not `active` (its Navbar tab is not selected). Resuming is left to the
+ * player, so nothing moves until they are back.
+ *
+ * `pause` should be stable (wrap it in useCallback) so the listeners are
+ * not re-added on every render.
+ */
+// PUBLIC_INTERFACE
+export default function useAutoPause(pause, active = true) {
+  useEffect(() => {
+    if (!active) {
+      pause();
+      return undefined;
+    }
+    const onVisibilityChange = () => {
+      if (document.visibilityState === "hidden") pause();
+    };
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    window.addEventListener("blur", pause);
+    return () => {
+      document.removeEventListener("visibilitychange", onVisibilityChange);
+      window.removeEventListener("blur", pause);
+    };
+  }, [pause, active]);
+}
@@ -0,0 +1,66 @@
+/**
+ * Auto-pause tests: hiding the page, losing focus and an inactive tab pause
+ * the game; nothing pauses it once it is unmounted.
+ */
+
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import useAutoPause from "./useAutoPause";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+function Game({ pause, active }) {
+  useAutoPause(pause, active);
+  return null;
+}
+
+// mount a game, returning how often it was paused and controls to drive it
+function mount(active = true) {
+  let pauses = 0;
+  const pause = () => {
+    pauses += 1;
+  };
+  const root = createRoot(document.createElement("div"));
+  const render = (isActive) => act(() => root.render(<Game pause={pause} active={isActive} />));
+  render(active);
+  return { pauses: () => pauses, render, unmount: () => act(() => root.unmount()) };
+}
+
+// switch the page's visibility and tell listeners about it
+function setVisibility(state) {
+  Object.defineProperty(document, "visibilityState", { configurable: true, get: () => state });
+  document.dispatchEvent(new window.Event("visibilitychange"));
+}
+
+test("hiding the page or losing focus pauses the game", () => {
+  const game = mount();
+  expect(game.pauses()).toBe(0);
+  setVisibility("hidden");
+  expect(game.pauses()).toBe(1);
+  setVisibility("visible");
+  expect(game.pauses()).toBe(1);
+  window.dispatchEvent(new window.Event("blur"));
+  expect(game.pauses()).toBe(2);
+  game.unmount();
+});
+
+test("an inactive game is paused and ignores the page until it is active again", () => {
+  const game = mount(false);
+  expect(game.pauses()).toBe(1);
+  window.dispatchEvent(new window.Event("blur"));
+  expect(game.pauses()).toBe(1);
+  game.render(true);
+  window.dispatchEvent(new window.Event("blur"));
+  expect(game.pauses()).toBe(2);
+  game.render(false);
+  expect(game.pauses()).toBe(3);
+  game.unmount();
+});
+
+test("an unmounted game stops listening", () => {
+  const game = mount();
+  game.unmount();
+  setVisibility("hidden");
+  window.dispatchEvent(new window.Event("blur"));
+  expect(game.pauses()).toBe(0);
+});
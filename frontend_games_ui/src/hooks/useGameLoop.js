@@ -0,0 +1,64 @@
+import { useEffect, useRef } from "react";
+import { createGameLoop } from "../utils/gameLoop";
+
+/**
+ * Run a game on the shared frame-loop runtime (see utils/gameLoop) from
+ * requestAnimationFrame for as long as the component is mounted.
+ *
+ * Options:
+ * - update(stepMs): advance the game by one fixed step
+ * - render(alpha, dt): draw the current frame (alpha: 0..1 of a step)
+ * - stepMs: number, or a function read before every step (default 60 Hz)
+ * - timeScale: simulated ms per real ms (default 1; below 1 is slow motion)
+ * - running: false pauses updates; frames keep rendering
+ *
+ * The callbacks are read from the latest render, so they can close over
+ * props and state without the loop being torn down and started again.
+ * Returns the loop itself (pause/resume/reset/stats...).
+ */
+// PUBLIC_INTERFACE
+export default function useGameLoop({
+  update,
+  render,
+  stepMs = 1000 / 60,
+  timeScale = 1,
+  running = true,
+}) {
+  const latest = useRef({});
+  latest.current = { update, render, stepMs };
+
+  const loopRef = useRef(null);
+  if (!loopRef.current) {
+    loopRef.current = createGameLoop({
+      update: (ms) => latest.current.update(ms),
+      render: (alpha, dt) => latest.current.render?.(alpha, dt),
+      stepMs: () => {
+        const ms = latest.current.stepMs;
+        return typeof ms === "function" ? ms() : ms;
+      },
+      paused: !running,
+    });
+  }
+  const loop = loopRef.current;
+
+  useEffect(() => {
+    if (running) loop.resume();
+    else loop.pause();
+  }, [loop, running]);
+
+  useEffect(() => {
+    loop.setTimeScale(timeScale);
+  }, [loop, timeScale]);
+
+  useEffect(() => {
+    let raf = 0;
+    const frame = (ts) => {
+      loop.frame(ts);
+      raf = requestAnimationFrame(frame);
+    };
+    raf = requestAnimationFrame(frame);
+    return () => cancelAnimationFrame(raf);
+  }, [loop]);
+
+  return loop;
+}
@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { parseRoute } from "../utils/route";
+
+/**
+ * The current hash route (see utils/route) and a navigate(hash, { replace })
+ * function. Navigating pushes a browser history entry, so the back button
+ * walks back through the app's screens; with `replace` the current entry is
+ * swapped instead (redirects, settings changes). Links typed or pasted into
+ * the address bar are picked up through `hashchange`.
+ */
+// PUBLIC_INTERFACE
+export default function useHashRoute() {
+  const [hash, setHash] = useState(() => window.location.hash);
+
+  useEffect(() => {
+    const onHashChange = () => setHash(window.location.hash);
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    const next = to.startsWith("#") ? to : `#${to}`;
+    if (next === window.location.hash) return;
+    if (replace) {
+      // replaceState does not fire hashchange, so update the route here
+      window.history.replaceState(window.history.state, "", next);
+      setHash(next);
+    } else {
+      window.location.hash = next;
+    }
+  }, []);
+
+  const route = useMemo(() => parseRoute(hash), [hash]);
+  return [route, navigate];
+}
@@ -1,16 +1,30 @@
 import React from "react";
 import "../App.css";
 import "../index.css";
+import SnakeDemo from "../games/snake/SnakeDemo";
 
 /**
- * GameSelection page greets the user and provides navigation buttons to games.
+ * GameSelection page greets the user and provides navigation buttons to games,
+ * one card per game in the registry (see games/registry).
  * Props:
  * - username: string
- * - onSelectGame: (gameKey: 'Snake' | 'Racing') => void
+ * - games: registered game descriptors to offer
+ * - onSelectGame: (gameId: string) => void
  * - onLogout: () => void
+ * - onOpenEditor: () => void (optional; shows the Snake level editor entry)
+ * - onOpenLeaderboard: () => void (optional; shows the leaderboard entry)
+ * - showDemo: boolean (optional; shows the computer-vs-computer Snake demo)
  */
 // PUBLIC_INTERFACE
-export default function GameSelection({ username, onSelectGame, onLogout }) {
+export default function GameSelection({
+  username,
+  games = [],
+  onSelectGame,
+  onLogout,
+  onOpenEditor,
+  onOpenLeaderboard,
+  showDemo,
+}) {
   return (
     <div className="App app-root" style={{ minHeight: "100vh" }}>
       <main className="app-content" role="main">
@@ -28,23 +42,47 @@ export default function GameSelection({ username, onSelectGame, onLogout }) {
           </div>
 
           <div style={{ display: "grid", gap: 16, gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", marginTop: 18 }}>
-            <button
-              className="btn"
-              onClick={() => onSelectGame("Snake")}
-              aria-label="Play Snake"
-              style={{ padding: "18px 12px", justifySelf: "stretch" }}
-            >
-              🐍 Play Snake
-            </button>
-            <button
-              className="btn secondary"
-              onClick={() => onSelectGame("Racing")}
-              aria-label="Play Racing"
-              style={{ padding: "18px 12px", justifySelf: "stretch" }}
-            >
-              🚗 Play Racing
-            </button>
+            {games.map((game, i) => (
+              <div key={game.id} style={{ display: "grid", gap: 6, alignContent: "start" }}>
+                <button
+                  className={i % 2 ? "btn secondary" : "btn"}
+                  onClick={() => onSelectGame(game.id)}
+                  aria-label={`Play ${game.title}`}
+                  style={{ padding: "18px 12px", justifySelf: "stretch" }}
+                >
+                  {game.icon} Play {game.title}
+                </button>
+                <small style={{ color: "var(--text-secondary)" }}>{game.description}</small>
+              </div>
+            ))}
+            {onOpenEditor && (
+              <button
+                className="btn ghost"
+                onClick={onOpenEditor}
+                aria-label="Open Snake level editor"
+                style={{ padding: "18px 12px", justifySelf: "stretch" }}
+              >
+                🛠 Snake Level Editor
+              </button>
+            )}
+            {onOpenLeaderboard && (
+              <button
+                className="btn ghost"
+                onClick={onOpenLeaderboard}
+                aria-label="Open leaderboard"
+                style={{ padding: "18px 12px", justifySelf: "stretch" }}
+              >
+                🏆 Leaderboard
+              </button>
+            )}
           </div>
+
+          {showDemo && (
+            <div style={{ marginTop: 18, display: "grid", justifyItems: "center", gap: 6 }}>
+              <SnakeDemo />
+              <small style={{ color: "var(--muted)" }}>Demo: computer snakes playing each other</small>
+            </div>
+          )}
         </div>
       </main>
       <footer className="app-footer">
@@ -0,0 +1,169 @@
+import React, { useMemo } from "react";
+import "../App.css";
+import "../index.css";
+import { filterScores, loadScores, SCORE_RANGES } from "../utils/scores";
+
+/**
+ * Leaderboard page: the best stored runs (see utils/scores), filtered by
+ * game, by that game's score setting (Snake speed, Racing difficulty; see
+ * `scoreFilter` in games/registry) and by time range. The current profile's
+ * runs are highlighted, and runs show their profile's current name.
+ *
+ * Props:
+ * - username: string
+ * - userId: the current profile's id
+ * - profiles: every profile (see utils/profiles)
+ * - games: registered game descriptors to offer
+ * - filters: { game, range, <scoreFilter.key> } (from the link, e.g.
+ *   #/leaderboard?game=snake&speed=fast&range=week)
+ * - onFiltersChange: (filters) => void
+ * - onBack: () => void
+ */
+
+const RANGE_LABELS = { all: "All time", day: "Today", week: "This week", month: "This month" };
+
+const MAX_ROWS = 50;
+
+/** "1:05" for a duration in ms. */
+function formatDuration(ms) {
+  const total = Math.round(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// PUBLIC_INTERFACE
+export default function Leaderboard({
+  username,
+  userId,
+  profiles = [],
+  games = [],
+  filters = {},
+  onFiltersChange,
+  onBack,
+}) {
+  const scores = useMemo(() => loadScores(), []);
+
+  const game = games.find((g) => g.id === filters.game) || null;
+  const setting = game && game.scoreFilter;
+  const settingValue = setting && setting.options.includes(filters[setting.key]) ? filters[setting.key] : "";
+  const range = Object.prototype.hasOwnProperty.call(SCORE_RANGES, filters.range) ? filters.range : "all";
+
+  const rows = filterScores(scores, {
+    game: game ? game.id : undefined,
+    settings: setting ? { [setting.key]: settingValue } : {},
+    range,
+  })
+    .filter((s) => games.some((g) => g.id === s.game))
+    .slice(0, MAX_ROWS);
+
+  // change one filter and keep the others
+  const change = (next) => {
+    const current = { game: game ? game.id : "", range };
+    if (setting) current[setting.key] = settingValue;
+    onFiltersChange?.({ ...current, ...next });
+  };
+
+  /** The score setting of a row's run, e.g. "Fast". */
+  const settingOf = (entry) => {
+    const rowGame = games.find((g) => g.id === entry.game);
+    const value = rowGame?.scoreFilter && entry.settings[rowGame.scoreFilter.key];
+    if (value) return capitalize(String(value));
+    return entry.settings.match === "campaign" ? "Campaign" : "—";
+  };
+
+  return (
+    <div>
+      <div className="controls" aria-label="Leaderboard filters">
+        <button className="btn ghost" onClick={onBack} aria-label="Back to game selection">
+          ← Back
+        </button>
+        <label htmlFor="leaderboard-game">Game:</label>
+        <select
+          id="leaderboard-game"
+          className="select"
+          value={game ? game.id : ""}
+          onChange={(e) => onFiltersChange?.({ game: e.target.value, range })}
+        >
+          <option value="">All games</option>
+          {games.map((g) => (
+            <option key={g.id} value={g.id}>
+              {g.icon} {g.title}
+            </option>
+          ))}
+        </select>
+        {setting && (
+          <>
+            <label htmlFor="leaderboard-setting">{setting.label}:</label>
+            <select
+              id="leaderboard-setting"
+              className="select"
+              value={settingValue}
+              onChange={(e) => change({ [setting.key]: e.target.value })}
+            >
+              <option value="">Any</option>
+              {setting.options.map((option) => (
+                <option key={option} value={option}>
+                  {capitalize(option)}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+        <label htmlFor="leaderboard-range">When:</label>
+        <select
+          id="leaderboard-range"
+          className="select"
+          value={range}
+          onChange={(e) => change({ range: e.target.value })}
+        >
+          {Object.keys(SCORE_RANGES).map((key) => (
+            <option key={key} value={key}>
+              {RANGE_LABELS[key]}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="empty-state" role="note">
+          No scores yet for these filters. Finish a run to get on the board!
+        </div>
+      ) : (
+        <table className="score-table" aria-label="Leaderboard">
+          <thead>
+            <tr>
+              <th scope="col">#</th>
+              <th scope="col">Player</th>
+              {!game && <th scope="col">Game</th>}
+              <th scope="col">Score</th>
+              <th scope="col">{setting ? setting.label : "Setting"}</th>
+              <th scope="col">Time</th>
+              <th scope="col">Date</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((entry, i) => {
+              const mine = entry.userId ? entry.userId === userId : entry.user === username;
+              const player = profiles.find((p) => p.id === entry.userId);
+              return (
+                <tr key={entry.id} className={mine ? "mine" : undefined}>
+                  <td>{i + 1}</td>
+                  <td>
+                    {player ? player.name : entry.user}
+                    {mine && <span className="badge" style={{ marginLeft: 6 }}>you</span>}
+                  </td>
+                  {!game && <td>{games.find((g) => g.id === entry.game)?.title}</td>}
+                  <td>{entry.score}</td>
+                  <td>{settingOf(entry)}</td>
+                  <td>{formatDuration(entry.durationMs)}</td>
+                  <td>{new Date(entry.date).toLocaleDateString()}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,454 @@
+import React, { useEffect, useRef, useState } from "react";
+import "../App.css";
+import "../index.css";
+import SnakeGame from "../games/snake/SnakeGame";
+import { DIR_VECTORS, EDGE_NAMES, normalizeLevel } from "../games/snake/levels";
+import {
+  deleteCustomLevel,
+  loadCustomLevels,
+  newCustomLevelId,
+  saveCustomLevel,
+} from "../games/snake/levelStore";
+import { SNAKE_COLORS, drawBoard } from "../games/snake/snakeRender";
+
+/**
+ * LevelEditor page for building Snake levels.
+ * - Paint walls, portal pairs and the spawn points (player 1 and an optional
+ *   player 2 for versus) on a grid of any size
+ * - Choose the spawn direction and whether each edge wraps or is a wall
+ * - Test-play the draft immediately with the SnakeGame canvas (its replays are
+ *   kept with the current profile's)
+ * - Save to localStorage (appears in the Snake level picker), import/export JSON
+ *
+ * Props:
+ * - userId: the current profile's id (see utils/profiles)
+ * - onBack: () => void
+ */
+
+const TOOLS = [
+  { id: "wall", label: "🧱 Wall" },
+  { id: "portal", label: "🌀 Portal" },
+  { id: "spawn", label: "🐍 Spawn" },
+  { id: "spawn2", label: "🐍 Spawn P2" },
+  { id: "erase", label: "🧽 Erase" },
+];
+
+function blankLevel(cols = 24, rows = 20) {
+  return normalizeLevel({ id: newCustomLevelId(), name: "My Level", cols, rows });
+}
+
+const sameCell = (c, x, y) => c[0] === x && c[1] === y;
+
+/**
+ * Remove whatever occupies (x, y); a portal end removes its whole pair.
+ * The player 1 spawn is never removed (every level needs one).
+ */
+function clearCell(level, x, y) {
+  const p2 = level.start2;
+  return {
+    ...level,
+    walls: level.walls.filter((c) => !sameCell(c, x, y)),
+    portals: level.portals.filter((pair) => !pair.some((c) => sameCell(c, x, y))),
+    start2: p2 && p2.x === x && p2.y === y ? null : p2,
+  };
+}
+
+function isSpawn(level, x, y) {
+  return level.start.x === x && level.start.y === y;
+}
+
+function drawSpawn(ctx, start, cellSize, color) {
+  const v = DIR_VECTORS[start.dir];
+  const cx = start.x * cellSize + cellSize / 2;
+  const cy = start.y * cellSize + cellSize / 2;
+  ctx.fillStyle = color;
+  ctx.fillRect(start.x * cellSize + 2, start.y * cellSize + 2, cellSize - 4, cellSize - 4);
+  ctx.strokeStyle = "#111827";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(cx, cy);
+  ctx.lineTo(cx + (v.x * cellSize) / 2, cy + (v.y * cellSize) / 2);
+  ctx.stroke();
+  ctx.lineWidth = 1;
+}
+
+const inputStyle = {
+  padding: "8px 10px",
+  borderRadius: 8,
+  border: "1px solid var(--border-color)",
+  background: "transparent",
+  color: "var(--text-primary)",
+};
+
+// PUBLIC_INTERFACE
+export default function LevelEditor({ userId, onBack }) {
+  const canvasRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const paintingRef = useRef(false);
+
+  const [level, setLevel] = useState(() => blankLevel());
+  const [tool, setTool] = useState("wall");
+  const [portalStart, setPortalStart] = useState(null); // first end of a portal pair
+  const [saved, setSaved] = useState(() => loadCustomLevels());
+  const [testLevel, setTestLevel] = useState(null);
+  const [message, setMessage] = useState("");
+
+  const cellSize = Math.max(8, Math.min(24, Math.floor(640 / Math.max(level.cols, level.rows))));
+  const width = level.cols * cellSize;
+  const height = level.rows * cellSize;
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext("2d");
+    if (!ctx) return;
+    drawBoard(ctx, level, cellSize);
+
+    // spawn markers with direction arrows
+    drawSpawn(ctx, level.start, cellSize, SNAKE_COLORS[0].head);
+    if (level.start2) drawSpawn(ctx, level.start2, cellSize, SNAKE_COLORS[1].head);
+
+    if (portalStart) {
+      ctx.strokeStyle = "#fff";
+      ctx.setLineDash([3, 3]);
+      ctx.strokeRect(portalStart[0] * cellSize + 1, portalStart[1] * cellSize + 1, cellSize - 2, cellSize - 2);
+      ctx.setLineDash([]);
+    }
+  }, [level, portalStart, cellSize, testLevel]);
+
+  const cellFromEvent = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = Math.floor(((e.clientX - rect.left) / rect.width) * level.cols);
+    const y = Math.floor(((e.clientY - rect.top) / rect.height) * level.rows);
+    if (x < 0 || y < 0 || x >= level.cols || y >= level.rows) return null;
+    return [x, y];
+  };
+
+  const applyTool = (x, y, dragging) => {
+    if (tool === "wall") {
+      if (isSpawn(level, x, y)) return;
+      setLevel((lv) => {
+        const cleared = clearCell(lv, x, y);
+        return { ...cleared, walls: [...cleared.walls, [x, y]] };
+      });
+    } else if (tool === "erase") {
+      setLevel((lv) => clearCell(lv, x, y));
+    } else if (tool === "spawn" && !dragging) {
+      setLevel((lv) => ({ ...clearCell(lv, x, y), start: { ...lv.start, x, y } }));
+    } else if (tool === "spawn2" && !dragging) {
+      if (isSpawn(level, x, y)) return;
+      setLevel((lv) => ({
+        ...clearCell(lv, x, y),
+        start2: { x, y, dir: lv.start2 ? lv.start2.dir : "left" },
+      }));
+    } else if (tool === "portal" && !dragging) {
+      if (isSpawn(level, x, y)) return;
+      if (!portalStart) {
+        setPortalStart([x, y]);
+      } else if (!sameCell(portalStart, x, y)) {
+        const first = portalStart;
+        setLevel((lv) => {
+          const cleared = clearCell(clearCell(lv, first[0], first[1]), x, y);
+          return { ...cleared, portals: [...cleared.portals, [first, [x, y]]] };
+        });
+        setPortalStart(null);
+      }
+    }
+  };
+
+  const onPointerDown = (e) => {
+    const cell = cellFromEvent(e);
+    if (!cell) return;
+    paintingRef.current = true;
+    applyTool(cell[0], cell[1], false);
+  };
+  const onPointerMove = (e) => {
+    if (!paintingRef.current) return;
+    const cell = cellFromEvent(e);
+    if (cell) applyTool(cell[0], cell[1], true);
+  };
+  const stopPainting = () => {
+    paintingRef.current = false;
+  };
+
+  const resize = (cols, rows) => {
+    const inside = (c) => c[0] < cols && c[1] < rows;
+    setPortalStart(null);
+    setLevel((lv) => ({
+      ...lv,
+      cols,
+      rows,
+      walls: lv.walls.filter(inside),
+      portals: lv.portals.filter((pair) => pair.every(inside)),
+      start: inside([lv.start.x, lv.start.y])
+        ? lv.start
+        : { ...lv.start, x: Math.floor(cols / 2), y: Math.floor(rows / 2) },
+      start2: lv.start2 && inside([lv.start2.x, lv.start2.y]) ? lv.start2 : null,
+    }));
+  };
+  const onSizeChange = (key, value) => {
+    const n = Math.max(2, Math.min(100, Math.floor(Number(value)) || 2));
+    resize(key === "cols" ? n : level.cols, key === "rows" ? n : level.rows);
+  };
+
+  /** Validate the draft; shows the error and returns null when invalid. */
+  const validated = () => {
+    try {
+      return normalizeLevel(level);
+    } catch (err) {
+      setMessage(err.message);
+      return null;
+    }
+  };
+
+  const testPlay = () => {
+    const lv = validated();
+    if (!lv) return;
+    setMessage("");
+    setTestLevel(lv);
+  };
+  const save = () => {
+    const lv = validated();
+    if (!lv) return;
+    saveCustomLevel(lv);
+    setSaved(loadCustomLevels());
+    setMessage(`Saved "${lv.name}". It is now in the Snake level picker.`);
+  };
+  const load = (lv) => {
+    setLevel(lv);
+    setPortalStart(null);
+    setTestLevel(null);
+    setMessage("");
+  };
+  const remove = (id) => {
+    deleteCustomLevel(id);
+    setSaved(loadCustomLevels());
+  };
+  const exportJson = () => {
+    const lv = validated();
+    if (!lv) return;
+    const blob = new Blob([JSON.stringify(lv, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `snake-level-${lv.id}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+  const importJson = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        // imported levels always get a fresh id so they never clobber a saved one
+        load(normalizeLevel({ ...JSON.parse(text), id: newCustomLevelId() }));
+        setMessage("Level imported. Save it to add it to the level picker.");
+      })
+      .catch((err) => setMessage(`Could not import level: ${err.message}`));
+  };
+
+  if (testLevel) {
+    return (
+      <div>
+        <div className="controls" aria-label="Test play controls">
+          <button className="btn ghost" onClick={() => setTestLevel(null)} aria-label="Back to editor">
+            ← Back to editor
+          </button>
+          <strong>Testing: {testLevel.name}</strong>
+        </div>
+        <SnakeGame key={JSON.stringify(testLevel)} level={testLevel} userId={userId} />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="controls" aria-label="Level editor controls">
+        <button className="btn ghost" onClick={onBack} aria-label="Back to game selection">
+          ← Back
+        </button>
+        <button className="btn ghost" onClick={() => load(blankLevel(level.cols, level.rows))} aria-label="New level">
+          ✚ New
+        </button>
+        <button className="btn" onClick={testPlay} aria-label="Test play level">
+          ▶ Test play
+        </button>
+        <button className="btn secondary" onClick={save} aria-label="Save level">
+          💾 Save
+        </button>
+        <button className="btn ghost" onClick={exportJson} aria-label="Export level as JSON">
+          ⤓ Export
+        </button>
+        <button
+          className="btn ghost"
+          onClick={() => fileInputRef.current?.click()}
+          aria-label="Import level from JSON file"
+        >
+          ⤒ Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={importJson}
+          style={{ display: "none" }}
+        />
+      </div>
+
+      <div className="controls" aria-label="Level settings">
+        <label htmlFor="level-name">Name:</label>
+        <input
+          id="level-name"
+          type="text"
+          value={level.name}
+          maxLength={40}
+          onChange={(e) => setLevel((lv) => ({ ...lv, name: e.target.value }))}
+          style={inputStyle}
+        />
+        <label htmlFor="level-cols">Cols:</label>
+        <input
+          id="level-cols"
+          type="number"
+          min={2}
+          max={100}
+          value={level.cols}
+          onChange={(e) => onSizeChange("cols", e.target.value)}
+          style={{ ...inputStyle, width: 72 }}
+        />
+        <label htmlFor="level-rows">Rows:</label>
+        <input
+          id="level-rows"
+          type="number"
+          min={2}
+          max={100}
+          value={level.rows}
+          onChange={(e) => onSizeChange("rows", e.target.value)}
+          style={{ ...inputStyle, width: 72 }}
+        />
+        <label htmlFor="level-dir">Spawn direction:</label>
+        <select
+          id="level-dir"
+          className="select"
+          value={level.start.dir}
+          onChange={(e) => setLevel((lv) => ({ ...lv, start: { ...lv.start, dir: e.target.value } }))}
+        >
+          {Object.keys(DIR_VECTORS).map((d) => (
+            <option key={d} value={d}>
+              {d}
+            </option>
+          ))}
+        </select>
+        {level.start2 && (
+          <>
+            <label htmlFor="level-dir2">P2 direction:</label>
+            <select
+              id="level-dir2"
+              className="select"
+              value={level.start2.dir}
+              onChange={(e) =>
+                setLevel((lv) => ({ ...lv, start2: { ...lv.start2, dir: e.target.value } }))
+              }
+            >
+              {Object.keys(DIR_VECTORS).map((d) => (
+                <option key={d} value={d}>
+                  {d}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
+
+      <div className="controls" aria-label="Edge behaviour">
+        {EDGE_NAMES.map((edge) => (
+          <span key={edge}>
+            <label htmlFor={`level-edge-${edge}`} style={{ marginRight: 4, textTransform: "capitalize" }}>
+              {edge}:
+            </label>
+            <select
+              id={`level-edge-${edge}`}
+              className="select"
+              value={level.edges[edge]}
+              onChange={(e) =>
+                setLevel((lv) => ({ ...lv, edges: { ...lv.edges, [edge]: e.target.value } }))
+              }
+            >
+              <option value="wall">Wall</option>
+              <option value="wrap">Wrap</option>
+            </select>
+          </span>
+        ))}
+      </div>
+
+      <div className="controls" role="radiogroup" aria-label="Paint tool">
+        {TOOLS.map((t) => (
+          <button
+            key={t.id}
+            role="radio"
+            aria-checked={tool === t.id}
+            className={tool === t.id ? "btn" : "btn ghost"}
+            onClick={() => {
+              setTool(t.id);
+              setPortalStart(null);
+            }}
+          >
+            {t.label}
+          </button>
+        ))}
+        <span style={{ color: "var(--muted)", marginLeft: 8 }}>
+          {tool === "portal"
+            ? portalStart
+              ? "Click the second end of the portal"
+              : "Click the first end of a portal pair"
+            : "Click or drag on the grid to paint"}
+        </span>
+      </div>
+
+      {message && (
+        <div role="status" style={{ color: "var(--text-secondary)", marginBottom: 10 }}>
+          {message}
+        </div>
+      )}
+
+      <div className="canvas-wrap">
+        <canvas
+          ref={canvasRef}
+          width={width}
+          height={height}
+          role="img"
+          aria-label="Level editor grid"
+          tabIndex={0}
+          style={{ display: "block", outline: "none", cursor: "crosshair", touchAction: "none" }}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={stopPainting}
+          onPointerLeave={stopPainting}
+        />
+      </div>
+
+      <h3 style={{ marginBottom: 6 }}>Saved levels</h3>
+      {saved.length === 0 ? (
+        <p style={{ color: "var(--muted)", marginTop: 0 }}>No custom levels yet.</p>
+      ) : (
+        <ul style={{ listStyle: "none", padding: 0, margin: 0, display: "grid", gap: 6 }}>
+          {saved.map((lv) => (
+            <li key={lv.id} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+              <span style={{ minWidth: 180 }}>
+                <strong>{lv.name}</strong>{" "}
+                <span style={{ color: "var(--muted)" }}>
+                  {lv.cols}×{lv.rows}
+                </span>
+              </span>
+              <button className="btn ghost" onClick={() => load(lv)} aria-label={`Edit ${lv.name}`}>
+                Edit
+              </button>
+              <button className="btn ghost" onClick={() => remove(lv.id)} aria-label={`Delete ${lv.name}`}>
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,14 +1,22 @@
 import React, { useEffect, useState } from "react";
 import "../App.css";
 import "../index.css";
+import Avatar from "../components/Avatar";
+import { profileNameError } from "../utils/profiles";
 
 /**
- * Login page that captures a username with validation.
+ * Login page: pick one of the existing profiles, or type a name for a new
+ * one (see utils/profiles).
  * - Validates: 2-20 chars, letters/numbers/underscore/hyphen only
- * - On success calls onLogin(username)
+ * - On success calls onLogin(username); a name that already has a profile
+ *   signs in as that profile
+ *
+ * Props:
+ * - onLogin: (name: string) => void
+ * - profiles: existing profiles to pick from
  */
 // PUBLIC_INTERFACE
-export default function Login({ onLogin }) {
+export default function Login({ onLogin, profiles = [] }) {
   const [name, setName] = useState("");
   const [error, setError] = useState("");
 
@@ -16,19 +24,9 @@ export default function Login({ onLogin }) {
     setError("");
   }, [name]);
 
-  const validate = (value) => {
-    const v = value.trim();
-    if (v.length < 2) return "Please enter at least 2 characters.";
-    if (v.length > 20) return "Please keep it under 20 characters.";
-    if (!/^[a-zA-Z0-9_-]+$/.test(v)) {
-      return "Use letters, numbers, underscore or hyphen only.";
-    }
-    return "";
-  };
-
   const handleSubmit = (e) => {
     e.preventDefault();
-    const msg = validate(name);
+    const msg = profileNameError(name);
     if (msg) {
       setError(msg);
       return;
@@ -41,8 +39,31 @@ export default function Login({ onLogin }) {
       <main className="app-content" role="main">
         <div className="game-section" style={{ maxWidth: 520, margin: "48px auto" }}>
           <h1 style={{ marginTop: 0, marginBottom: 8 }}>Welcome to Ocean Games</h1>
+          {profiles.length > 0 && (
+            <>
+              <p style={{ color: "var(--text-secondary)", marginTop: 0 }}>Who's playing?</p>
+              <div style={{ display: "grid", gap: 8 }} aria-label="Profiles">
+                {profiles.map((p) => (
+                  <button
+                    key={p.id}
+                    className="btn ghost"
+                    onClick={() => onLogin(p.name)}
+                    aria-label={`Play as ${p.name}`}
+                    style={{ display: "flex", alignItems: "center", gap: 10, textAlign: "left" }}
+                  >
+                    <Avatar profile={p} />
+                    <span style={{ flex: 1 }}>{p.name}</span>
+                    <small style={{ color: "var(--muted)", fontWeight: 400 }}>
+                      {p.stats.runs} {p.stats.runs === 1 ? "run" : "runs"}
+                    </small>
+                  </button>
+                ))}
+              </div>
+              <hr style={{ border: 0, borderTop: "1px solid var(--border-color)", margin: "18px 0" }} />
+            </>
+          )}
           <p style={{ color: "var(--text-secondary)", marginTop: 0 }}>
-            Please enter a username to continue.
+            {profiles.length ? "Or create a new profile:" : "Please enter a username to continue."}
           </p>
           <form onSubmit={handleSubmit} noValidate>
             <div style={{ display: "grid", gap: 10, marginTop: 12 }}>
@@ -0,0 +1,197 @@
+import React, { useState } from "react";
+import "../App.css";
+import "../index.css";
+import Avatar from "../components/Avatar";
+import { AVATAR_COLORS, exportProfile, profileNameError } from "../utils/profiles";
+import { loadScores } from "../utils/scores";
+
+/**
+ * Profiles page: every local profile (see utils/profiles) with its creation
+ * date and stats, to switch to, edit (name and avatar colour), export as
+ * JSON (with its scores) or delete (with its scores and saved game progress,
+ * after a confirmation).
+ *
+ * Props:
+ * - profiles: every profile
+ * - currentId: the profile in use
+ * - games: registered game descriptors, to name the best scores
+ * - onSwitch: (id) => void
+ * - onUpdate: (id, { name, color }) => void
+ * - onDelete: (id) => void
+ * - onBack: () => void
+ */
+
+/** "1 h 05 min" or "12 min" for a play time in ms. */
+function formatPlayTime(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, "0")} min`;
+}
+
+// PUBLIC_INTERFACE
+export default function Profiles({
+  profiles = [],
+  currentId,
+  games = [],
+  onSwitch,
+  onUpdate,
+  onDelete,
+  onBack,
+}) {
+  const [editing, setEditing] = useState(null); // { id, name, color }
+  const [error, setError] = useState("");
+  const [confirmDelete, setConfirmDelete] = useState(null); // profile id
+
+  const startEdit = (p) => {
+    setConfirmDelete(null);
+    setError("");
+    setEditing({ id: p.id, name: p.name, color: p.color });
+  };
+
+  const saveEdit = (e) => {
+    e.preventDefault();
+    const msg = profileNameError(editing.name, profiles, editing.id);
+    if (msg) {
+      setError(msg);
+      return;
+    }
+    onUpdate(editing.id, { name: editing.name, color: editing.color });
+    setEditing(null);
+  };
+
+  const exportJson = (p) => {
+    const blob = new Blob([exportProfile(p, loadScores())], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `ocean-games-profile-${p.name}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  /** "Snake 40 · Racing 1200" from a profile's best scores. */
+  const bestScores = (p) =>
+    games
+      .filter((g) => p.stats.best[g.id] !== undefined)
+      .map((g) => `${g.title} ${p.stats.best[g.id]}`)
+      .join(" · ");
+
+  return (
+    <div>
+      <div className="controls" aria-label="Profile controls">
+        <button className="btn ghost" onClick={onBack} aria-label="Back to game selection">
+          ← Back
+        </button>
+        <strong>Profiles on this device</strong>
+      </div>
+
+      <div style={{ display: "grid", gap: 10 }}>
+        {profiles.map((p) => {
+          const current = p.id === currentId;
+          if (editing && editing.id === p.id) {
+            return (
+              <form key={p.id} className="profile-card" onSubmit={saveEdit} noValidate>
+                <Avatar profile={{ ...p, name: editing.name || p.name, color: editing.color }} size={40} />
+                <label htmlFor="profile-name">Name:</label>
+                <input
+                  id="profile-name"
+                  type="text"
+                  className="select"
+                  value={editing.name}
+                  onChange={(e) => {
+                    setError("");
+                    setEditing({ ...editing, name: e.target.value });
+                  }}
+                  aria-invalid={!!error}
+                  aria-describedby={error ? "profile-name-error" : undefined}
+                />
+                <div role="radiogroup" aria-label="Avatar colour" style={{ display: "flex", gap: 4 }}>
+                  {AVATAR_COLORS.map((color) => (
+                    <button
+                      key={color}
+                      type="button"
+                      role="radio"
+                      aria-checked={editing.color === color}
+                      aria-label={`Colour ${color}`}
+                      onClick={() => setEditing({ ...editing, color })}
+                      style={{
+                        width: 22,
+                        height: 22,
+                        borderRadius: "50%",
+                        background: color,
+                        cursor: "pointer",
+                        border: editing.color === color ? "3px solid var(--text-primary)" : "none",
+                      }}
+                    />
+                  ))}
+                </div>
+                <button type="submit" className="btn" aria-label="Save profile">
+                  Save
+                </button>
+                <button type="button" className="btn ghost" onClick={() => setEditing(null)}>
+                  Cancel
+                </button>
+                {error && (
+                  <div id="profile-name-error" role="alert" style={{ color: "var(--ocean-error)", fontSize: 13 }}>
+                    {error}
+                  </div>
+                )}
+              </form>
+            );
+          }
+          return (
+            <div key={p.id} className="profile-card">
+              <Avatar profile={p} size={40} />
+              <div style={{ flex: 1, minWidth: 160 }}>
+                <strong>{p.name}</strong>
+                {current && <span className="badge" style={{ marginLeft: 6 }}>playing</span>}
+                <div style={{ color: "var(--muted)", fontSize: 13 }}>
+                  Since {new Date(p.createdAt).toLocaleDateString()} · {p.stats.runs}{" "}
+                  {p.stats.runs === 1 ? "run" : "runs"} · {formatPlayTime(p.stats.playMs)}
+                </div>
+                {bestScores(p) && (
+                  <div style={{ color: "var(--muted)", fontSize: 13 }}>Best: {bestScores(p)}</div>
+                )}
+              </div>
+              {confirmDelete === p.id ? (
+                <>
+                  <span role="alert">Delete {p.name}, its scores and its saved progress?</span>
+                  <button className="btn" onClick={() => onDelete(p.id)} aria-label={`Confirm delete ${p.name}`}>
+                    Delete
+                  </button>
+                  <button className="btn ghost" onClick={() => setConfirmDelete(null)}>
+                    Keep
+                  </button>
+                </>
+              ) : (
+                <>
+                  {!current && (
+                    <button className="btn" onClick={() => onSwitch(p.id)} aria-label={`Switch to ${p.name}`}>
+                      Switch
+                    </button>
+                  )}
+                  <button className="btn ghost" onClick={() => startEdit(p)} aria-label={`Edit ${p.name}`}>
+                    ✎ Edit
+                  </button>
+                  <button className="btn ghost" onClick={() => exportJson(p)} aria-label={`Export ${p.name}`}>
+                    ⤓ Export
+                  </button>
+                  <button
+                    className="btn ghost"
+                    onClick={() => {
+                      setEditing(null);
+                      setConfirmDelete(p.id);
+                    }}
+                    aria-label={`Delete ${p.name}`}
+                  >
+                    🗑 Delete
+                  </button>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+/**
+ * Frame-loop runtime shared by the games: turns animation frames into
+ * fixed-step simulation ticks plus one render per frame.
+ *
+ * Each frame(ts) call (ts in ms, e.g. a requestAnimationFrame timestamp)
+ * adds the time since the previous frame, scaled by the time scale, to an
+ * accumulator, runs update() once per whole step that fits and then calls
+ * render(alpha, dt) with the leftover fraction of a step (alpha, 0..1) so
+ * moving things can be drawn between their last two positions. The step
+ * length may be a number or a function read before every step, for games
+ * whose tick rate changes as they play.
+ *
+ * While paused no time accumulates (frames still render, so overlays keep
+ * drawing), and resuming picks up where it left off. Frames longer than
+ * `maxFrameMs` (a background tab, a debugger pause) are clipped so a game
+ * never tries to catch up on seconds of ticks at once.
+ *
+ * It has no DOM dependency: hooks/useGameLoop drives it from
+ * requestAnimationFrame, tests call frame() with made-up timestamps.
+ */
+
+const STATS_SMOOTHING = 0.1; // weight of the newest frame in the running averages
+
+// PUBLIC_INTERFACE
+export function createGameLoop({
+  update,
+  render,
+  stepMs = 1000 / 60,
+  timeScale = 1,
+  maxFrameMs = 250,
+  paused = false,
+} = {}) {
+  /**
+   * Create a loop. Returns { frame(ts), pause(), resume(), isPaused(),
+   * setTimeScale(scale), reset(), stats() }.
+   */
+  let lastTs = null;
+  let accumulator = 0;
+  let scale = timeScale;
+  let isStopped = paused;
+  const counters = { fps: 0, frameMs: 0, ticks: 0, frames: 0 };
+
+  const stepLength = () => (typeof stepMs === "function" ? stepMs() : stepMs);
+
+  /** Fold one frame's length into the fps and frame-time averages. */
+  function measure(dt) {
+    counters.frames += 1;
+    if (dt <= 0) return;
+    counters.frameMs = counters.frameMs
+      ? counters.frameMs + (dt - counters.frameMs) * STATS_SMOOTHING
+      : dt;
+    counters.fps = 1000 / counters.frameMs;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Run one frame at time `ts`: the update steps that are due, then render.
+   * Returns the alpha passed to render.
+   */
+  function frame(ts) {
+    const dt = lastTs === null ? 0 : Math.max(0, ts - lastTs);
+    lastTs = ts;
+    measure(dt);
+    let step = stepLength();
+    if (!isStopped) {
+      accumulator += Math.min(dt, maxFrameMs) * scale;
+      // the epsilon keeps float error in frame times from dropping a step
+      while (!isStopped && accumulator >= step - 1e-6) {
+        accumulator = Math.max(0, accumulator - step);
+        counters.ticks += 1;
+        update(step);
+        step = stepLength();
+      }
+    }
+    const alpha = Math.min(accumulator / step, 1);
+    if (render) render(alpha, dt);
+    return alpha;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Stop accumulating time (update() is not called until resume()). Safe to
+   * call from inside update(); the remaining steps of that frame are skipped.
+   */
+  function pause() {
+    isStopped = true;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Start accumulating time again.
+   */
+  function resume() {
+    isStopped = false;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Whether the loop is paused.
+   */
+  function isPaused() {
+    return isStopped;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Simulated ms per real ms: below 1 for slow motion, above 1 to fast-forward.
+   */
+  function setTimeScale(nextScale) {
+    scale = Math.max(0, nextScale);
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Drop any partial step and start timing from the next frame (e.g. when a
+   * new run starts).
+   */
+  function reset() {
+    accumulator = 0;
+    lastTs = null;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Frame stats: { fps, frameMs } (smoothed), { ticks, frames } (counted).
+   */
+  function stats() {
+    return { ...counters };
+  }
+
+  return {
+    frame,
+    pause,
+    resume,
+    isPaused,
+    setTimeScale,
+    reset,
+    stats,
+  };
+}
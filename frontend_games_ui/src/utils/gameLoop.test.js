@@ -0,0 +1,112 @@
+/**
+ * Game loop tests: fixed steps, alpha, pausing, time scale and stats.
+ */
+
+import { createGameLoop } from "./gameLoop";
+
+// drive a loop with frames `ms` apart
+const run = (loop, frames, ms, start = 0) => {
+  for (let i = 0; i <= frames; i += 1) loop.frame(start + i * ms);
+};
+
+// a callback that keeps the arguments of every call
+const recorder = () => {
+  const calls = [];
+  const fn = (...args) => {
+    calls.push(args);
+  };
+  fn.calls = calls;
+  return fn;
+};
+
+test("frames are turned into whole fixed steps, with the rest as alpha", () => {
+  const update = recorder();
+  const render = recorder();
+  const loop = createGameLoop({ update, render, stepMs: 10 });
+  loop.frame(0);
+  expect(update.calls).toHaveLength(0);
+  loop.frame(25);
+  expect(update.calls).toEqual([[10], [10]]);
+  expect(render.calls[render.calls.length - 1]).toEqual([0.5, 25]);
+  loop.frame(30);
+  expect(update.calls).toHaveLength(3);
+});
+
+test("the same time gives the same steps at any frame rate", () => {
+  const count = (fps) => {
+    let steps = 0;
+    const loop = createGameLoop({ update: () => (steps += 1) });
+    run(loop, fps, 1000 / fps);
+    return steps;
+  };
+  expect(count(30)).toBe(60);
+  expect(count(60)).toBe(60);
+  expect(count(144)).toBe(60);
+});
+
+test("pausing stops time, and resuming does not catch up on it", () => {
+  const update = recorder();
+  const render = recorder();
+  const loop = createGameLoop({ update, render, stepMs: 10, paused: true });
+  run(loop, 10, 10);
+  expect(update.calls).toHaveLength(0);
+  expect(render.calls).toHaveLength(11);
+  loop.resume();
+  loop.frame(110);
+  expect(update.calls).toHaveLength(1);
+
+  // pausing from inside update skips the rest of that frame's steps
+  let steps = 0;
+  const stopper = createGameLoop({
+    update: () => {
+      steps += 1;
+      if (steps === 2) stopper.pause();
+    },
+    stepMs: 10,
+  });
+  stopper.frame(0);
+  stopper.frame(100);
+  expect(steps).toBe(2);
+  expect(stopper.isPaused()).toBe(true);
+});
+
+test("the time scale slows or speeds the simulation; long frames are clipped", () => {
+  let steps = 0;
+  const loop = createGameLoop({ update: () => (steps += 1), stepMs: 10 });
+  loop.setTimeScale(0.5);
+  run(loop, 10, 10);
+  expect(steps).toBe(5);
+  loop.setTimeScale(2);
+  run(loop, 10, 10, 100);
+  expect(steps).toBe(25);
+
+  steps = 0;
+  loop.setTimeScale(1);
+  loop.reset();
+  loop.frame(0);
+  loop.frame(5000);
+  expect(steps).toBe(25);
+});
+
+test("the step length can change as the game plays", () => {
+  let length = 10;
+  const steps = [];
+  const update = (ms) => {
+    steps.push(ms);
+    length = 20;
+  };
+  const loop = createGameLoop({ update, stepMs: () => length });
+  loop.frame(0);
+  loop.frame(30);
+  expect(steps).toEqual([10, 20]);
+});
+
+test("stats count ticks and frames and average the frame time", () => {
+  const loop = createGameLoop({ update: () => {}, stepMs: 10 });
+  run(loop, 50, 20);
+  const { fps, frameMs, ticks, frames } = loop.stats();
+  expect(frames).toBe(51);
+  expect(ticks).toBe(100);
+  expect(frameMs).toBeCloseTo(20);
+  expect(fps).toBeCloseTo(50);
+});
@@ -0,0 +1,213 @@
+/**
+ * Local player profiles, so several people can share one browser without
+ * overwriting each other's name, preferences and stats.
+ *
+ * A profile:
+ * {
+ *   id,         // stable, survives renames; scores refer to it (utils/scores)
+ *   name,       // display name, unique (ignoring case)
+ *   color,      // avatar colour
+ *   createdAt,  // ISO string
+ *   settings,   // preferences, e.g. { theme: "dark" }
+ *   stats,      // { runs, playMs, best: { <gameId>: score } }
+ * }
+ *
+ * All profiles and the one in use are stored under one localStorage key. A
+ * username saved by older versions (the "username" key) becomes the first
+ * profile. Invalid stored profiles are skipped on load.
+ *
+ * Games keep a profile's own progress (replays, ghosts, campaign stage) under
+ * profileKey(id, key), so removeProfileData can clear it with the profile.
+ */
+
+const STORAGE_KEY = "profiles";
+const LEGACY_USERNAME_KEY = "username";
+
+// PUBLIC_INTERFACE
+export const AVATAR_COLORS = [
+  "#2563EB",
+  "#F59E0B",
+  "#10B981",
+  "#EF4444",
+  "#8B5CF6",
+  "#EC4899",
+  "#14B8A6",
+  "#64748B",
+];
+
+/** Whether a stored value looks like a profile. */
+function isProfile(p) {
+  return Boolean(
+    p &&
+      typeof p.id === "string" &&
+      typeof p.name === "string" &&
+      typeof p.color === "string" &&
+      !Number.isNaN(Date.parse(p.createdAt))
+  );
+}
+
+/** A stored profile with any missing settings or stats filled in. */
+function withDefaults(p) {
+  const stats = p.stats || {};
+  return {
+    ...p,
+    settings: { ...(p.settings || {}) },
+    stats: {
+      runs: Number(stats.runs) || 0,
+      playMs: Number(stats.playMs) || 0,
+      best: { ...(stats.best || {}) },
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function profileNameError(name, profiles = [], exceptId = null) {
+  /**
+   * Why a name cannot be used for a profile ("" when it can): 2-20 letters,
+   * numbers, underscores or hyphens, not taken by another profile (ignoring
+   * case). `exceptId` is the profile being renamed.
+   */
+  const v = String(name || "").trim();
+  if (v.length < 2) return "Please enter at least 2 characters.";
+  if (v.length > 20) return "Please keep it under 20 characters.";
+  if (!/^[a-zA-Z0-9_-]+$/.test(v)) {
+    return "Use letters, numbers, underscore or hyphen only.";
+  }
+  const taken = profiles.some((p) => p.id !== exceptId && p.name.toLowerCase() === v.toLowerCase());
+  return taken ? "That name is already taken." : "";
+}
+
+// PUBLIC_INTERFACE
+export function findProfileByName(profiles, name) {
+  /** The profile with a name (ignoring case and surrounding spaces), or null. */
+  const wanted = String(name || "").trim().toLowerCase();
+  return profiles.find((p) => p.name.toLowerCase() === wanted) || null;
+}
+
+// PUBLIC_INTERFACE
+export function createProfile(name, profiles = [], { now = new Date(), color } = {}) {
+  /**
+   * A new profile. Its colour is the first avatar colour no other profile
+   * uses (or `color`). Throws an Error when the name cannot be used.
+   */
+  const error = profileNameError(name, profiles);
+  if (error) throw new Error(error);
+  const used = new Set(profiles.map((p) => p.color));
+  const free = AVATAR_COLORS.find((c) => !used.has(c));
+  return {
+    id: `p-${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim(),
+    color: color || free || AVATAR_COLORS[profiles.length % AVATAR_COLORS.length],
+    createdAt: now.toISOString(),
+    settings: {},
+    stats: { runs: 0, playMs: 0, best: {} },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function updateProfile(profiles, id, changes) {
+  /**
+   * The profile list with one profile's name, colour or settings changed
+   * (settings are merged). Throws an Error for an unknown id or a name that
+   * cannot be used.
+   */
+  const current = profiles.find((p) => p.id === id);
+  if (!current) throw new Error(`Unknown profile: ${id}`);
+  const next = { ...current };
+  if (changes.name !== undefined) {
+    const error = profileNameError(changes.name, profiles, id);
+    if (error) throw new Error(error);
+    next.name = changes.name.trim();
+  }
+  if (changes.color) next.color = changes.color;
+  if (changes.settings) next.settings = { ...current.settings, ...changes.settings };
+  return profiles.map((p) => (p.id === id ? next : p));
+}
+
+// PUBLIC_INTERFACE
+export function recordProfileRun(profile, { game, score, durationMs = 0 }) {
+  /** The profile with a finished run added to its stats. */
+  const best = profile.stats.best[game];
+  return {
+    ...profile,
+    stats: {
+      runs: profile.stats.runs + 1,
+      playMs: profile.stats.playMs + Math.max(0, Math.round(durationMs)),
+      best: { ...profile.stats.best, [game]: best === undefined ? score : Math.max(best, score) },
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function exportProfile(profile, scores = []) {
+  /** A profile and its scores (those with its id) as a JSON document. */
+  return JSON.stringify(
+    {
+      type: "ocean-games-profile",
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      profile,
+      scores: scores.filter((s) => s.userId === profile.id),
+    },
+    null,
+    2
+  );
+}
+
+// PUBLIC_INTERFACE
+export function profileKey(userId, key) {
+  /** The localStorage key for a profile's own copy of `key` (`key` itself without a profile). */
+  return userId ? `${key}@${userId}` : key;
+}
+
+// PUBLIC_INTERFACE
+export function removeProfileData(userId) {
+  /** Delete everything stored under profileKey for a profile; storage errors are ignored. */
+  try {
+    const suffix = profileKey(userId, "");
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i += 1) {
+      const key = localStorage.key(i);
+      if (key && key.endsWith(suffix)) keys.push(key);
+    }
+    keys.forEach((key) => localStorage.removeItem(key));
+  } catch (_err) {
+    // ignore storage errors
+  }
+}
+
+// PUBLIC_INTERFACE
+export function loadProfiles() {
+  /**
+   * The stored { profiles, currentId }. currentId is null when nobody is
+   * signed in (or the profile it named is gone).
+   */
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) {
+      const legacy = localStorage.getItem(LEGACY_USERNAME_KEY);
+      if (legacy && !profileNameError(legacy)) {
+        const profile = createProfile(legacy);
+        return { profiles: [profile], currentId: profile.id };
+      }
+      return { profiles: [], currentId: null };
+    }
+    const saved = JSON.parse(raw) || {};
+    const profiles = Array.isArray(saved.profiles) ? saved.profiles.filter(isProfile).map(withDefaults) : [];
+    const currentId = profiles.some((p) => p.id === saved.currentId) ? saved.currentId : null;
+    return { profiles, currentId };
+  } catch (_err) {
+    return { profiles: [], currentId: null };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveProfiles({ profiles, currentId }) {
+  /** Store the profiles and the one in use; storage errors are ignored. */
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ profiles, currentId }));
+    localStorage.removeItem(LEGACY_USERNAME_KEY);
+  } catch (_err) {
+    // ignore storage errors
+  }
+}
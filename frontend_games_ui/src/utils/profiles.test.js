@@ -0,0 +1,91 @@
+/**
+ * Profile tests: names, creation, updates, stats, export and per-profile keys.
+ */
+
+import {
+  AVATAR_COLORS,
+  createProfile,
+  exportProfile,
+  findProfileByName,
+  profileKey,
+  profileNameError,
+  recordProfileRun,
+  removeProfileData,
+  updateProfile,
+} from "./profiles";
+
+const NOW = new Date("2026-03-10T12:00:00Z");
+
+test("names follow the username rules and are unique ignoring case", () => {
+  const ana = createProfile("ana", [], { now: NOW });
+  expect(profileNameError("  bo_2 ", [ana])).toBe("");
+  expect(profileNameError("a", [ana])).toMatch("at least 2");
+  expect(profileNameError("x".repeat(21), [ana])).toMatch("under 20");
+  expect(profileNameError("no spaces", [ana])).toMatch("letters, numbers");
+  expect(profileNameError("ANA", [ana])).toMatch("already taken");
+  expect(profileNameError("ANA", [ana], ana.id)).toBe("");
+  expect(findProfileByName([ana], " Ana ")).toBe(ana);
+  expect(findProfileByName([ana], "ben")).toBeNull();
+});
+
+test("new profiles get an id, a free avatar colour and empty stats", () => {
+  const ana = createProfile(" ana ", [], { now: NOW });
+  expect(ana).toMatchObject({
+    name: "ana",
+    color: AVATAR_COLORS[0],
+    createdAt: NOW.toISOString(),
+    settings: {},
+    stats: { runs: 0, playMs: 0, best: {} },
+  });
+  const ben = createProfile("ben", [ana], { now: NOW });
+  expect(ben.color).toBe(AVATAR_COLORS[1]);
+  expect(ben.id).not.toBe(ana.id);
+  expect(() => createProfile("ana", [ana, ben])).toThrow("already taken");
+});
+
+test("updates rename, recolour and merge settings, keeping the id", () => {
+  const ana = createProfile("ana", [], { now: NOW });
+  const ben = createProfile("ben", [ana], { now: NOW });
+  let list = updateProfile([ana, ben], ana.id, { settings: { theme: "dark" } });
+  list = updateProfile(list, ana.id, { name: "anna", color: "#000000", settings: { sound: false } });
+  expect(list[0]).toMatchObject({
+    id: ana.id,
+    name: "anna",
+    color: "#000000",
+    settings: { theme: "dark", sound: false },
+  });
+  expect(list[1]).toBe(ben);
+  expect(() => updateProfile(list, ana.id, { name: "ben" })).toThrow("already taken");
+  expect(() => updateProfile(list, "p-missing", { name: "zed" })).toThrow("Unknown profile");
+});
+
+test("finished runs add up in the stats, keeping the best score per game", () => {
+  let ana = createProfile("ana", [], { now: NOW });
+  ana = recordProfileRun(ana, { game: "snake", score: 12, durationMs: 30000 });
+  ana = recordProfileRun(ana, { game: "snake", score: 7, durationMs: 10000.4 });
+  ana = recordProfileRun(ana, { game: "racing", score: 0 });
+  expect(ana.stats).toEqual({ runs: 3, playMs: 40000, best: { snake: 12, racing: 0 } });
+});
+
+test("an export holds the profile and only its own scores", () => {
+  const ana = createProfile("ana", [], { now: NOW });
+  const scores = [
+    { id: "1", userId: ana.id, score: 5 },
+    { id: "2", userId: "p-other", score: 9 },
+    { id: "3", score: 1 },
+  ];
+  const doc = JSON.parse(exportProfile(ana, scores));
+  expect(doc).toMatchObject({ type: "ocean-games-profile", version: 1, profile: ana });
+  expect(doc.scores.map((s) => s.id)).toEqual(["1"]);
+});
+
+test("a profile's own keys are kept apart and removed with its data", () => {
+  localStorage.clear();
+  expect(profileKey(null, "snake.campaign")).toBe("snake.campaign");
+  localStorage.setItem("snake.campaign", "shared");
+  localStorage.setItem(profileKey("p-ana", "snake.campaign"), "ana");
+  localStorage.setItem(profileKey("p-ana", "racing.ghost.hard"), "ana");
+  localStorage.setItem(profileKey("p-ben", "snake.campaign"), "ben");
+  removeProfileData("p-ana");
+  expect(Object.keys(localStorage).sort()).toEqual(["snake.campaign", "snake.campaign@p-ben"]);
+});
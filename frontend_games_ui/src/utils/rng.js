@@ -0,0 +1,47 @@
+/**
+ * Seedable pseudo-random number generator shared by the games.
+ *
+ * Uses mulberry32: tiny, fast and good enough for gameplay. Given the same
+ * seed it always yields the same sequence, which lets a run be reproduced
+ * exactly (bug reports, balance checks, shared challenges).
+ */
+
+const UINT32 = 0x100000000;
+
+// PUBLIC_INTERFACE
+export function normalizeSeed(seed) {
+  /**
+   * Coerce a seed to an unsigned 32-bit integer.
+   * Numbers are truncated; any other value (e.g. a challenge code string)
+   * is hashed with FNV-1a so it can be shared as text.
+   */
+  if (typeof seed === "number" && Number.isFinite(seed)) {
+    return Math.trunc(seed) >>> 0;
+  }
+  const text = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// PUBLIC_INTERFACE
+export function randomSeed() {
+  /** Pick a fresh non-deterministic seed for a new run. */
+  return Math.floor(Math.random() * UINT32) >>> 0;
+}
+
+// PUBLIC_INTERFACE
+export function createRng(seed) {
+  /** Return a function producing floats in [0, 1) deterministically from seed. */
+  let a = normalizeSeed(seed);
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Hash routes for the app, so every screen has a URL that survives a
+ * refresh, works with the browser's back button and can be shared:
+ *
+ * - #/login?next=/play/snake   login, then carry on to `next`
+ * - #/games                    game selection
+ * - #/play/<gameId>?<settings> a game, e.g. #/play/snake?level=pillars&speed=fast
+ * - #/editor                   the Snake level editor
+ * - #/leaderboard?<filters>    high scores, e.g. #/leaderboard?game=snake&range=week
+ * - #/profiles                 manage the local profiles
+ *
+ * Anything else (including an empty hash) is "unknown"; the app redirects
+ * it to the selection screen. Paths and queries are plain strings and
+ * objects here; hooks/useHashRoute keeps them in sync with the address bar.
+ */
+
+// PUBLIC_INTERFACE
+export const HOME_PATH = "/games";
+
+// PUBLIC_INTERFACE
+export function parseRoute(hash = "") {
+  /**
+   * Parse a location hash ("#/play/snake?speed=fast") into
+   * { path, query, name, params }: name is "login", "games", "play",
+   * "editor", "leaderboard", "profiles" or "unknown", and params.gameId is
+   * set for "play".
+   */
+  const raw = hash.replace(/^#/, "");
+  const cut = raw.indexOf("?");
+  const pathPart = cut < 0 ? raw : raw.slice(0, cut);
+  const search = cut < 0 ? "" : raw.slice(cut + 1);
+  const path = `/${pathPart.split("/").filter(Boolean).join("/")}`;
+  const query = Object.fromEntries(new URLSearchParams(search));
+  const [first, second, ...rest] = path.split("/").filter(Boolean);
+  let name = "unknown";
+  const params = {};
+  if (first === "login" && !second) name = "login";
+  else if (first === "games" && !second) name = "games";
+  else if (first === "editor" && !second) name = "editor";
+  else if (first === "leaderboard" && !second) name = "leaderboard";
+  else if (first === "profiles" && !second) name = "profiles";
+  else if (first === "play" && second && !rest.length) {
+    name = "play";
+    params.gameId = decodeURIComponent(second);
+  }
+  return { path, query, name, params };
+}
+
+// PUBLIC_INTERFACE
+export function formatRoute(path, query = {}) {
+  /**
+   * Build a hash from a path and a query object ("#/play/snake?speed=fast").
+   * Empty, null and undefined query values are left out.
+   */
+  const entries = Object.entries(query).filter(([, v]) => v !== undefined && v !== null && v !== "");
+  const search = new URLSearchParams(entries.map(([k, v]) => [k, String(v)])).toString();
+  return `#${path}${search ? `?${search}` : ""}`;
+}
+
+// PUBLIC_INTERFACE
+export function playPath(gameId) {
+  /** The path of a game's screen. */
+  return `/play/${encodeURIComponent(gameId)}`;
+}
+
+// PUBLIC_INTERFACE
+export function loginRedirect(route) {
+  /** The login hash that returns to `route` once a username is entered. */
+  const target = formatRoute(route.path, route.query).slice(1);
+  return route.name === "unknown" || route.name === "login"
+    ? formatRoute("/login")
+    : formatRoute("/login", { next: target });
+}
+
+// PUBLIC_INTERFACE
+export function safeNext(next) {
+  /**
+   * The hash to continue to after login: `next` when it is an in-app path
+   * (and not the login screen itself), the selection screen otherwise.
+   */
+  if (typeof next !== "string" || !next.startsWith("/") || next.startsWith("//")) {
+    return formatRoute(HOME_PATH);
+  }
+  const route = parseRoute(next);
+  if (route.name === "login" || route.name === "unknown") return formatRoute(HOME_PATH);
+  return formatRoute(route.path, route.query);
+}
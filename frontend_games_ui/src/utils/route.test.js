@@ -0,0 +1,49 @@
+/**
+ * Route tests: parsing and building hashes, and the login return path.
+ */
+
+import { formatRoute, loginRedirect, parseRoute, playPath, safeNext } from "./route";
+
+test("hashes parse into named routes with their query", () => {
+  expect(parseRoute("#/games")).toMatchObject({ name: "games", path: "/games", query: {} });
+  expect(parseRoute("#/login?next=%2Fplay%2Fracing")).toMatchObject({
+    name: "login",
+    query: { next: "/play/racing" },
+  });
+  expect(parseRoute("#/play/snake?level=pillars&speed=fast")).toEqual({
+    path: "/play/snake",
+    query: { level: "pillars", speed: "fast" },
+    name: "play",
+    params: { gameId: "snake" },
+  });
+  expect(parseRoute("#/editor/").name).toBe("editor");
+  expect(parseRoute("#/leaderboard?game=racing&range=week")).toMatchObject({
+    name: "leaderboard",
+    query: { game: "racing", range: "week" },
+  });
+  expect(parseRoute("#/profiles").name).toBe("profiles");
+  expect(parseRoute("").name).toBe("unknown");
+  expect(parseRoute("#/play").name).toBe("unknown");
+  expect(parseRoute("#/play/snake/extra").name).toBe("unknown");
+});
+
+test("routes format back into the same hash, skipping empty values", () => {
+  const hash = formatRoute(playPath("snake"), { level: "portal-bay", speed: "fast", match: "" });
+  expect(hash).toBe("#/play/snake?level=portal-bay&speed=fast");
+  const route = parseRoute(hash);
+  expect(formatRoute(route.path, route.query)).toBe(hash);
+  expect(formatRoute("/games")).toBe("#/games");
+});
+
+test("login remembers where the user was going, and only returns in-app", () => {
+  const redirect = loginRedirect(parseRoute("#/play/snake?speed=fast"));
+  expect(redirect).toBe("#/login?next=%2Fplay%2Fsnake%3Fspeed%3Dfast");
+  expect(safeNext(parseRoute(redirect).query.next)).toBe("#/play/snake?speed=fast");
+  expect(loginRedirect(parseRoute(""))).toBe("#/login");
+
+  expect(safeNext(undefined)).toBe("#/games");
+  expect(safeNext("https://evil.example")).toBe("#/games");
+  expect(safeNext("//evil.example")).toBe("#/games");
+  expect(safeNext("/login?next=/games")).toBe("#/games");
+  expect(safeNext("/nowhere")).toBe("#/games");
+});
@@ -0,0 +1,202 @@
+/**
+ * High scores: every finished run of every game, kept per user in
+ * localStorage under one key, for the leaderboard and the "New personal
+ * best!" line on game-over screens.
+ *
+ * A score entry:
+ * {
+ *   id,          // unique, to find an entry again in a sorted list
+ *   game,        // registry id, e.g. "snake"
+ *   user,        // the name it was played under
+ *   userId,      // the profile it was played under (utils/profiles), if any
+ *   score,
+ *   durationMs,  // play time of the run
+ *   settings,    // how it was played, e.g. { level, speed, match }
+ *   date,        // ISO string, when it finished
+ * }
+ *
+ * Runs are ranked on a board: the runs of the same game with the same values
+ * for the board's settings (e.g. Snake at one speed), so slow and fast runs
+ * do not compete. Once a game has more than MAX_SCORES runs stored its
+ * lowest scores are dropped; games are trimmed separately, since their scores
+ * are not comparable (Racing scores run into the thousands, Snake's into the
+ * tens). Invalid stored entries are skipped on load.
+ */
+
+const STORAGE_KEY = "scores";
+
+// PUBLIC_INTERFACE
+export const MAX_SCORES = 500; // per game
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PUBLIC_INTERFACE
+export const SCORE_RANGES = {
+  all: null,
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS,
+};
+
+/** Whether a stored value looks like a score entry. */
+function isScoreEntry(entry) {
+  return Boolean(
+    entry &&
+      typeof entry.id === "string" &&
+      typeof entry.game === "string" &&
+      typeof entry.user === "string" &&
+      Number.isFinite(entry.score) &&
+      Number.isFinite(entry.durationMs) &&
+      entry.settings &&
+      typeof entry.settings === "object" &&
+      !Number.isNaN(Date.parse(entry.date))
+  );
+}
+
+/** Whether two entries were played by the same profile (or name, for entries without one). */
+function samePlayer(a, b) {
+  return a.userId && b.userId ? a.userId === b.userId : a.user === b.user;
+}
+
+/** Best first; equal scores rank the earlier run higher. */
+function compareScores(a, b) {
+  return b.score - a.score || Date.parse(a.date) - Date.parse(b.date);
+}
+
+// PUBLIC_INTERFACE
+export function createScoreEntry({
+  game,
+  user,
+  userId,
+  score,
+  durationMs = 0,
+  settings = {},
+  date = new Date(),
+}) {
+  /**
+   * Build a score entry for a finished run. Throws an Error when the game,
+   * user or score is missing or invalid.
+   */
+  if (!game || typeof game !== "string") throw new Error("Invalid score: missing game");
+  if (!user || typeof user !== "string") throw new Error("Invalid score: missing user");
+  if (!Number.isFinite(score)) throw new Error(`Invalid score: ${score}`);
+  const when = date instanceof Date ? date : new Date(date);
+  return {
+    id: `${when.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    game,
+    user,
+    ...(userId ? { userId } : {}),
+    score,
+    durationMs: Math.max(0, Math.round(Number(durationMs) || 0)),
+    settings: { ...settings },
+    date: when.toISOString(),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function addScore(scores, entry) {
+  /**
+   * A new list with `entry` added; when its game then has more than
+   * MAX_SCORES runs, the lowest scores of that game are dropped.
+   */
+  const list = [...scores, entry];
+  const sameGame = list.filter((s) => s.game === entry.game);
+  if (sameGame.length <= MAX_SCORES) return list;
+  const dropped = new Set(sameGame.sort(compareScores).slice(MAX_SCORES));
+  return list.filter((s) => !dropped.has(s));
+}
+
+// PUBLIC_INTERFACE
+export function filterScores(scores, { game, user, settings = {}, range = "all", now = Date.now() } = {}) {
+  /**
+   * The scores matching every given filter, best first: `game`, `user`,
+   * `settings` (each given key must match; empty values are ignored) and
+   * `range`, a key of SCORE_RANGES counted back from `now`.
+   */
+  const span = SCORE_RANGES[range] ?? null;
+  const wanted = Object.entries(settings).filter(([, v]) => v !== undefined && v !== null && v !== "");
+  return scores
+    .filter(
+      (s) =>
+        (!game || s.game === game) &&
+        (!user || s.user === user) &&
+        wanted.every(([key, value]) => String(s.settings[key]) === String(value)) &&
+        (span === null || now - Date.parse(s.date) <= span)
+    )
+    .sort(compareScores);
+}
+
+// PUBLIC_INTERFACE
+export function placeScore(scores, entry, boardKeys = []) {
+  /**
+   * Where a run (already in `scores`) stands on its board: the runs of its
+   * game with the same values for `boardKeys`. Returns { rank, total,
+   * previousBest, personalBest }: previousBest is the user's best before
+   * this run (null for their first), personalBest whether this run beat it.
+   */
+  const board = scores.filter(
+    (s) => s.game === entry.game && boardKeys.every((key) => s.settings[key] === entry.settings[key])
+  );
+  const rank = board.sort(compareScores).findIndex((s) => s.id === entry.id) + 1;
+  const earlier = board.filter(
+    (s) => samePlayer(s, entry) && s.id !== entry.id && Date.parse(s.date) <= Date.parse(entry.date)
+  );
+  const previousBest = earlier.length ? Math.max(...earlier.map((s) => s.score)) : null;
+  return {
+    rank,
+    total: board.length,
+    previousBest,
+    personalBest: entry.score > 0 && (previousBest === null || entry.score > previousBest),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function placementLines(placement) {
+  /** Game-over overlay lines for a placement from placeScore (none without one). */
+  if (!placement) return [];
+  const lines = [];
+  if (placement.personalBest) lines.push("New personal best!");
+  else if (placement.previousBest !== null) lines.push(`Personal best: ${placement.previousBest}`);
+  if (placement.rank) lines.push(`Rank #${placement.rank} of ${placement.total}`);
+  return lines;
+}
+
+// PUBLIC_INTERFACE
+export function loadScores() {
+  /** All stored score entries; invalid ones are skipped. */
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(list) ? list.filter(isScoreEntry) : [];
+  } catch (_err) {
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+export function recordScore(run, boardKeys = []) {
+  /**
+   * Store a finished run ({ game, user, userId, score, durationMs,
+   * settings }) and return its placement (see placeScore). Storage errors
+   * are ignored, so the placement is still shown when the run could not be
+   * saved.
+   */
+  const entry = createScoreEntry(run);
+  const scores = addScore(loadScores(), entry);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(scores));
+  } catch (_err) {
+    // ignore storage errors
+  }
+  return placeScore(scores, entry, boardKeys);
+}
+
+// PUBLIC_INTERFACE
+export function removeScoresOf(userId) {
+  /** Delete every stored score of a profile; storage errors are ignored. */
+  try {
+    const scores = loadScores().filter((s) => s.userId !== userId);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(scores));
+  } catch (_err) {
+    // ignore storage errors
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Score store tests: entries, filters, boards and placements.
+ */
+
+import {
+  addScore,
+  createScoreEntry,
+  filterScores,
+  MAX_SCORES,
+  placeScore,
+  placementLines,
+} from "./scores";
+
+const NOW = Date.parse("2026-03-10T12:00:00Z");
+const daysAgo = (n) => new Date(NOW - n * 24 * 60 * 60 * 1000);
+
+const run = (user, score, extra = {}) =>
+  createScoreEntry({
+    game: "snake",
+    user,
+    score,
+    durationMs: 1000,
+    settings: { speed: "normal" },
+    date: daysAgo(0),
+    ...extra,
+  });
+
+test("entries are validated and keep a copy of their settings", () => {
+  const settings = { level: "pillars", speed: "fast" };
+  const entry = createScoreEntry({ game: "snake", user: "ana", score: 12, durationMs: 4321.6, settings });
+  settings.speed = "slow";
+  expect(entry).toMatchObject({ game: "snake", user: "ana", score: 12, durationMs: 4322 });
+  expect(entry.settings.speed).toBe("fast");
+  expect(typeof entry.id).toBe("string");
+  expect(() => createScoreEntry({ game: "snake", user: "", score: 1 })).toThrow("missing user");
+  expect(() => createScoreEntry({ game: "snake", user: "ana", score: NaN })).toThrow("Invalid score");
+});
+
+test("filters narrow by game, user, settings and time range, best first", () => {
+  const scores = [
+    run("ana", 5),
+    run("ben", 9, { settings: { speed: "fast" } }),
+    run("ana", 7, { date: daysAgo(3) }),
+    run("ben", 30, { date: daysAgo(40) }),
+    run("ana", 20, { game: "racing", settings: { difficulty: "hard" } }),
+  ];
+  const scoresOf = (filters) => filterScores(scores, { now: NOW, ...filters }).map((s) => s.score);
+  expect(scoresOf({})).toEqual([30, 20, 9, 7, 5]);
+  expect(scoresOf({ game: "snake" })).toEqual([30, 9, 7, 5]);
+  expect(scoresOf({ game: "snake", settings: { speed: "normal" } })).toEqual([30, 7, 5]);
+  expect(scoresOf({ game: "snake", settings: { speed: "" } })).toEqual([30, 9, 7, 5]);
+  expect(scoresOf({ user: "ana", range: "week" })).toEqual([20, 7, 5]);
+  expect(scoresOf({ range: "day" })).toEqual([20, 9, 5]);
+  expect(scoresOf({ range: "month", game: "snake" })).toEqual([9, 7, 5]);
+});
+
+test("a run is ranked on its own board and knows the user's previous best", () => {
+  let scores = [];
+  const play = (user, score, settings = { speed: "normal" }, date = daysAgo(0)) => {
+    const entry = run(user, score, { settings, date });
+    scores = addScore(scores, entry);
+    return placeScore(scores, entry, ["speed"]);
+  };
+  expect(play("ana", 10, undefined, daysAgo(2))).toEqual({
+    rank: 1,
+    total: 1,
+    previousBest: null,
+    personalBest: true,
+  });
+  expect(play("ben", 15, undefined, daysAgo(1))).toMatchObject({ rank: 1, total: 2, personalBest: true });
+  expect(play("ana", 8)).toEqual({ rank: 3, total: 3, previousBest: 10, personalBest: false });
+  expect(play("ana", 12)).toEqual({ rank: 2, total: 4, previousBest: 10, personalBest: true });
+  // a faster speed is a board of its own
+  expect(play("ana", 3, { speed: "fast" })).toMatchObject({ rank: 1, total: 1, personalBest: true });
+});
+
+test("equal scores rank the earlier run first, and a full game drops its lowest", () => {
+  const first = run("ana", 10, { date: daysAgo(2) });
+  const second = run("ben", 10, { date: daysAgo(1) });
+  expect(placeScore([second, first], second).rank).toBe(2);
+
+  let scores = [];
+  for (let i = 0; i < MAX_SCORES; i += 1) scores = addScore(scores, run("ana", i + 1));
+  scores = addScore(scores, run("ben", 1000));
+  expect(scores).toHaveLength(MAX_SCORES);
+  expect(scores.some((s) => s.score === 1)).toBe(false);
+  expect(scores[scores.length - 1].score).toBe(1000);
+});
+
+test("a full store is trimmed per game, so low-scoring games keep their runs", () => {
+  let scores = [];
+  for (let i = 0; i < MAX_SCORES; i += 1) {
+    scores = addScore(scores, run("ana", 1000 + i, { game: "racing" }));
+  }
+  const snake = run("ben", 12);
+  scores = addScore(scores, snake);
+  expect(scores).toHaveLength(MAX_SCORES + 1);
+  expect(placeScore(scores, snake, ["speed"])).toMatchObject({ rank: 1, total: 1 });
+  expect(filterScores(scores, { game: "snake" })).toEqual([snake]);
+
+  scores = addScore(scores, run("ana", 5000, { game: "racing" }));
+  expect(scores).toHaveLength(MAX_SCORES + 1);
+  expect(scores.some((s) => s.game === "racing" && s.score === 1000)).toBe(false);
+  expect(scores).toContain(snake);
+});
+
+test("a renamed profile keeps its personal best", () => {
+  const before = run("ana", 10, { userId: "p-1", date: daysAgo(1) });
+  const after = run("ana_b", 8, { userId: "p-1" });
+  const namesake = run("ana_b", 50, { userId: "p-2", date: daysAgo(2) });
+  expect(after.userId).toBe("p-1");
+  expect(placeScore([namesake, before, after], after)).toMatchObject({
+    rank: 3,
+    previousBest: 10,
+    personalBest: false,
+  });
+});
+
+test("placements become game-over lines", () => {
+  expect(placementLines(null)).toEqual([]);
+  expect(placementLines({ rank: 2, total: 9, previousBest: 4, personalBest: true })).toEqual([
+    "New personal best!",
+    "Rank #2 of 9",
+  ]);
+  expect(placementLines({ rank: 5, total: 9, previousBest: 40, personalBest: false })).toEqual([
+    "Personal best: 40",
+    "Rank #5 of 9",
+  ]);
+});
@@ -0,0 +1,43 @@
+/**
+ * Weighted spawn tables shared by the games: Snake items (games/snake/items)
+ * and Car Escape road objects (games/racing/roadObjects) are both picked by
+ * weight from a { type: weight } table.
+ *
+ * A table is validated once into [[type, weight], ...] entries, then each
+ * pick draws one random number from the game's seeded rng.
+ */
+
+// PUBLIC_INTERFACE
+export function normalizeWeights(weights, types, label) {
+  /**
+   * Validate spawn weights against the known `types` ({ type: ... }) and
+   * return them as [[type, weight], ...] with zero weights dropped. Throws an
+   * Error on unknown types, negative or non-numeric weights, or when nothing
+   * can spawn; `label` names the types in messages, e.g. "road object type".
+   */
+  const entries = Object.entries(weights).filter(([type, weight]) => {
+    if (!Object.prototype.hasOwnProperty.call(types, type)) {
+      throw new Error(`Unknown ${label}: ${type}`);
+    }
+    if (typeof weight !== "number" || !(weight >= 0) || !Number.isFinite(weight)) {
+      throw new Error(`Spawn weight for "${type}" must be a non-negative number.`);
+    }
+    return weight > 0;
+  });
+  if (entries.length === 0) {
+    throw new Error(`At least one ${label} needs a positive spawn weight.`);
+  }
+  return entries;
+}
+
+// PUBLIC_INTERFACE
+export function pickWeighted(entries, random) {
+  /** Weighted pick from normalizeWeights() output (one random draw). */
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random() * total;
+  for (const [type, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return type;
+  }
+  return entries[entries.length - 1][0];
+}
@@ -0,0 +1,40 @@
+/**
+ * Weighted spawn table tests: validation and picks.
+ */
+
+import { normalizeWeights, pickWeighted } from "./weights";
+
+const TYPES = { apple: {}, pear: {}, plum: {} };
+
+test("tables are validated and zero weights dropped", () => {
+  expect(normalizeWeights({ apple: 2, pear: 0, plum: 1 }, TYPES, "fruit")).toEqual([
+    ["apple", 2],
+    ["plum", 1],
+  ]);
+  expect(() => normalizeWeights({ kiwi: 1 }, TYPES, "fruit")).toThrow("Unknown fruit: kiwi");
+  expect(() => normalizeWeights({ toString: 1 }, TYPES, "fruit")).toThrow("Unknown fruit");
+  expect(() => normalizeWeights({ apple: -1 }, TYPES, "fruit")).toThrow("non-negative");
+  expect(() => normalizeWeights({ apple: "2" }, TYPES, "fruit")).toThrow("non-negative");
+  expect(() => normalizeWeights({ apple: Infinity }, TYPES, "fruit")).toThrow("non-negative");
+  expect(() => normalizeWeights({ apple: 0 }, TYPES, "fruit")).toThrow(
+    "At least one fruit needs a positive spawn weight."
+  );
+});
+
+test("picks follow the weights with one draw each", () => {
+  const entries = [
+    ["apple", 3],
+    ["pear", 1],
+  ];
+  let draws = 0;
+  const at = (value) => () => {
+    draws += 1;
+    return value;
+  };
+  expect(pickWeighted(entries, at(0))).toBe("apple");
+  expect(pickWeighted(entries, at(0.74))).toBe("apple");
+  expect(pickWeighted(entries, at(0.75))).toBe("pear");
+  expect(pickWeighted(entries, at(0.999999))).toBe("pear");
+  expect(pickWeighted([["plum", 1]], at(0.5))).toBe("plum");
+  expect(draws).toBe(5);
+});